@@ -76,15 +76,423 @@ export interface RESTEndpoint {
   responseSchema?: any;
 }
 
+export interface HostClient {
+  isConfigured(): boolean;
+  getSingleResource(model: string, id: string, singlePageData?: boolean): Promise<any>;
+  searchResources(model: string, filter?: Record<string, any>, aggregate?: boolean): Promise<any>;
+  getRelationDocuments(id: string, connection?: Record<string, any>): Promise<any>;
+  createNewResource(model: string, data: Record<string, any>, connection?: Record<string, any>): Promise<any>;
+  updateResource(model: string, id: string, data: Record<string, any>, options?: { connect?: Record<string, any>; disconnect?: Record<string, any>; singlePageData?: boolean }): Promise<any>;
+  deleteResource(model: string, id: string): Promise<{ success: boolean; message: string }>;
+  generateTenantToken(token: string, tenantId: string): Promise<string>;
+  getProjectDetails(projectId: string): Promise<any>;
+  sendAuditLog(auditData: { resource: string; action: string; author?: any; data?: any; meta?: any; additional_fields?: any }): Promise<{ success: boolean; message: string }>;
+  debug(stage: string, ...data: any[]): Promise<any>;
+  close(): void;
+}
+
+export interface ModelRepository<T = any> {
+  model: string;
+  get(id: string): Promise<T>;
+  search(filter?: Record<string, any> | QueryBuilder, options?: { aggregate?: boolean }): Promise<T[]>;
+  create(data: Partial<T>, connection?: Record<string, any>): Promise<T>;
+  update(id: string, data: Partial<T>, relations?: { connect?: Record<string, any>; disconnect?: Record<string, any> }): Promise<T>;
+  delete(id: string): Promise<boolean>;
+  relations(id: string, connection?: Record<string, any>): Promise<any[]>;
+}
+
+export interface QueryBuilder {
+  where(field: string): QueryBuilder;
+  and(field: string): QueryBuilder;
+  eq(value: any): QueryBuilder;
+  ne(value: any): QueryBuilder;
+  gt(value: any): QueryBuilder;
+  gte(value: any): QueryBuilder;
+  lt(value: any): QueryBuilder;
+  lte(value: any): QueryBuilder;
+  in(values: any[]): QueryBuilder;
+  notIn(values: any[]): QueryBuilder;
+  contains(value: any): QueryBuilder;
+  notContains(value: any): QueryBuilder;
+  exists(present?: boolean): QueryBuilder;
+  sort(...fields: string[]): QueryBuilder;
+  limit(count: number): QueryBuilder;
+  page(number: number): QueryBuilder;
+  aggregate(enabled?: boolean): QueryBuilder;
+  build(): Record<string, any>;
+  isAggregate(): boolean;
+}
+
+export function query(): QueryBuilder;
+export function where(field: string): QueryBuilder;
+export function isQueryBuilder(value: any): value is QueryBuilder;
+
+export interface ConfigKey {
+  type?: 'string' | 'int' | 'integer' | 'number' | 'float' | 'bool' | 'boolean' | 'url' | 'json';
+  required?: boolean;
+  default?: any;
+  enum?: any[];
+  description?: string;
+}
+
+export interface MigrationStore {
+  getApplied(): Promise<string[]>;
+  markApplied(id: string, info?: { durationMs?: number }): Promise<void>;
+}
+
+export class MemoryMigrationStore implements MigrationStore {
+  constructor(applied?: string[]);
+  getApplied(): Promise<string[]>;
+  markApplied(id: string): Promise<void>;
+}
+
+export class HostMigrationStore implements MigrationStore {
+  constructor(hostProvider: () => HostClient | null, pluginId: string, options?: { model?: string });
+  getApplied(): Promise<string[]>;
+  markApplied(id: string, info?: { durationMs?: number }): Promise<void>;
+}
+
+export interface ScalarDefinition {
+  name: string;
+  description?: string;
+  serialize(value: any): any;
+  parseValue(value: any): any;
+}
+
+export function defineScalar(name: string, options?: { serialize?: (value: any) => any; parseValue?: (value: any) => any; description?: string }): ScalarDefinition;
+export const DateTimeScalar: ScalarDefinition;
+export const JSONScalar: ScalarDefinition;
+export const BigIntScalar: ScalarDefinition;
+export const UploadScalar: ScalarDefinition;
+
+export type ResponseValidationMode = 'off' | 'log' | 'strict';
+
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'off';
+
+export class Logger {
+  constructor(options?: { level?: LogLevel; fields?: Record<string, any> });
+  child(fields: Record<string, any>): Logger;
+  setLevel(level: LogLevel): void;
+  getLevel(): LogLevel;
+  isLevelEnabled(level: LogLevel): boolean;
+  trace(message: string, fields?: Record<string, any>): void;
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+}
+
+export const logger: Logger;
+
+export class Redactor {
+  constructor(options?: { keyPatterns?: Array<string | RegExp> });
+  addKeyPattern(pattern: string | RegExp): void;
+  addValue(value: string): void;
+  isSensitiveKey(key: string): boolean;
+  redactString(text: string): string;
+  redact<T = any>(value: T, key?: string): T;
+}
+
+export type SpanKind = 'internal' | 'server' | 'client';
+
+export interface SpanOptions {
+  parent?: Span | { traceId: string; spanId: string; sampled?: boolean } | null;
+  kind?: SpanKind;
+  attributes?: Record<string, string | number | boolean>;
+}
+
+export class Span {
+  readonly name: string;
+  readonly kind: SpanKind;
+  readonly traceId: string;
+  readonly spanId: string;
+  readonly parentSpanId: string | null;
+  readonly sampled: boolean;
+  attributes: Record<string, string | number | boolean>;
+  setAttribute(key: string, value: string | number | boolean): Span;
+  setAttributes(attributes: Record<string, string | number | boolean>): Span;
+  addEvent(name: string, attributes?: Record<string, any>): Span;
+  setStatus(code: 'ok' | 'error', message?: string): Span;
+  recordException(error: Error): Span;
+  end(): void;
+  traceparent(): string;
+  toJSON(): Record<string, any>;
+}
+
+export interface SpanExporter {
+  export(spans: Span[], resource: Record<string, any>): Promise<void> | void;
+  shutdown?(): Promise<void> | void;
+}
+
+export class Tracer {
+  constructor(options?: { batchSize?: number; flushInterval?: number; redactor?: Redactor });
+  setResource(attributes: Record<string, any>): void;
+  addExporter(exporter: SpanExporter): void;
+  getActiveSpan(): Span | null;
+  startSpan(name: string, options?: SpanOptions): Span;
+  withSpan<T>(name: string, options: SpanOptions, fn: (span: Span) => Promise<T> | T): Promise<T>;
+  flush(): Promise<void>;
+  shutdown(): Promise<void>;
+}
+
+export class ConsoleSpanExporter implements SpanExporter {
+  export(spans: Span[]): void;
+}
+
+export class FileSpanExporter implements SpanExporter {
+  constructor(filePath: string);
+  export(spans: Span[], resource: Record<string, any>): Promise<void>;
+}
+
+export class OTLPHttpSpanExporter implements SpanExporter {
+  constructor(options?: { url?: string; headers?: Record<string, string>; timeout?: number });
+  export(spans: Span[], resource: Record<string, any>): Promise<void>;
+}
+
+export type MetricLabels = Record<string, string | number>;
+
+export class Counter {
+  readonly name: string;
+  inc(labels?: MetricLabels | number, value?: number): void;
+  get(labels?: MetricLabels): number;
+  reset(): void;
+}
+
+export class Gauge {
+  readonly name: string;
+  set(labels: MetricLabels | number, value?: number): void;
+  inc(labels?: MetricLabels | number, value?: number): void;
+  dec(labels?: MetricLabels | number, value?: number): void;
+  get(labels?: MetricLabels): number;
+  reset(): void;
+}
+
+export class Histogram {
+  readonly name: string;
+  readonly buckets: number[];
+  observe(labels: MetricLabels | number, value?: number): void;
+  startTimer(labels?: MetricLabels): (extraLabels?: MetricLabels) => number;
+  reset(): void;
+}
+
+export class MetricsRegistry {
+  counter(name: string, help?: string, options?: { labelNames?: string[] }): Counter;
+  gauge(name: string, help?: string, options?: { labelNames?: string[]; collect?: (gauge: Gauge) => void }): Gauge;
+  histogram(name: string, help?: string, options?: { labelNames?: string[]; buckets?: number[] }): Histogram;
+  get(name: string): Counter | Gauge | Histogram | undefined;
+  reset(): void;
+  toPrometheus(): string;
+  toJSON(): { metrics: Array<{ name: string; help: string; type: 'counter' | 'gauge' | 'histogram'; values: any[] }> };
+}
+
+export type HealthCheckMode = 'liveness' | 'readiness';
+
+export type HealthCheck = (context: any) => Promise<Record<string, any> | boolean | void> | Record<string, any> | boolean | void;
+
+export interface HealthCheckOptions {
+  critical?: boolean;
+  timeout?: number;
+  liveness?: boolean;
+}
+
+export interface AuthContext {
+  readonly userId: string | null;
+  readonly tenantId: string | null;
+  readonly projectId: string | null;
+  readonly roles: readonly string[];
+  readonly permissions: readonly string[];
+  readonly isAuthenticated: boolean;
+  hasRole(...roles: string[]): boolean;
+  hasPermission(...permissions: string[]): boolean;
+}
+
+export interface MiddlewareContext {
+  functionName: string;
+  functionType: 'graphql_query' | 'graphql_mutation' | 'graphql_subscription' | 'rest_api' | 'custom_function' | 'system';
+  /** Raw in plugin middleware; GraphQL arguments are coerced before per-registration middleware and the handler */
+  args: any;
+  context: any;
+  auth: AuthContext;
+  logger: Logger;
+  span: Span;
+  signal: AbortSignal;
+  result: any;
+}
+
+export type Middleware = (ctx: MiddlewareContext, next: () => Promise<void>) => Promise<void> | void;
+
+export interface RegistrationOptions {
+  responseValidation?: ResponseValidationMode;
+  middleware?: Middleware[];
+  requireAuth?: boolean;
+  roles?: string[];
+  permissions?: string[];
+  requireTenant?: boolean;
+  timeout?: number;
+  concurrency?: ConcurrencyOptions;
+  cache?: CacheOptions;
+  invalidates?: string[] | ((context: any, args: any) => string[]);
+  rateLimit?: RateLimitOptions;
+}
+
+export type RateLimitKey = 'tenant' | 'user' | 'project' | 'ip' | 'api_key';
+
+export interface RateLimitOptions {
+  limit: number;
+  window: number;
+  algorithm?: 'sliding_window' | 'token_bucket';
+  by?: RateLimitKey | RateLimitKey[] | ((context: any, args: any) => string);
+}
+
+export interface RateLimitStore {
+  update(key: string, ttl: number, updater: (state: any) => any): Promise<any>;
+}
+
+export class MemoryRateLimitStore implements RateLimitStore {
+  constructor(options?: { sweepThreshold?: number });
+  update(key: string, ttl: number, updater: (state: any) => any): Promise<any>;
+}
+
+export interface CacheOptions {
+  ttl: number;
+  key?: (context: any, args: any) => string;
+  tags?: string[] | ((context: any, args: any) => string[]);
+  /** Who results are shared with; per user by default */
+  scope?: 'user' | 'tenant' | 'shared';
+}
+
+export interface CacheStore {
+  get(key: string): Promise<any> | any;
+  set(key: string, value: any, options: { ttl: number; tags: string[] }): Promise<void> | void;
+  delete(key: string): Promise<void> | void;
+  invalidateTags(tags: string[]): Promise<void> | void;
+}
+
+export class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  get(key: string): Promise<any>;
+  set(key: string, value: any, options: { ttl: number; tags?: string[] }): Promise<void>;
+  delete(key: string): Promise<void>;
+  invalidateTags(tags: string[]): Promise<void>;
+}
+
+export interface ConcurrencyOptions {
+  maxConcurrent?: number;
+  maxQueue?: number;
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold?: number;
+  resetTimeout?: number;
+}
+
+export interface CircuitState {
+  state: 'closed' | 'open' | 'half_open';
+  failures: number;
+  opened_at: string | null;
+}
+
+export interface HttpClientOptions {
+  baseURL?: string;
+  headers?: Record<string, string>;
+  timeout?: number;
+  retries?: number;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  retryOn?: number[];
+  retryMethods?: string[];
+  circuitBreaker?: CircuitBreakerOptions | false;
+}
+
+export interface HttpRequestOptions {
+  headers?: Record<string, string>;
+  query?: Record<string, string | number | boolean | null | undefined>;
+  json?: any;
+  body?: any;
+  timeout?: number;
+  retries?: number;
+  signal?: AbortSignal;
+}
+
+export interface HttpResponse<T = any> {
+  status: number;
+  headers: Record<string, string>;
+  data: T;
+}
+
+export class HttpError extends Error {
+  code: 'HTTP_STATUS' | 'TIMEOUT' | 'NETWORK_ERROR' | 'CIRCUIT_OPEN';
+  method: string;
+  url: string;
+  status?: number;
+  data?: any;
+}
+
+export class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  state: 'closed' | 'open' | 'half_open';
+  allowRequest(): boolean;
+  onSuccess(): void;
+  onFailure(): void;
+  stats(): CircuitState;
+}
+
+export class HttpClient {
+  constructor(options?: HttpClientOptions);
+  request<T = any>(method: string, url: string, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  get<T = any>(url: string, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  post<T = any>(url: string, json?: any, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  put<T = any>(url: string, json?: any, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  patch<T = any>(url: string, json?: any, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  delete<T = any>(url: string, options?: HttpRequestOptions): Promise<HttpResponse<T>>;
+  getCircuitStates(): Record<string, CircuitState>;
+}
+
 export interface Plugin {
-  registerQuery(name: string, field: GraphQLField, resolver: Function): void;
-  registerMutation(name: string, field: GraphQLField, resolver: Function): void;
+  host: HostClient | null;
+  logger: Logger;
+  redactor: Redactor;
+  tracer: Tracer;
+  metrics: MetricsRegistry;
+  http: HttpClient;
+  createHttpClient(options?: HttpClientOptions): HttpClient;
+  addSpanExporter(exporter: SpanExporter): void;
+  setLogLevel(level: LogLevel): void;
+  registerSecret(value: string): void;
+  addRedactionPattern(pattern: string | RegExp): void;
+  models<T = any>(model: string, options?: { singlePageData?: boolean }): ModelRepository<T>;
+  config(schema: Record<string, ConfigKey>): void;
+  getConfig(): Record<string, any>;
+  onInit(hook: (config: Record<string, any>, context: any) => Promise<void> | void): void;
+  onShutdown(hook: () => Promise<void> | void): void;
+  setShutdownTimeout(ms: number): void;
+  setExecutionTimeout(ms: number): void;
+  setConcurrency(options: ConcurrencyOptions): void;
+  setCacheStore(store: CacheStore): void;
+  setRateLimitStore(store: RateLimitStore): void;
+  invalidateCache(tags: string[]): Promise<void>;
+  shutdown(): Promise<boolean>;
+  registerMigration(id: string, up: (context: any) => Promise<void> | void): void;
+  setMigrationStore(store: MigrationStore): void;
+  registerQuery(name: string, field: GraphQLField, resolver: Function, options?: RegistrationOptions): void;
+  registerMutation(name: string, field: GraphQLField, resolver: Function, options?: RegistrationOptions): void;
+  registerSubscription(name: string, field: GraphQLField, resolver: (context: any, args: any) => AsyncIterable<any> | Promise<AsyncIterable<any>>, options?: RegistrationOptions): void;
+  registerSubscriptions(subscriptions: Record<string, GraphQLField>, resolvers: Record<string, Function>): void;
+  registerScalar(name: string, options: { serialize?: (value: any) => any; parseValue?: (value: any) => any; description?: string }): any;
+  registerSDL(sdl: string, resolvers: Record<string, Function | Record<string, Function>>): { queries: Record<string, GraphQLField>; mutations: Record<string, GraphQLField>; subscriptions: Record<string, GraphQLField>; types: Record<string, any> };
+  toSDL(): string;
+  setSubscriptionOptions(options: { pollTimeout?: number; idleTimeout?: number }): void;
   registerQueries(queries: Record<string, { field: GraphQLField; resolver: Function }>): void;
   registerMutations(mutations: Record<string, { field: GraphQLField; resolver: Function }>): void;
-  registerRESTAPI(endpoint: RESTEndpoint, handler: Function): void;
-  registerFunction(name: string, func: Function): void;
+  registerRESTAPI(endpoint: RESTEndpoint, handler: Function, options?: RegistrationOptions): void;
+  setResponseValidation(mode: ResponseValidationMode): void;
+  use(middleware: Middleware): Plugin;
+  registerFunction(name: string, func: Function, options?: RegistrationOptions): void;
   registerFunctions(functions: Record<string, Function>): void;
-  registerHealthCheck(healthCheckFn: Function): void;
+  registerHealthCheck(name: string, healthCheck: HealthCheck, options?: HealthCheckOptions): void;
+  registerHealthCheck(healthCheck: HealthCheck, options?: HealthCheckOptions): void;
+  setHealthCheckOptions(options: { timeout?: number; cacheTTL?: number }): void;
+  performHealthCheck(context: any, args?: { mode?: HealthCheckMode }): Promise<Record<string, any>>;
   serve(): Promise<void>;
 }
 
@@ -99,6 +507,8 @@ export function IDField(description?: string): GraphQLField;
 export function ListField(type: any, description?: string): GraphQLField;
 export function NonNullField(type: any, description?: string): GraphQLField;
 export function FieldWithArgs(type: any, args: Record<string, any>, description?: string): GraphQLField;
+export function EnumField(enumType: any, description?: string): GraphQLField;
+export function TypeField(type: any, description?: string, args?: Record<string, any>): GraphQLField;
 
 // GraphQL argument helpers
 export function StringArg(description?: string): any;
@@ -109,12 +519,24 @@ export function IDArg(description?: string): any;
 export function ObjectArg(description?: string): any;
 export function ListArg(type: any, description?: string): any;
 export function NonNullArg(type: any, description?: string): any;
+export function EnumArg(enumType: any, description?: string): any;
+export function InputArg(inputType: any, description?: string): any;
+
+// Named types
+export function EnumType(name: string, values: string[] | Record<string, string>, description?: string): any;
+export function InputObjectType(name: string, fields: Record<string, any>, description?: string): any;
+export function InterfaceType(name: string, fields: Record<string, any>, description?: string): any;
+export function UnionType(name: string, types: any[], description?: string): any;
 
 // Type system helpers
 export function createScalarType(name: string): any;
 export function createNonNullType(type: any): any;
 export function createListType(type: any): any;
-export function createObjectType(name: string, fields: Record<string, any>): any;
+export function createObjectType(name: string, fields: Record<string, any>, interfaces?: Array<any | string>): any;
+export function createEnumType(name: string, values: string[] | Record<string, string>, description?: string): any;
+export function createInputObjectType(name: string, fields: Record<string, any>, description?: string): any;
+export function createInterfaceType(name: string, fields: Record<string, any>, description?: string): any;
+export function createUnionType(name: string, types: any[], description?: string): any;
 
 // Object builder
 export function NewObjectType(name: string): any;
@@ -127,12 +549,36 @@ export function DELETEEndpoint(path: string, description?: string): any;
 export function PATCHEndpoint(path: string, description?: string): any;
 
 // Schema helpers
-export function ObjectSchema(properties: Record<string, any>): any;
-export function ArraySchema(items: any): any;
-export function StringSchema(): any;
-export function IntegerSchema(): any;
-export function BooleanSchema(): any;
-export function NumberSchema(): any;
+export interface SchemaOptions {
+  required?: boolean;
+  description?: string;
+  enum?: any[];
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  format?: 'email' | 'uri' | 'url' | 'uuid' | 'date' | 'date-time' | 'ipv4';
+  minItems?: number;
+  maxItems?: number;
+}
+export function ObjectSchema(properties: Record<string, any>, options?: Omit<SchemaOptions, 'required'> & { required?: boolean | string[]; additionalProperties?: boolean }): any;
+export function ArraySchema(items: any, options?: SchemaOptions): any;
+export function StringSchema(description?: string, options?: SchemaOptions): any;
+export function IntegerSchema(description?: string, options?: SchemaOptions): any;
+export function BooleanSchema(description?: string, options?: SchemaOptions): any;
+export function NumberSchema(description?: string, options?: SchemaOptions): any;
+
+// REST errors
+export class RESTError extends Error {
+  constructor(statusCode: number, message: string, details?: Record<string, any>);
+  statusCode: number;
+  details: Record<string, any> | null;
+  toJSON(): Record<string, any>;
+}
+export function createRESTError(statusCode: number, message: string, details?: Record<string, any>): RESTError;
+export function createBadRequestError(violations: Array<{ location: string; path: string; message: string }>, message?: string): RESTError;
+export function isRESTError(error: any): boolean;
 
 // Utility functions
 export function getStringArg(args: any, name: string, defaultValue?: string): string;
@@ -0,0 +1,150 @@
+/**
+ * Apito JavaScript Plugin SDK - Auth Guards
+ *
+ * Reads the user, tenant and project the engine sends in the Execute
+ * context and enforces declarative guards given at registration:
+ *
+ *   plugin.registerMutation('cancelOrder', field, resolver, {
+ *       roles: ['admin', 'support'],     // any of these roles
+ *       permissions: ['orders:write'],   // all of these permissions
+ *       requireTenant: true              // a tenant must be selected
+ *   });
+ *
+ * A call without a user fails with UNAUTHENTICATED, a user lacking a role,
+ * permission or tenant fails with FORBIDDEN. REST APIs get the matching
+ * 401/403 REST errors instead.
+ */
+
+const { createAuthenticationError, createAuthorizationError, createRESTError } = require('./helpers');
+
+/**
+ * @typedef {Object} AuthContext
+ * @property {string|null} userId - Calling user, from `user_id`
+ * @property {string|null} tenantId - Selected tenant, from `tenant_id`
+ * @property {string|null} projectId - Project, from `project_id`
+ * @property {string[]} roles - User roles, from `roles` (or a single `role`)
+ * @property {string[]} permissions - User permissions, from `permissions`
+ * @property {boolean} isAuthenticated - True when a user is present
+ * @property {function(...string): boolean} hasRole - True when the user has any of the roles
+ * @property {function(...string): boolean} hasPermission - True when the user has all of the permissions
+ */
+
+/**
+ * @typedef {Object} GuardOptions
+ * @property {boolean} [requireAuth] - Require a user
+ * @property {string[]} [roles] - Require any of these roles
+ * @property {string[]} [permissions] - Require all of these permissions
+ * @property {boolean} [requireTenant] - Require a tenant
+ */
+
+/**
+ * Normalize a list sent as an array or a comma separated string
+ * @param {any} value - Context value
+ * @returns {string[]} List of non-empty strings
+ */
+function toList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Build the auth accessor for a decoded Execute context
+ * @param {Object} context - Decoded Execute context
+ * @returns {AuthContext} Auth context
+ */
+function createAuthContext(context) {
+    const roles = toList(context.roles !== undefined ? context.roles : context.role);
+    const permissions = toList(context.permissions);
+
+    return Object.freeze({
+        userId: context.user_id ? String(context.user_id) : null,
+        tenantId: context.tenant_id ? String(context.tenant_id) : null,
+        projectId: context.project_id ? String(context.project_id) : null,
+        roles: Object.freeze(roles),
+        permissions: Object.freeze(permissions),
+        isAuthenticated: !!context.user_id,
+        hasRole: (...required) => required.some(role => roles.includes(role)),
+        hasPermission: (...required) => required.every(permission => permissions.includes(permission))
+    });
+}
+
+/**
+ * Validate the guard options of a registration
+ * @param {GuardOptions} options - Registration options
+ * @throws {Error} If roles or permissions are not lists of strings
+ */
+function assertGuardOptions(options) {
+    for (const key of ['roles', 'permissions']) {
+        const value = options[key];
+        if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+            throw new Error(`Guard option '${key}' must be an array of strings`);
+        }
+    }
+}
+
+/**
+ * Check whether registration options declare a guard
+ * @param {GuardOptions} options - Registration options
+ * @returns {boolean} True when any guard option is set
+ */
+function hasGuard(options) {
+    return !!(options.requireAuth || options.requireTenant
+        || (options.roles && options.roles.length > 0)
+        || (options.permissions && options.permissions.length > 0));
+}
+
+/**
+ * Check an auth context against guard options
+ * @param {GuardOptions} guard - Guard options
+ * @param {AuthContext} auth - Auth context
+ * @returns {{status: number, message: string}|null} Failure, null when allowed
+ */
+function checkGuard(guard, auth) {
+    if (!auth.isAuthenticated) {
+        return { status: 401, message: 'Authentication required' };
+    }
+    if (guard.requireTenant && !auth.tenantId) {
+        return { status: 403, message: 'A tenant is required' };
+    }
+    if (guard.roles && guard.roles.length > 0 && !auth.hasRole(...guard.roles)) {
+        return { status: 403, message: `Requires one of the roles: ${guard.roles.join(', ')}` };
+    }
+    const missing = (guard.permissions || []).filter(permission => !auth.hasPermission(permission));
+    if (missing.length > 0) {
+        return { status: 403, message: `Missing permissions: ${missing.join(', ')}` };
+    }
+    return null;
+}
+
+/**
+ * Create the middleware enforcing a registration's guard
+ * @param {GuardOptions} guard - Guard options
+ * @returns {Function|null} Middleware, null when no guard is declared
+ */
+function createGuardMiddleware(guard) {
+    if (!hasGuard(guard)) {
+        return null;
+    }
+    return async function authGuard(ctx, next) {
+        const failure = checkGuard(guard, ctx.auth);
+        if (failure) {
+            if (ctx.functionType === 'rest_api') {
+                throw createRESTError(failure.status, failure.message);
+            }
+            throw failure.status === 401
+                ? createAuthenticationError(failure.message)
+                : createAuthorizationError(failure.message);
+        }
+        await next();
+    };
+}
+
+module.exports = {
+    createAuthContext,
+    assertGuardOptions,
+    checkGuard,
+    createGuardMiddleware
+};
@@ -0,0 +1,227 @@
+/**
+ * Apito JavaScript Plugin SDK - Result Cache
+ *
+ * Opt-in caching of query and custom function results:
+ *
+ *   plugin.registerQuery('exchangeRates', field, resolver, {
+ *       cache: { ttl: 60, tags: ['rates'], scope: 'shared' }
+ *   });
+ *   plugin.registerMutation('updateRates', field, resolver, {
+ *       invalidates: ['rates']
+ *   });
+ *
+ * Keys combine the function, the tenant, project and user of the Execute
+ * context and a hash of the arguments (or the result of
+ * `cache.key(context, args)`), so callers never see each other's results.
+ * `scope: 'tenant'` shares results across the users of a tenant and project,
+ * `scope: 'shared'` across every caller.
+ * Results live in an in-memory LRU by default; any object with the
+ * CacheStore methods can replace it through `plugin.setCacheStore()`.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Entries the default in-memory store keeps
+ */
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Who a cached result is shared with
+ */
+const CACHE_SCOPES = ['user', 'tenant', 'shared'];
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<any>} get - Resolves with the value, undefined when missing or expired
+ * @property {function(string, any, {ttl: number, tags: string[]}): Promise<void>} set - Store a value for ttl seconds
+ * @property {function(string): Promise<void>} delete - Remove a value
+ * @property {function(string[]): Promise<void>} invalidateTags - Remove every value stored with any of the tags
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} ttl - Seconds a result is reused for
+ * @property {function(Object, Object): string} [key] - Builds the key from the handler context and args
+ * @property {string[]|function(Object, Object): string[]} [tags] - Tags to invalidate the result by
+ * @property {string} [scope] - Who results are shared with: 'user' (default) keeps them per user,
+ *   'tenant' shares them across the users of a tenant and project, 'shared' across every caller
+ */
+
+/**
+ * In-memory least recently used store
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxEntries] - Entries kept before the least recently used is evicted
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires <= Date.now()) {
+            this.remove(key);
+            return undefined;
+        }
+        // Re-insert to mark the entry as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return structuredClone(entry.value);
+    }
+
+    async set(key, value, options = {}) {
+        this.remove(key);
+        const tags = options.tags || [];
+        this.entries.set(key, { value: structuredClone(value), expires: Date.now() + options.ttl * 1000, tags });
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(key);
+        }
+        while (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.remove(key);
+    }
+
+    async invalidateTags(tags) {
+        for (const tag of tags) {
+            for (const key of this.tags.get(tag) || []) {
+                this.remove(key);
+            }
+        }
+    }
+
+    /**
+     * Remove an entry and its tag references
+     * @param {string} key - Cache key
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+        this.entries.delete(key);
+        for (const tag of entry.tags) {
+            const keys = this.tags.get(tag);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.tags.delete(tag);
+            }
+        }
+    }
+}
+
+/**
+ * Validate the cache options of a registration
+ * @param {CacheOptions} options - Cache options
+ * @throws {Error} If the options are malformed
+ */
+function assertCacheOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Cache options must be an object');
+    }
+    if (!(Number.isFinite(options.ttl) && options.ttl > 0)) {
+        throw new Error("Cache option 'ttl' must be a positive number of seconds");
+    }
+    if (options.key !== undefined && typeof options.key !== 'function') {
+        throw new Error("Cache option 'key' must be a function");
+    }
+    if (options.scope !== undefined && !CACHE_SCOPES.includes(options.scope)) {
+        throw new Error(`Cache option 'scope' must be one of: ${CACHE_SCOPES.join(', ')}`);
+    }
+    assertTags(options.tags, "Cache option 'tags'");
+}
+
+/**
+ * Validate a list of tags or a function returning one
+ * @param {any} tags - Tags option
+ * @param {string} label - Option name used in the error message
+ * @throws {Error} If the tags are neither
+ */
+function assertTags(tags, label) {
+    if (tags === undefined || typeof tags === 'function') {
+        return;
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new Error(`${label} must be an array of strings or a function`);
+    }
+}
+
+/**
+ * Resolve a tags option for a call
+ * @param {string[]|Function} [tags] - Tags option
+ * @param {Object} context - Handler context
+ * @param {Object} args - Function arguments
+ * @returns {string[]} Tags
+ */
+function resolveTags(tags, context, args) {
+    if (typeof tags === 'function') {
+        return tags(context, args) || [];
+    }
+    return tags || [];
+}
+
+/**
+ * JSON with sorted object keys, so equal args give equal keys. BigInts,
+ * which JSON.stringify rejects, are written as strings like "42n".
+ * @param {any} value - Value
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+    if (typeof value === 'bigint') {
+        return JSON.stringify(`${value}n`);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const pairs = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${pairs.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build the cache key of a call
+ * @param {CacheOptions} options - Cache options
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @param {Object} context - Handler context
+ * @param {Object} args - Function arguments
+ * @returns {string} e.g. graphql_query:rates:tenant-1:project-1:user-1:<sha256 of args>
+ */
+function buildCacheKey(options, functionType, functionName, context, args) {
+    const tenant = [context.tenant_id || '-', context.project_id || '-'];
+    const scope = {
+        user: [...tenant, context.user_id || '-'],
+        tenant: [...tenant, '*'],
+        shared: ['*', '*', '*']
+    }[options.scope || 'user'];
+    const suffix = options.key
+        ? String(options.key(context, args))
+        : crypto.createHash('sha256').update(stableStringify(args)).digest('hex');
+    return [functionType, functionName, ...scope, suffix].join(':');
+}
+
+module.exports = {
+    DEFAULT_MAX_ENTRIES,
+    CACHE_SCOPES,
+    MemoryCacheStore,
+    assertCacheOptions,
+    assertTags,
+    resolveTags,
+    buildCacheKey
+};
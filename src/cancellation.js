@@ -0,0 +1,144 @@
+/**
+ * Apito JavaScript Plugin SDK - Timeouts and Cancellation
+ *
+ * Every Execute call gets an AbortSignal. It aborts when the call exceeds
+ * its timeout (a TIMEOUT error) or when the engine cancels the gRPC call
+ * (a CANCELLED error). Handlers receive it as `context.signal` and can pass
+ * it on to their own I/O; HostService calls made during the call use it
+ * automatically:
+ *
+ *   plugin.registerQuery('report', field, async (context, args) => {
+ *       const response = await fetch(url, { signal: context.signal });
+ *       return response.json();
+ *   }, { timeout: 60000 });
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createGraphQLErrorWithCode, createRESTError } = require('./helpers');
+
+/**
+ * Default time budget of an Execute call
+ */
+const DEFAULT_EXECUTION_TIMEOUT_MS = 30000;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Validate an execution timeout
+ * @param {number} ms - Timeout in milliseconds, 0 disables it
+ * @throws {Error} If the timeout is not a non-negative number
+ */
+function assertTimeout(ms) {
+    if (!Number.isFinite(ms) || ms < 0) {
+        throw new Error(`Timeout must be a non-negative number of milliseconds, got ${ms}`);
+    }
+}
+
+/**
+ * Create the error a timed out call fails with
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Error} TIMEOUT GraphQL error, or a 504 REST error for REST APIs
+ */
+function createTimeoutError(functionType, functionName, ms) {
+    const message = `Function '${functionName}' timed out after ${ms}ms`;
+    if (functionType === 'rest_api') {
+        return createRESTError(504, message, { code: 'TIMEOUT' });
+    }
+    return createGraphQLErrorWithCode(message, 'TIMEOUT');
+}
+
+/**
+ * Create the error a call cancelled by the engine fails with
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @returns {Error} CANCELLED GraphQL error, or a 499 REST error for REST APIs
+ */
+function createCancelledError(functionType, functionName) {
+    const message = `Function '${functionName}' was cancelled by the engine`;
+    if (functionType === 'rest_api') {
+        return createRESTError(499, message, { code: 'CANCELLED' });
+    }
+    return createGraphQLErrorWithCode(message, 'CANCELLED');
+}
+
+/**
+ * Create the abort signal of an Execute call
+ * @param {Object} call - gRPC server call
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @param {number} timeout - Timeout in milliseconds, 0 disables it
+ * @returns {{signal: AbortSignal, dispose: Function}} Signal, and a function releasing its timer and listener
+ */
+function createExecutionSignal(call, functionType, functionName, timeout) {
+    const controller = new AbortController();
+    const timer = timeout > 0
+        ? setTimeout(() => controller.abort(createTimeoutError(functionType, functionName, timeout)), timeout)
+        : null;
+    const onCancelled = () => controller.abort(createCancelledError(functionType, functionName));
+
+    if (call.cancelled) {
+        onCancelled();
+    } else if (typeof call.on === 'function') {
+        call.on('cancelled', onCancelled);
+    }
+
+    return {
+        signal: controller.signal,
+        dispose() {
+            clearTimeout(timer);
+            if (typeof call.removeListener === 'function') {
+                call.removeListener('cancelled', onCancelled);
+            }
+        }
+    };
+}
+
+/**
+ * Settle with a promise, or reject with the signal's reason once it aborts
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise} Promise result
+ */
+function raceSignal(promise, signal) {
+    if (signal.aborted) {
+        promise.catch(() => {});
+        return Promise.reject(signal.reason);
+    }
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+    return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Run a function with a signal as the active execution signal
+ * @param {AbortSignal} signal - Abort signal
+ * @param {Function} fn - Function to run
+ * @returns {any} Function result
+ */
+function runWithSignal(signal, fn) {
+    return storage.run(signal, fn);
+}
+
+/**
+ * Get the signal of the Execute call running in the current async context
+ * @returns {AbortSignal|null} Active signal
+ */
+function getActiveSignal() {
+    return storage.getStore() || null;
+}
+
+module.exports = {
+    DEFAULT_EXECUTION_TIMEOUT_MS,
+    assertTimeout,
+    createTimeoutError,
+    createCancelledError,
+    createExecutionSignal,
+    raceSignal,
+    runWithSignal,
+    getActiveSignal
+};
@@ -0,0 +1,260 @@
+/**
+ * Apito JavaScript Plugin SDK - Argument Coercion
+ *
+ * Validates and coerces GraphQL arguments against the field's declared
+ * `args` before the resolver runs, following GraphQL input coercion:
+ *
+ *   - missing arguments take their `defaultValue`
+ *   - `NonNullArg` values must be present and not null
+ *   - `Int` accepts integral numbers only (protobuf sends every number as a double)
+ *   - `ID` accepts strings and integers and always yields a string
+ *   - a single value given for a list argument is wrapped in a list
+ *   - `ObjectArg` properties and input object fields are checked recursively
+ *   - custom scalars go through their `parseValue`
+ *
+ * Every violation is collected; they come back as one BAD_USER_INPUT error.
+ * Coercion runs as a step of the middleware chain, after the auth guard and
+ * the rate limit.
+ */
+
+const { createGraphQLErrorWithCode } = require('./helpers');
+const { findScalar, formatPath } = require('./scalars');
+
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+/**
+ * Coercers for the built-in GraphQL scalars. Each returns the coerced value
+ * or throws an Error describing the expected value.
+ */
+const BUILT_IN_COERCERS = {
+    Int: (value) => {
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            throw new Error('must be an integer');
+        }
+        if (value < INT_MIN || value > INT_MAX) {
+            throw new Error('must be a 32-bit integer');
+        }
+        return value;
+    },
+    Float: (value) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error('must be a number');
+        }
+        return value;
+    },
+    String: (value) => {
+        if (typeof value !== 'string') {
+            throw new Error('must be a string');
+        }
+        return value;
+    },
+    Boolean: (value) => {
+        if (typeof value !== 'boolean') {
+            throw new Error('must be a boolean');
+        }
+        return value;
+    },
+    ID: (value) => {
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return String(value);
+        }
+        throw new Error('must be a string or an integer');
+    }
+};
+
+/**
+ * Print a type definition the way GraphQL does, e.g. [String!]!
+ * @param {Object|string} typeDef - Type definition
+ * @returns {string} Type name
+ */
+function printTypeName(typeDef) {
+    if (typeof typeDef === 'string') return typeDef;
+    if (!typeDef) return 'Unknown';
+    if (typeDef.kind === 'non_null') return `${printTypeName(typeDef.ofType)}!`;
+    if (typeDef.kind === 'list') return `[${printTypeName(typeDef.ofType)}]`;
+    return typeDef.scalarType || typeDef.name || 'Object';
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {any} value - Value
+ * @returns {boolean} True for objects
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Argument coercer walking declared argument definitions
+ */
+class ArgumentCoercer {
+    /**
+     * @param {Map<string, Object>} scalars - Custom scalar registry
+     */
+    constructor(scalars) {
+        this.scalars = scalars;
+        this.violations = [];
+    }
+
+    report(path, message) {
+        this.violations.push({ field: formatPath(path), message: `Argument '${formatPath(path)}' ${message}` });
+    }
+
+    /**
+     * Coerce an object of values against argument (or input field) definitions
+     * @param {Object} argDefs - Definitions by name
+     * @param {Object} values - Incoming values
+     * @param {Array<string|number>} path - Path of the object
+     * @returns {Object} Coerced values
+     */
+    coerceObject(argDefs, values, path) {
+        const coerced = { ...values };
+        for (const [name, argDef] of Object.entries(argDefs || {})) {
+            const argPath = [...path, name];
+            let value = coerced[name];
+
+            if (value === undefined && argDef && argDef.defaultValue !== undefined) {
+                coerced[name] = argDef.defaultValue;
+                continue;
+            }
+
+            if (argDef && argDef.properties) {
+                // ObjectArg: properties describe the object, the object itself is nullable
+                if (value === undefined || value === null) continue;
+                if (!isObject(value)) {
+                    this.report(argPath, 'must be an object');
+                    continue;
+                }
+                coerced[name] = this.coerceObject(argDef.properties, value, argPath);
+                continue;
+            }
+
+            value = this.coerceValue(argDef && argDef.type, value, argPath);
+            if (value !== undefined) {
+                coerced[name] = value;
+            }
+        }
+        return coerced;
+    }
+
+    /**
+     * Coerce a single value against its type
+     * @param {Object|string} typeDef - Input type definition
+     * @param {any} value - Incoming value
+     * @param {Array<string|number>} path - Value path
+     * @returns {any} Coerced value
+     */
+    coerceValue(typeDef, value, path) {
+        if (!typeDef) {
+            return value;
+        }
+        if (typeDef.kind === 'non_null') {
+            if (value === undefined) {
+                this.report(path, `of required type '${printTypeName(typeDef)}' was not provided`);
+                return value;
+            }
+            if (value === null) {
+                this.report(path, `of required type '${printTypeName(typeDef)}' must not be null`);
+                return value;
+            }
+            return this.coerceValue(typeDef.ofType, value, path);
+        }
+        if (value === undefined || value === null) {
+            return value;
+        }
+        if (typeDef.kind === 'list') {
+            if (!Array.isArray(value)) {
+                return [this.coerceValue(typeDef.ofType, value, path)];
+            }
+            return value.map((item, index) => this.coerceValue(typeDef.ofType, item, [...path, index]));
+        }
+        if (typeDef.kind === 'enum') {
+            if (!(typeDef.values || []).includes(value)) {
+                this.report(path, `has an invalid ${typeDef.name} value: must be one of: ${(typeDef.values || []).join(', ')}`);
+            }
+            return value;
+        }
+        if (typeDef.fields) {
+            if (!isObject(value)) {
+                this.report(path, `must be an object of type '${typeDef.name}'`);
+                return value;
+            }
+            return this.coerceObject(typeDef.fields, value, path);
+        }
+        return this.coerceScalar(typeDef, value, path);
+    }
+
+    coerceScalar(typeDef, value, path) {
+        const name = printTypeName(typeDef);
+        const custom = findScalar(typeDef, this.scalars);
+        const coerce = custom ? custom.parseValue : BUILT_IN_COERCERS[name];
+        if (!coerce) {
+            // Untyped values ('Object') and scalars without a registered definition
+            return value;
+        }
+        try {
+            return coerce(value);
+        } catch (error) {
+            this.report(path, `has an invalid ${name} value: ${error.message}`);
+            return value;
+        }
+    }
+}
+
+/**
+ * Validate and coerce arguments against a field's declared args
+ * @param {Object} argDefs - Declared argument definitions
+ * @param {Object} args - Incoming arguments
+ * @param {Map<string, Object>} scalars - Custom scalar registry
+ * @returns {Object} Coerced arguments
+ * @throws {GraphQLError} BAD_USER_INPUT listing every violation
+ */
+function coerceArgs(argDefs, args, scalars) {
+    if (!argDefs) {
+        return args;
+    }
+    const coercer = new ArgumentCoercer(scalars);
+    const coerced = coercer.coerceObject(argDefs, args || {}, []);
+
+    const { violations } = coercer;
+    if (violations.length === 1) {
+        throw createGraphQLErrorWithCode(violations[0].message, 'BAD_USER_INPUT', { field: violations[0].field });
+    }
+    if (violations.length > 1) {
+        throw createGraphQLErrorWithCode(
+            violations.map(violation => violation.message).join('; '),
+            'BAD_USER_INPUT',
+            { field: violations[0].field, violations }
+        );
+    }
+    return coerced;
+}
+
+/**
+ * Create the middleware coercing a field's arguments. It runs after the auth
+ * guard and the rate limit, so rejected callers learn nothing about the
+ * declared arguments.
+ * @param {Object} [field] - GraphQL field
+ * @param {Map<string, Object>} scalars - Custom scalar registry
+ * @returns {Function|null} Middleware, null when the field declares no args
+ */
+function createCoercionMiddleware(field, scalars) {
+    if (!field || !field.args || Object.keys(field.args).length === 0) {
+        return null;
+    }
+    return async function coerceArguments(ctx, next) {
+        ctx.args = coerceArgs(field.args, ctx.args, scalars);
+        await next();
+    };
+}
+
+module.exports = {
+    BUILT_IN_COERCERS,
+    printTypeName,
+    coerceArgs,
+    createCoercionMiddleware
+};
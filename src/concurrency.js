@@ -0,0 +1,164 @@
+/**
+ * Apito JavaScript Plugin SDK - Concurrency Limits
+ *
+ * Bulkheads cap how many calls run at once, globally and per function, so
+ * one slow function cannot starve the rest of the process. Calls over the
+ * cap wait in a bounded queue; once the queue is full they are shed with a
+ * RESOURCE_EXHAUSTED error (503 for REST APIs):
+ *
+ *   plugin.setConcurrency({ maxConcurrent: 50, maxQueue: 200 });
+ *   plugin.registerFunction('exportAll', exportAll, {
+ *       concurrency: { maxConcurrent: 2, maxQueue: 5 }
+ *   });
+ *
+ * System functions (health_check, metrics) are never limited.
+ */
+
+const { createGraphQLErrorWithCode, createRESTError } = require('./helpers');
+
+/**
+ * Queue length used when only maxConcurrent is given
+ */
+const DEFAULT_MAX_QUEUE = 100;
+
+/**
+ * Validate concurrency options
+ * @param {Object} options - Concurrency options
+ * @throws {Error} If a limit is not a valid count
+ */
+function assertConcurrencyOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Concurrency options must be an object');
+    }
+    const { maxConcurrent, maxQueue } = options;
+    if (maxConcurrent !== undefined && maxConcurrent !== Infinity && !(Number.isInteger(maxConcurrent) && maxConcurrent > 0)) {
+        throw new Error("Concurrency option 'maxConcurrent' must be a positive integer");
+    }
+    if (maxQueue !== undefined && maxQueue !== Infinity && !(Number.isInteger(maxQueue) && maxQueue >= 0)) {
+        throw new Error("Concurrency option 'maxQueue' must be a non-negative integer");
+    }
+}
+
+/**
+ * Create the error a shed call fails with
+ * @param {string} functionType - Execute function type
+ * @param {string} message - Error message
+ * @returns {Error} RESOURCE_EXHAUSTED GraphQL error, or a 503 REST error for REST APIs
+ */
+function createOverloadedError(functionType, message) {
+    if (functionType === 'rest_api') {
+        return createRESTError(503, message, { code: 'RESOURCE_EXHAUSTED' });
+    }
+    return createGraphQLErrorWithCode(message, 'RESOURCE_EXHAUSTED');
+}
+
+class Bulkhead {
+    /**
+     * @param {string} label - Name used in error messages, e.g. "Function 'exportAll'"
+     * @param {Object} [options] - Concurrency options
+     * @param {number} [options.maxConcurrent] - Calls running at once, unlimited by default
+     * @param {number} [options.maxQueue] - Calls waiting for a slot
+     */
+    constructor(label, options = {}) {
+        this.label = label;
+        this.active = 0;
+        this.queue = [];
+        this.rejected = 0;
+        this.configure(options);
+    }
+
+    /**
+     * Change the limits. Waiting calls start if the new limit allows it.
+     * @param {Object} options - Concurrency options
+     */
+    configure(options) {
+        assertConcurrencyOptions(options);
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : DEFAULT_MAX_QUEUE;
+        this.drain();
+    }
+
+    /**
+     * Wait for a slot
+     * @param {string} functionType - Execute function type, selects the rejection error
+     * @param {AbortSignal} [signal] - Gives up waiting when it aborts
+     * @returns {Promise<Function>} Releases the slot, safe to call more than once
+     */
+    acquire(functionType, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return Promise.resolve(this.createRelease());
+        }
+        if (this.queue.length >= this.maxQueue) {
+            this.rejected++;
+            return Promise.reject(createOverloadedError(
+                functionType,
+                `${this.label} is overloaded: ${this.active} calls running and ${this.queue.length} queued`
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.queue.splice(this.queue.indexOf(waiter), 1);
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            this.queue.push(waiter);
+        });
+    }
+
+    /**
+     * Build the release function of an acquired slot
+     * @returns {Function} Release
+     */
+    createRelease() {
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.active--;
+                this.drain();
+            }
+        };
+    }
+
+    /**
+     * Hand free slots to waiting calls, oldest first
+     */
+    drain() {
+        while (this.active < this.maxConcurrent && this.queue.length > 0) {
+            const waiter = this.queue.shift();
+            if (waiter.signal) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            this.active++;
+            waiter.resolve(this.createRelease());
+        }
+    }
+
+    /**
+     * Current load, as reported by the health check
+     * @returns {{active: number, queued: number, rejected: number, max_concurrent: number|null, max_queue: number|null}} Stats
+     */
+    stats() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            rejected: this.rejected,
+            max_concurrent: this.maxConcurrent === Infinity ? null : this.maxConcurrent,
+            max_queue: this.maxQueue === Infinity ? null : this.maxQueue
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_QUEUE,
+    assertConcurrencyOptions,
+    Bulkhead
+};
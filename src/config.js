@@ -0,0 +1,139 @@
+/**
+ * Apito JavaScript Plugin SDK - Plugin Configuration
+ *
+ * Declared, typed configuration parsed from the env vars the engine sends
+ * in InitRequest.
+ *
+ * Example:
+ *   plugin.config({
+ *       API_URL: { type: 'url', required: true },
+ *       TIMEOUT: { type: 'int', default: 5000 }
+ *   });
+ */
+
+/**
+ * Value parsers keyed by declared type. Each returns the parsed value or
+ * throws an Error describing the expected format.
+ */
+const CONFIG_TYPES = {
+    string: value => String(value),
+    int: (value) => {
+        const text = String(value).trim();
+        if (!/^[-+]?\d+$/.test(text)) {
+            throw new Error('must be an integer');
+        }
+        return parseInt(text, 10);
+    },
+    number: (value) => {
+        const parsed = Number(String(value).trim());
+        if (String(value).trim() === '' || Number.isNaN(parsed)) {
+            throw new Error('must be a number');
+        }
+        return parsed;
+    },
+    bool: (value) => {
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(text)) return true;
+        if (['false', '0', 'no', 'off'].includes(text)) return false;
+        throw new Error('must be a boolean (true/false)');
+    },
+    url: (value) => {
+        try {
+            return new URL(String(value)).toString();
+        } catch (error) {
+            throw new Error('must be a valid URL');
+        }
+    },
+    json: (value) => {
+        try {
+            return JSON.parse(String(value));
+        } catch (error) {
+            throw new Error('must be valid JSON');
+        }
+    }
+};
+
+// Aliases
+CONFIG_TYPES.integer = CONFIG_TYPES.int;
+CONFIG_TYPES.float = CONFIG_TYPES.number;
+CONFIG_TYPES.boolean = CONFIG_TYPES.bool;
+
+/**
+ * Check that a key's definition is an object
+ * @param {string} key - Config key
+ * @param {any} def - Key definition
+ * @throws {Error} If the definition is missing or not an object
+ */
+function assertConfigDefinition(key, def) {
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        throw new Error(`config: definition for key '${key}' must be an object, got ${def === null ? 'null' : typeof def}`);
+    }
+}
+
+/**
+ * Validate a config schema declaration
+ * @param {Object} schema - Config schema
+ * @throws {Error} If a key has no definition or declares an unknown type
+ */
+function validateConfigSchema(schema) {
+    for (const [key, def] of Object.entries(schema)) {
+        assertConfigDefinition(key, def);
+        const type = def.type || 'string';
+        if (!CONFIG_TYPES[type]) {
+            throw new Error(`config: unknown type '${type}' for key '${key}'`);
+        }
+        if (def.enum && !Array.isArray(def.enum)) {
+            throw new Error(`config: enum for key '${key}' must be an array`);
+        }
+    }
+}
+
+/**
+ * Parse raw string values against a config schema
+ * @param {Object} schema - Config schema ({ KEY: { type, required, default, enum } })
+ * @param {Object<string, string>} values - Raw values by key
+ * @returns {{config: Object, errors: string[]}} Parsed config and validation errors
+ * @throws {Error} If a key has no definition
+ */
+function parseConfig(schema, values) {
+    const config = {};
+    const errors = [];
+
+    for (const [key, def] of Object.entries(schema)) {
+        assertConfigDefinition(key, def);
+        const raw = values[key];
+        const type = def.type || 'string';
+
+        if (raw === undefined || raw === null || raw === '') {
+            if (def.default !== undefined) {
+                config[key] = def.default;
+            } else if (def.required) {
+                errors.push(`missing required key ${key}`);
+            }
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = CONFIG_TYPES[type](raw);
+        } catch (error) {
+            errors.push(`${key} ${error.message}`);
+            continue;
+        }
+
+        if (def.enum && !def.enum.includes(parsed)) {
+            errors.push(`${key} must be one of: ${def.enum.join(', ')}`);
+            continue;
+        }
+
+        config[key] = parsed;
+    }
+
+    return { config, errors };
+}
+
+module.exports = {
+    CONFIG_TYPES,
+    validateConfigSchema,
+    parseConfig
+};
@@ -0,0 +1,156 @@
+/**
+ * Apito JavaScript Plugin SDK - Health Checks
+ *
+ * Named health checks run by the `system`/`health_check` function. Each
+ * check has a timeout and may be critical:
+ *
+ *   plugin.registerHealthCheck('database', async () => ({ latency_ms: await db.ping() }), {
+ *       critical: true,   // a failure makes the plugin unhealthy, not degraded
+ *       timeout: 2000,
+ *       liveness: false   // only run for readiness probes
+ *   });
+ *
+ * A check fails when it throws, times out or reports `unhealthy`. Failed
+ * critical checks make the plugin `unhealthy`, other failures and
+ * `degraded` reports make it `degraded`.
+ *
+ * Liveness probes only run the checks registered with `liveness: true`,
+ * readiness probes run every check.
+ */
+
+/**
+ * Probe modes accepted in the `mode` argument of health_check
+ */
+const HEALTH_MODES = ['liveness', 'readiness'];
+
+/**
+ * Default time budget of a single health check
+ */
+const DEFAULT_HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Default time a health report is reused for
+ */
+const DEFAULT_HEALTH_CACHE_TTL_MS = 1000;
+
+/**
+ * Validate a health check probe mode
+ * @param {string} mode - Probe mode
+ * @throws {Error} If the mode is unknown
+ */
+function assertHealthMode(mode) {
+    if (!HEALTH_MODES.includes(mode)) {
+        throw new Error(`Unknown health check mode '${mode}', expected one of: ${HEALTH_MODES.join(', ')}`);
+    }
+}
+
+/**
+ * Build a validated health check definition
+ * @param {string} name - Check name
+ * @param {Function} check - Check function, receives the handler context
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.critical] - A failure makes the plugin unhealthy
+ * @param {number} [options.timeout] - Time budget in milliseconds
+ * @param {boolean} [options.liveness] - Also run for liveness probes
+ * @returns {{name: string, check: Function, critical: boolean, timeout: number|undefined, liveness: boolean}} Definition
+ */
+function createHealthCheck(name, check, options = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Health check name must be a non-empty string');
+    }
+    if (typeof check !== 'function') {
+        throw new Error(`Health check '${name}' must be a function`);
+    }
+    if (options.timeout !== undefined && !(Number.isFinite(options.timeout) && options.timeout > 0)) {
+        throw new Error(`Health check '${name}' timeout must be a positive number of milliseconds`);
+    }
+    return {
+        name,
+        check,
+        critical: !!options.critical,
+        timeout: options.timeout,
+        liveness: !!options.liveness
+    };
+}
+
+/**
+ * Normalize what a check returned. Objects keep their details, `false`
+ * means unhealthy and anything else healthy.
+ * @param {any} result - Check result
+ * @returns {Object} Result with a status
+ */
+function normalizeResult(result) {
+    if (result === false) {
+        return { status: 'unhealthy' };
+    }
+    if (result && typeof result === 'object') {
+        return { ...result, status: result.status || 'healthy' };
+    }
+    return { status: 'healthy' };
+}
+
+/**
+ * Run one check within its time budget
+ * @param {Object} definition - Check definition
+ * @param {Object} context - Handler context
+ * @param {number} defaultTimeout - Timeout when the check has none
+ * @returns {Promise<Object>} Check result with status, critical and duration_ms
+ */
+async function runHealthCheck(definition, context, defaultTimeout) {
+    const timeout = definition.timeout || defaultTimeout;
+    const start = Date.now();
+    let timer;
+    let result;
+
+    try {
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check timed out after ${timeout}ms`)), timeout);
+        });
+        result = normalizeResult(await Promise.race([Promise.resolve().then(() => definition.check(context)), expired]));
+    } catch (error) {
+        result = { status: 'error', error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return { ...result, critical: definition.critical, duration_ms: Date.now() - start };
+}
+
+/**
+ * Run the checks of a probe mode in parallel and combine their status
+ * @param {Object[]} checks - Check definitions
+ * @param {Object} context - Handler context
+ * @param {string} mode - 'liveness' or 'readiness'
+ * @param {number} defaultTimeout - Timeout of checks without their own
+ * @returns {Promise<{status: string, results: Object}>} Overall status and results by check name
+ */
+async function runHealthChecks(checks, context, mode, defaultTimeout) {
+    const selected = checks.filter(definition => mode !== 'liveness' || definition.liveness);
+    const outcomes = await Promise.all(selected.map(definition => runHealthCheck(definition, context, defaultTimeout)));
+
+    let status = 'healthy';
+    const results = {};
+    selected.forEach((definition, index) => {
+        const result = outcomes[index];
+        results[definition.name] = result;
+        if (result.status === 'healthy') {
+            return;
+        }
+        if (definition.critical && result.status !== 'degraded') {
+            status = 'unhealthy';
+        } else if (status === 'healthy') {
+            status = 'degraded';
+        }
+    });
+
+    return { status, results };
+}
+
+module.exports = {
+    HEALTH_MODES,
+    DEFAULT_HEALTH_CHECK_TIMEOUT_MS,
+    DEFAULT_HEALTH_CACHE_TTL_MS,
+    assertHealthMode,
+    createHealthCheck,
+    runHealthChecks
+};
@@ -5,6 +5,8 @@
  * and utility functions similar to the Go SDK.
  */
 
+const { logger } = require('./logger');
+
 // ==============================================
 // GRAPHQL TYPE CREATION HELPERS
 // ==============================================
@@ -50,14 +52,102 @@ function createListType(ofType) {
  * Create an object type definition
  * @param {string} name - Object type name
  * @param {Object} fields - Object fields
+ * @param {Array<Object|string>} [interfaces] - Implemented interfaces (definitions or names)
  * @returns {Object} Object type definition
  */
-function createObjectType(name, fields) {
-    return {
+function createObjectType(name, fields, interfaces = null) {
+    const type = {
         kind: 'object',
         name: name,
         fields: fields
     };
+    if (interfaces && interfaces.length > 0) {
+        type.interfaces = [...interfaces];
+    }
+    return type;
+}
+
+/**
+ * Create an enum type definition
+ * @param {string} name - Enum type name
+ * @param {string[]|Object<string, string>} values - Enum values, or a map of value to description
+ * @param {string} [description] - Enum description
+ * @returns {Object} Enum type definition
+ */
+function createEnumType(name, values, description) {
+    const type = {
+        kind: 'enum',
+        name: name,
+        values: Array.isArray(values) ? [...values] : Object.keys(values)
+    };
+    if (!Array.isArray(values)) {
+        type.valueDescriptions = { ...values };
+    }
+    if (description) type.description = description;
+    return type;
+}
+
+/**
+ * Create an input object type definition
+ * @param {string} name - Input type name
+ * @param {Object} fields - Input fields (argument definitions, e.g. StringArg)
+ * @param {string} [description] - Input type description
+ * @returns {Object} Input object type definition
+ */
+function createInputObjectType(name, fields, description) {
+    const type = {
+        kind: 'input_object',
+        name: name,
+        fields: fields
+    };
+    if (description) type.description = description;
+    return type;
+}
+
+/**
+ * Create an interface type definition
+ * @param {string} name - Interface name
+ * @param {Object} fields - Interface fields
+ * @param {string} [description] - Interface description
+ * @returns {Object} Interface type definition
+ */
+function createInterfaceType(name, fields, description) {
+    const type = {
+        kind: 'interface',
+        name: name,
+        fields: fields
+    };
+    if (description) type.description = description;
+    return type;
+}
+
+/**
+ * Create a union type definition
+ * @param {string} name - Union name
+ * @param {Object[]} types - Member object types (from NewObjectType or createObjectType)
+ * @param {string} [description] - Union description
+ * @returns {Object} Union type definition
+ */
+function createUnionType(name, types, description) {
+    const type = {
+        kind: 'union',
+        name: name,
+        possibleTypes: types.map(toObjectTypeDefinition)
+    };
+    if (description) type.description = description;
+    return type;
+}
+
+/**
+ * Normalize an object type built with NewObjectType into a type definition
+ * @param {Object} objectType - Builder output or type definition
+ * @returns {Object} Object type definition
+ */
+function toObjectTypeDefinition(objectType) {
+    if (objectType && objectType.typeName && objectType.fields) {
+        return createObjectType(objectType.typeName, objectType.fields, objectType.interfaces);
+    }
+    return objectType;
 }
 
 // ==============================================
@@ -145,6 +235,15 @@ function FloatField(description) {
     return Field('Float', description);
 }
 
+/**
+ * Create an ID field
+ * @param {string} description - Field description
+ * @returns {Object} ID field definition
+ */
+function IDField(description) {
+    return Field('ID', description);
+}
+
 /**
  * Create a List field
  * @param {string|Object} itemType - Type of items in the list (string for scalars, object for custom types)
@@ -159,11 +258,10 @@ function ListField(itemType, description) {
         listItemType = createScalarType(itemType);
     } else if (itemType && itemType.typeName && itemType.fields) {
         // Handle object types created by NewObjectType - use proper object structure
-        listItemType = {
-            kind: 'object',
-            name: itemType.typeName,
-            fields: itemType.fields
-        };
+        listItemType = toObjectTypeDefinition(itemType);
+    } else if (itemType && itemType.kind) {
+        // Enum, interface, union or other type definitions
+        listItemType = itemType;
     } else {
         // Fallback to treating as scalar
         listItemType = createScalarType(itemType);
@@ -215,11 +313,7 @@ function ObjectField(description, objectType) {
     
     if (objectType && objectType.typeName && objectType.fields) {
         // Handle object types created by NewObjectType - use proper object structure
-        fieldType = {
-            kind: 'object',
-            name: objectType.typeName,
-            fields: objectType.fields
-        };
+        fieldType = toObjectTypeDefinition(objectType);
     } else {
         // Fallback to creating a generic object type
         fieldType = createObjectType('Object', objectType);
@@ -247,6 +341,35 @@ function ObjectFieldWithArgs(description, fields, args) {
     };
 }
 
+/**
+ * Create a field of an enum type
+ * @param {Object} enumType - Enum type definition (from EnumType)
+ * @param {string} description - Field description
+ * @returns {Object} Enum field definition
+ */
+function EnumField(enumType, description) {
+    return {
+        type: enumType,
+        description: description,
+        args: {}
+    };
+}
+
+/**
+ * Create a field of any type definition (interface, union, enum, wrapped types)
+ * @param {Object} typeDef - Type definition
+ * @param {string} description - Field description
+ * @param {Object} [args] - Field arguments
+ * @returns {Object} Field definition
+ */
+function TypeField(typeDef, description, args) {
+    return {
+        type: toObjectTypeDefinition(typeDef),
+        description: description,
+        args: args || {}
+    };
+}
+
 // ==============================================
 // GRAPHQL ARGUMENT HELPERS
 // ==============================================
@@ -299,15 +422,43 @@ function FloatArg(description) {
     };
 }
 
+/**
+ * Create an ID argument
+ * @param {string} description - Argument description
+ * @returns {Object} ID argument definition
+ */
+function IDArg(description) {
+    return {
+        type: createScalarType('ID'),
+        description: description
+    };
+}
+
 /**
  * Create a Non-null argument
- * @param {string} argType - Argument type
+ * @param {string|Object} argType - Argument type (string for scalars, a type definition such as an
+ *   EnumType or InputObjectType, or an argument object such as EnumArg or InputArg)
  * @param {string} description - Argument description
  * @returns {Object} Non-null argument definition
  */
 function NonNullArg(argType, description) {
+    let ofType;
+
+    if (typeof argType === 'string') {
+        // Scalar type like 'String', 'Int', etc.
+        ofType = createScalarType(argType);
+    } else if (argType && typeof argType === 'object' && argType.kind) {
+        // Type definition from EnumType, InputObjectType, etc.
+        ofType = argType;
+    } else if (argType && typeof argType === 'object' && argType.type && typeof argType.type === 'object') {
+        // Argument object from EnumArg, InputArg, etc.
+        ofType = argType.type;
+    } else {
+        throw new Error('NonNullArg: First parameter must be a string type, a type definition or an argument object');
+    }
+
     return {
-        type: createNonNullType(createScalarType(argType)),
+        type: ofType.kind === 'non_null' ? ofType : createNonNullType(ofType),
         description: description
     };
 }
@@ -351,6 +502,81 @@ function ObjectArg(description, properties) {
     };
 }
 
+/**
+ * Create an enum argument
+ * @param {Object} enumType - Enum type definition (from EnumType)
+ * @param {string} description - Argument description
+ * @returns {Object} Enum argument definition
+ */
+function EnumArg(enumType, description) {
+    return {
+        type: enumType,
+        description: description
+    };
+}
+
+/**
+ * Create an argument of a named input object type. Unlike ObjectArg, the
+ * input type can be reused across arguments and fields.
+ * @param {Object} inputType - Input type definition (from InputObjectType)
+ * @param {string} description - Argument description
+ * @returns {Object} Input argument definition
+ */
+function InputArg(inputType, description) {
+    return {
+        type: inputType,
+        description: description
+    };
+}
+
+// ==============================================
+// NAMED TYPE HELPERS
+// ==============================================
+
+/**
+ * Create an enum type, e.g. EnumType('Status', ['OPEN', 'CLOSED'])
+ * @param {string} name - Enum type name
+ * @param {string[]|Object<string, string>} values - Enum values, or a map of value to description
+ * @param {string} [description] - Enum description
+ * @returns {Object} Enum type definition
+ */
+function EnumType(name, values, description) {
+    return createEnumType(name, values, description);
+}
+
+/**
+ * Create a named input object type
+ * @param {string} name - Input type name
+ * @param {Object} fields - Input fields (argument definitions)
+ * @param {string} [description] - Input type description
+ * @returns {Object} Input object type definition
+ */
+function InputObjectType(name, fields, description) {
+    return createInputObjectType(name, fields, description);
+}
+
+/**
+ * Create an interface type
+ * @param {string} name - Interface name
+ * @param {Object} fields - Interface fields
+ * @param {string} [description] - Interface description
+ * @returns {Object} Interface type definition
+ */
+function InterfaceType(name, fields, description) {
+    return createInterfaceType(name, fields, description);
+}
+
+/**
+ * Create a union type
+ * @param {string} name - Union name
+ * @param {Object[]} types - Member object types
+ * @param {string} [description] - Union description
+ * @returns {Object} Union type definition
+ */
+function UnionType(name, types, description) {
+    return createUnionType(name, types, description);
+}
+
 // ==============================================
 // OBJECT TYPE BUILDER
 // ==============================================
@@ -427,6 +653,31 @@ class ObjectTypeBuilder {
         return this;
     }
 
+    /**
+     * Add a field of any type definition (scalar name, enum, object, interface, union, list...)
+     * @param {string} name - Field name
+     * @param {Object|string} typeDef - Type definition or scalar name
+     * @param {string} description - Field description
+     * @returns {ObjectTypeBuilder} Builder instance for chaining
+     */
+    addField(name, typeDef, description) {
+        this.definition.fields[name] = {
+            type: typeof typeDef === 'string' ? createScalarType(typeDef) : toObjectTypeDefinition(typeDef),
+            description: description
+        };
+        return this;
+    }
+
+    /**
+     * Declare interfaces implemented by the object type
+     * @param {...(Object|string)} interfaces - Interface definitions or names
+     * @returns {ObjectTypeBuilder} Builder instance for chaining
+     */
+    implements(...interfaces) {
+        this.definition.interfaces = interfaces;
+        return this;
+    }
+
     /**
      * Build and return the object type definition
      * @returns {Object} Complete object type definition
@@ -473,6 +724,37 @@ class RESTEndpointBuilder {
         return this;
     }
 
+    /**
+     * Add a schema for the path parameters (e.g. ObjectSchema({ id: IntegerSchema() }) for /users/:id)
+     * @param {Object} schema - Path parameters schema, properties named without the leading ':'
+     * @returns {RESTEndpointBuilder} Builder instance for chaining
+     */
+    withPathParamsSchema(schema) {
+        this.endpoint.schema.params = schema;
+        return this;
+    }
+
+    /**
+     * Add a schema for the query string parameters
+     * @param {Object} schema - Query parameters schema, properties named without the 'query_' prefix
+     * @returns {RESTEndpointBuilder} Builder instance for chaining
+     */
+    withQuerySchema(schema) {
+        this.endpoint.schema.query = schema;
+        return this;
+    }
+
+    /**
+     * Set how results are checked against the response schema for this endpoint,
+     * overriding the plugin default
+     * @param {string} mode - 'off', 'log' or 'strict'
+     * @returns {RESTEndpointBuilder} Builder instance for chaining
+     */
+    withResponseValidation(mode) {
+        this.endpoint.responseValidation = mode;
+        return this;
+    }
+
     /**
      * Add response schema to the endpoint
      * @param {Object} schema - Response schema
@@ -546,76 +828,116 @@ function PATCHEndpoint(path, description) {
 // REST SCHEMA HELPERS
 // ==============================================
 
+/**
+ * Marks a property schema as required by its parent ObjectSchema. A symbol
+ * keeps the flag out of the serialized JSON Schema, where `required` is the
+ * parent's list of property names.
+ */
+const REQUIRED_SCHEMA = Symbol('required');
+
+/**
+ * Apply schema options (required, enum, minLength, maxLength, pattern,
+ * minimum, maximum, format, ...) to a schema
+ * @param {Object} schema - Schema definition
+ * @param {Object} [options] - Schema options
+ * @returns {Object} Schema definition
+ */
+function applySchemaOptions(schema, options = {}) {
+    const { required, ...rest } = options;
+    Object.assign(schema, rest);
+    if (required === true) {
+        Object.defineProperty(schema, REQUIRED_SCHEMA, { value: true });
+    }
+    return schema;
+}
+
 /**
  * Create an object schema
- * @param {Object} properties - Schema properties
+ * @param {Object} properties - Schema properties; properties created with `{ required: true }` are listed in `required`
+ * @param {Object} [options] - Schema options (required: true or an array of property names, additionalProperties, description)
  * @returns {Object} Object schema definition
  */
-function ObjectSchema(properties) {
-    return {
+function ObjectSchema(properties, options = {}) {
+    const schema = {
         type: 'object',
         properties: properties
     };
+    const required = Array.isArray(options.required) ? [...options.required] : [];
+    for (const [name, property] of Object.entries(properties || {})) {
+        if (property && property[REQUIRED_SCHEMA] && !required.includes(name)) {
+            required.push(name);
+        }
+    }
+    if (required.length > 0) {
+        schema.required = required;
+    }
+    const { required: flag, ...rest } = options;
+    return applySchemaOptions(schema, { ...rest, required: flag === true });
 }
 
 /**
  * Create an array schema
  * @param {Object} itemSchema - Schema for array items
+ * @param {Object} [options] - Schema options (required, minItems, maxItems, description)
  * @returns {Object} Array schema definition
  */
-function ArraySchema(itemSchema) {
-    return {
+function ArraySchema(itemSchema, options) {
+    return applySchemaOptions({
         type: 'array',
         items: itemSchema
-    };
+    }, options);
 }
 
 /**
  * Create a string schema
  * @param {string} description - Schema description
+ * @param {Object} [options] - Schema options (required, enum, minLength, maxLength, pattern, format)
  * @returns {Object} String schema definition
  */
-function StringSchema(description) {
-    return {
+function StringSchema(description, options) {
+    return applySchemaOptions({
         type: 'string',
         description: description
-    };
+    }, options);
 }
 
 /**
  * Create an integer schema
  * @param {string} description - Schema description
+ * @param {Object} [options] - Schema options (required, enum, minimum, maximum)
  * @returns {Object} Integer schema definition
  */
-function IntegerSchema(description) {
-    return {
+function IntegerSchema(description, options) {
+    return applySchemaOptions({
         type: 'integer',
         description: description
-    };
+    }, options);
 }
 
 /**
  * Create a boolean schema
  * @param {string} description - Schema description
+ * @param {Object} [options] - Schema options (required)
  * @returns {Object} Boolean schema definition
  */
-function BooleanSchema(description) {
-    return {
+function BooleanSchema(description, options) {
+    return applySchemaOptions({
         type: 'boolean',
         description: description
-    };
+    }, options);
 }
 
 /**
  * Create a number schema
  * @param {string} description - Schema description
+ * @param {Object} [options] - Schema options (required, enum, minimum, maximum)
  * @returns {Object} Number schema definition
  */
-function NumberSchema(description) {
-    return {
+function NumberSchema(description, options) {
+    return applySchemaOptions({
         type: 'number',
         description: description
-    };
+    }, options);
 }
 
 // ==============================================
@@ -712,7 +1034,7 @@ function getArrayArg(args, key, defaultValue = []) {
  * @param {Object} args - Arguments object
  */
 function logRESTArgs(handlerName, args) {
-    console.error(`SDK: [${handlerName}] REST Args:`, JSON.stringify(args, null, 2));
+    logger.info('REST args', { handler: handlerName, args });
 }
 
 /**
@@ -859,6 +1181,75 @@ function createBadUserInputError(message, field = null) {
     return new GraphQLError(message, extensions);
 }
 
+// ==============================================
+// REST ERROR HANDLING
+// ==============================================
+
+const HTTP_STATUS_TEXT = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    409: 'Conflict',
+    422: 'Unprocessable Entity',
+    429: 'Too Many Requests',
+    500: 'Internal Server Error',
+    503: 'Service Unavailable',
+    504: 'Gateway Timeout'
+};
+
+/**
+ * REST Error class carrying an HTTP status code and structured details
+ */
+class RESTError extends Error {
+    constructor(statusCode, message, details = null) {
+        super(message);
+        this.name = 'RESTError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+
+    toJSON() {
+        const obj = {
+            status_code: this.statusCode,
+            error: HTTP_STATUS_TEXT[this.statusCode] || 'Error',
+            message: this.message
+        };
+        if (this.details) Object.assign(obj, this.details);
+        return obj;
+    }
+}
+
+/**
+ * Create a REST error with a status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} [details] - Additional fields for the error body
+ * @returns {RESTError} REST error instance
+ */
+function createRESTError(statusCode, message, details = null) {
+    return new RESTError(statusCode, message, details);
+}
+
+/**
+ * Create a 400 error listing request validation violations
+ * @param {Array<{location: string, path: string, message: string}>} violations - Violations
+ * @param {string} [message] - Error message
+ * @returns {RESTError} Bad request error instance
+ */
+function createBadRequestError(violations, message = 'Request validation failed') {
+    return new RESTError(400, message, { violations });
+}
+
+/**
+ * Check if an error is a REST error
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if error is a REST error
+ */
+function isRESTError(error) {
+    return error instanceof RESTError;
+}
+
 // ==============================================
 // GRAPHQL ERROR HELPER FUNCTIONS FOR RESOLVERS
 // ==============================================
@@ -992,6 +1383,17 @@ module.exports = {
     createNonNullType,
     createListType,
     createObjectType,
+    createEnumType,
+    createInputObjectType,
+    createInterfaceType,
+    createUnionType,
+    toObjectTypeDefinition,
+
+    // Named type helpers
+    EnumType,
+    InputObjectType,
+    InterfaceType,
+    UnionType,
 
     // Field helpers
     Field,
@@ -1000,20 +1402,26 @@ module.exports = {
     IntField,
     BooleanField,
     FloatField,
+    IDField,
     ListField,
     NonNullField,
     NonNullListField,
     ObjectField,
     ObjectFieldWithArgs,
+    EnumField,
+    TypeField,
 
     // Argument helpers
     StringArg,
     IntArg,
     BooleanArg,
     FloatArg,
+    IDArg,
     NonNullArg,
     ListArg,
     ObjectArg,
+    EnumArg,
+    InputArg,
 
     // Object type builder
     ObjectTypeBuilder,
@@ -1057,6 +1465,12 @@ module.exports = {
     createNotFoundError,
     createInternalError,
     createBadUserInputError,
+
+    // REST Error types and constructors
+    RESTError,
+    createRESTError,
+    createBadRequestError,
+    isRESTError,
     
     // GraphQL Error helper functions for resolvers
     throwGraphQLError,
@@ -0,0 +1,298 @@
+/**
+ * Apito JavaScript Plugin SDK - HostService Client
+ *
+ * Promise-based client for the HostService exposed by the Apito Engine.
+ * Lets resolvers, REST handlers and custom functions read and write Apito
+ * content from inside the plugin.
+ */
+
+const grpc = require('@grpc/grpc-js');
+const { toStruct, fromStruct, decodeAny, encodeAny } = require('./struct');
+const { logger } = require('./logger');
+const { tracer } = require('./tracing');
+const { getActiveSignal } = require('./cancellation');
+
+/**
+ * Environment variable holding the HostService address (host:port)
+ */
+const HOST_ADDRESS_ENV = 'APITO_HOST_SERVICE_ADDR';
+
+/**
+ * HostService client class
+ */
+class HostClient {
+    /**
+     * @param {Function} serviceClient - HostService client constructor from the loaded proto
+     * @param {Object} [options] - Client options
+     * @param {string} [options.address] - HostService address, defaults to $APITO_HOST_SERVICE_ADDR
+     * @param {Object} [options.credentials] - gRPC channel credentials (insecure by default)
+     */
+    constructor(serviceClient, options = {}) {
+        this.ServiceClient = serviceClient;
+        this.address = options.address || null;
+        this.credentials = options.credentials || null;
+        this.client = null;
+    }
+
+    /**
+     * Whether a HostService address is set, through options or the environment
+     * @returns {boolean} True when the client can connect
+     */
+    isConfigured() {
+        return Boolean(this.address || process.env[HOST_ADDRESS_ENV]);
+    }
+
+    /**
+     * Lazily create the underlying gRPC client. The address is resolved on
+     * first use so it can be provided through the engine's Init env vars.
+     * @returns {Object} gRPC client
+     */
+    getClient() {
+        if (this.client) {
+            return this.client;
+        }
+
+        const address = this.address || process.env[HOST_ADDRESS_ENV];
+        if (!address) {
+            throw new Error(`HostService address not configured. Set ${HOST_ADDRESS_ENV} or pass options.address`);
+        }
+
+        this.client = new this.ServiceClient(address, this.credentials || grpc.credentials.createInsecure());
+        logger.debug('Connected HostService client', { address });
+        return this.client;
+    }
+
+    /**
+     * Invoke a HostService RPC and resolve with its response. The RPC is
+     * cancelled when the signal, by default the one of the Execute call in
+     * progress, aborts.
+     * @param {string} method - RPC method name
+     * @param {Object} request - Request message
+     * @param {Object} [options] - Call options
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @returns {Promise<Object>} Response message
+     */
+    call(method, request, options = {}) {
+        const signal = options.signal || getActiveSignal();
+        const attributes = { 'rpc.system': 'grpc', 'rpc.service': 'HostService', 'rpc.method': method };
+        return tracer.withSpan(`HostService/${method}`, { kind: 'client', attributes }, span => new Promise((resolve, reject) => {
+            let client;
+            try {
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                client = this.getClient();
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            // Propagate the trace to the engine
+            const metadata = new grpc.Metadata();
+            metadata.set('traceparent', span.traceparent());
+
+            const onAbort = () => {
+                if (pending && typeof pending.cancel === 'function') {
+                    pending.cancel();
+                }
+                reject(signal.reason);
+            };
+            const pending = client[method](request, metadata, (err, response) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (err) {
+                    const error = new Error(`HostService.${method} failed: ${err.details || err.message}`);
+                    error.code = err.code;
+                    error.method = method;
+                    reject(error);
+                    return;
+                }
+                resolve(response);
+            });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }));
+    }
+
+    /**
+     * Get a single resource by id
+     * @param {string} model - Model name
+     * @param {string} id - Resource id
+     * @param {boolean} [singlePageData] - Whether the model is a single page model
+     * @returns {Promise<Object|null>} Resource data
+     */
+    async getSingleResource(model, id, singlePageData = false) {
+        const response = await this.call('GetSingleResource', {
+            model,
+            id,
+            single_page_data: singlePageData
+        });
+        return decodeAny(response.resource);
+    }
+
+    /**
+     * Search resources of a model
+     * @param {string} model - Model name
+     * @param {Object} [filter] - Search filter
+     * @param {boolean} [aggregate] - Whether to return aggregated results
+     * @returns {Promise<any>} Matching resources
+     */
+    async searchResources(model, filter = {}, aggregate = false) {
+        const response = await this.call('SearchResources', {
+            model,
+            filter: toStruct(filter),
+            aggregate
+        });
+        return decodeAny(response.resources);
+    }
+
+    /**
+     * Get documents related to a resource
+     * @param {string} id - Resource id
+     * @param {Object} connection - Connection description
+     * @returns {Promise<any>} Related documents
+     */
+    async getRelationDocuments(id, connection = {}) {
+        const response = await this.call('GetRelationDocuments', {
+            id,
+            connection: toStruct(connection)
+        });
+        return decodeAny(response.documents);
+    }
+
+    /**
+     * Create a new resource
+     * @param {string} model - Model name
+     * @param {Object} data - Resource data
+     * @param {Object} [connection] - Relations to connect
+     * @returns {Promise<Object|null>} Created resource
+     */
+    async createNewResource(model, data, connection = {}) {
+        const response = await this.call('CreateNewResource', {
+            model,
+            data: toStruct(data),
+            connection: toStruct(connection)
+        });
+        return decodeAny(response.resource);
+    }
+
+    /**
+     * Update an existing resource
+     * @param {string} model - Model name
+     * @param {string} id - Resource id
+     * @param {Object} data - Fields to update
+     * @param {Object} [options] - Update options
+     * @param {Object} [options.connect] - Relations to connect
+     * @param {Object} [options.disconnect] - Relations to disconnect
+     * @param {boolean} [options.singlePageData] - Whether the model is a single page model
+     * @returns {Promise<Object|null>} Updated resource
+     */
+    async updateResource(model, id, data, options = {}) {
+        const response = await this.call('UpdateResource', {
+            model,
+            id,
+            single_page_data: !!options.singlePageData,
+            data: toStruct(data),
+            connect: toStruct(options.connect),
+            disconnect: toStruct(options.disconnect)
+        });
+        return decodeAny(response.resource);
+    }
+
+    /**
+     * Delete a resource
+     * @param {string} model - Model name
+     * @param {string} id - Resource id
+     * @returns {Promise<{success: boolean, message: string}>} Delete result
+     */
+    async deleteResource(model, id) {
+        const response = await this.call('DeleteResource', { model, id });
+        return { success: response.success, message: response.message };
+    }
+
+    /**
+     * Generate a tenant scoped token
+     * @param {string} token - Current token
+     * @param {string} tenantId - Tenant id
+     * @returns {Promise<string>} Tenant token
+     */
+    async generateTenantToken(token, tenantId) {
+        const response = await this.call('GenerateTenantToken', {
+            token,
+            tenant_id: tenantId
+        });
+        return response.token;
+    }
+
+    /**
+     * Get project details
+     * @param {string} projectId - Project id
+     * @returns {Promise<Object|null>} Project details
+     */
+    async getProjectDetails(projectId) {
+        const response = await this.call('GetProjectDetails', { project_id: projectId });
+        if (!response.project) {
+            return null;
+        }
+        return {
+            ...response.project,
+            schema: fromStruct(response.project.schema)
+        };
+    }
+
+    /**
+     * Send an audit log entry to the engine
+     * @param {Object} auditData - Audit data
+     * @param {string} auditData.resource - Resource name
+     * @param {string} auditData.action - Action performed
+     * @param {Object} [auditData.author] - Author information
+     * @param {Object} [auditData.data] - Audit payload
+     * @param {Object} [auditData.meta] - Additional metadata
+     * @param {Object} [auditData.additional_fields] - Extra fields
+     * @returns {Promise<{success: boolean, message: string}>} Send result
+     */
+    async sendAuditLog(auditData) {
+        const response = await this.call('SendAuditLog', {
+            audit_data: {
+                resource: auditData.resource,
+                action: auditData.action,
+                author: toStruct(auditData.author),
+                data: toStruct(auditData.data),
+                meta: toStruct(auditData.meta),
+                additional_fields: toStruct(auditData.additional_fields)
+            }
+        });
+        return { success: response.success, message: response.message };
+    }
+
+    /**
+     * Send debug data to the engine
+     * @param {string} stage - Debug stage label
+     * @param {...any} data - Values to send
+     * @returns {Promise<any>} Debug result
+     */
+    async debug(stage, ...data) {
+        const response = await this.call('Debug', {
+            stage,
+            data: data.map(encodeAny)
+        });
+        return decodeAny(response.result);
+    }
+
+    /**
+     * Close the underlying gRPC channel
+     */
+    close() {
+        if (this.client) {
+            this.client.close();
+            this.client = null;
+        }
+    }
+}
+
+module.exports = {
+    HOST_ADDRESS_ENV,
+    HostClient
+};
@@ -0,0 +1,421 @@
+/**
+ * Apito JavaScript Plugin SDK - HTTP Client
+ *
+ * Outbound HTTP on top of Node's fetch for plugins that wrap third-party
+ * APIs. Requests are retried with exponential backoff, guarded by a circuit
+ * breaker per host, bounded by a timeout and cancelled with the Execute
+ * call they run in. Every request gets a client span and a debug log entry.
+ *
+ *   const stripe = plugin.createHttpClient({
+ *       baseURL: 'https://api.stripe.com/v1/',
+ *       headers: { Authorization: `Bearer ${process.env.STRIPE_KEY}` },
+ *       retries: 3
+ *   });
+ *   const { data } = await stripe.get('customers', { query: { limit: 10 } });
+ *
+ * Circuit states of clients created with `plugin.createHttpClient()` (and
+ * of `plugin.http`) are reported by the health check.
+ */
+
+const { logger } = require('./logger');
+const { tracer } = require('./tracing');
+const { getActiveSignal } = require('./cancellation');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 100;
+const DEFAULT_MAX_RETRY_DELAY_MS = 5000;
+const DEFAULT_RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const DEFAULT_RETRY_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/**
+ * Error of a failed request: an error status after the last attempt, a
+ * timeout, a network failure or an open circuit
+ */
+class HttpError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Failure details
+     * @param {string} details.code - HTTP_STATUS, TIMEOUT, NETWORK_ERROR or CIRCUIT_OPEN
+     * @param {string} details.method - Request method
+     * @param {string} details.url - Request URL without its query string
+     * @param {number} [details.status] - Response status
+     * @param {any} [details.data] - Response body
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.code = details.code;
+        this.method = details.method;
+        this.url = details.url;
+        this.status = details.status;
+        this.data = details.data;
+    }
+}
+
+/**
+ * Consecutive-failure circuit breaker. Opens after `failureThreshold`
+ * failures, lets one trial request through after `resetTimeout` and closes
+ * again when it succeeds.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} [options] - Breaker options
+     * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+     * @param {number} [options.resetTimeout] - Milliseconds before an open circuit allows a trial request
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || DEFAULT_FAILURE_THRESHOLD;
+        this.resetTimeout = options.resetTimeout || DEFAULT_RESET_TIMEOUT_MS;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Check whether a request may be sent, moving an expired open circuit to half_open
+     * @returns {boolean} True when the request may be sent
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half_open';
+        }
+        if (this.state === 'half_open') {
+            if (this.trialInFlight) {
+                return false;
+            }
+            this.trialInFlight = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    onSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Forget a request abandoned by its caller, it says nothing about the host
+     */
+    onAbandoned() {
+        this.trialInFlight = false;
+    }
+
+    onFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * @returns {{state: string, failures: number, opened_at: string|null}} Breaker state for the health check
+     */
+    stats() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+/**
+ * Wait, giving up when any of the signals aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal[]} signals - Abort signals
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signals) {
+    return new Promise((resolve, reject) => {
+        const onAbort = (event) => {
+            cleanup();
+            reject(event.target.reason);
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            resolve();
+        }, ms);
+        signals.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+    });
+}
+
+/**
+ * Seconds of a Retry-After header, in milliseconds
+ * @param {string|null} header - Retry-After value (seconds or an HTTP date)
+ * @returns {number|null} Delay, null when absent or invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Read a response body as JSON when it says so, as text otherwise
+ * @param {Response} response - fetch response
+ * @returns {Promise<any>} Body
+ */
+async function readBody(response) {
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    if (text && type.includes('json')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Create a controller that aborts when any of the signals aborts
+ * @param {AbortSignal[]} signals - Signals to follow
+ * @returns {AbortController} Controller with a dispose() removing its listeners
+ */
+function combineSignals(signals) {
+    const controller = new AbortController();
+    const listeners = signals.map(signal => {
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        return () => signal.removeEventListener('abort', onAbort);
+    });
+    controller.dispose = () => listeners.forEach(remove => remove());
+    return controller;
+}
+
+class HttpClient {
+    /**
+     * @param {Object} [options] - Client options
+     * @param {string} [options.baseURL] - Base URL relative request URLs are resolved against
+     * @param {Object} [options.headers] - Headers sent with every request
+     * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+     * @param {number} [options.retries] - Retries after the first attempt
+     * @param {number} [options.retryDelay] - Backoff base in milliseconds, doubled on every retry
+     * @param {number} [options.maxRetryDelay] - Backoff cap in milliseconds, also caps Retry-After
+     * @param {number[]} [options.retryOn] - Response statuses that are retried
+     * @param {string[]} [options.retryMethods] - Methods that are retried, idempotent ones by default
+     * @param {Object|false} [options.circuitBreaker] - Per-host breaker options ({ failureThreshold, resetTimeout }), false disables it
+     */
+    constructor(options = {}) {
+        this.baseURL = options.baseURL || null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY_MS;
+        this.maxRetryDelay = options.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY_MS;
+        this.retryOn = options.retryOn || DEFAULT_RETRY_STATUSES;
+        this.retryMethods = (options.retryMethods || DEFAULT_RETRY_METHODS).map(method => method.toUpperCase());
+        this.circuitBreaker = options.circuitBreaker === false ? null : (options.circuitBreaker || {});
+        this.circuits = new Map();
+    }
+
+    /**
+     * Get the circuit breaker of a host
+     * @param {string} host - Host (and port)
+     * @returns {CircuitBreaker|null} Breaker, null when disabled
+     */
+    getCircuit(host) {
+        if (!this.circuitBreaker) {
+            return null;
+        }
+        if (!this.circuits.has(host)) {
+            this.circuits.set(host, new CircuitBreaker(this.circuitBreaker));
+        }
+        return this.circuits.get(host);
+    }
+
+    /**
+     * @returns {Object<string, {state: string, failures: number, opened_at: string|null}>} Breaker state by host
+     */
+    getCircuitStates() {
+        return Object.fromEntries([...this.circuits].map(([host, circuit]) => [host, circuit.stats()]));
+    }
+
+    /**
+     * Send a request. Error statuses left after the last attempt reject
+     * with an HttpError carrying the status and body.
+     * @param {string} method - HTTP method
+     * @param {string} url - Absolute URL, or relative to baseURL
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.headers] - Extra headers
+     * @param {Object} [options.query] - Query parameters
+     * @param {any} [options.json] - Body sent as JSON
+     * @param {any} [options.body] - Raw body
+     * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+     * @param {number} [options.retries] - Retries for this request
+     * @param {AbortSignal} [options.signal] - Abort signal, in addition to the Execute call's
+     * @returns {Promise<{status: number, headers: Object, data: any}>} Response
+     */
+    async request(method, url, options = {}) {
+        method = method.toUpperCase();
+        const target = new URL(url, this.baseURL || undefined);
+        for (const [key, value] of Object.entries(options.query || {})) {
+            if (value !== undefined && value !== null) {
+                target.searchParams.set(key, String(value));
+            }
+        }
+        const headers = { ...this.headers, ...options.headers };
+        let body = options.body;
+        if (options.json !== undefined) {
+            body = JSON.stringify(options.json);
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        const signals = [options.signal, getActiveSignal()].filter(Boolean);
+        const retries = this.retryMethods.includes(method)
+            ? (options.retries !== undefined ? options.retries : this.retries)
+            : 0;
+        const circuit = this.getCircuit(target.host);
+        // Query strings often carry API keys, so messages, logs and spans leave them out
+        const location = `${target.origin}${target.pathname}`;
+        const attributes = {
+            'http.request.method': method,
+            'url.full': location,
+            'server.address': target.hostname
+        };
+
+        return tracer.withSpan(`HTTP ${method}`, { kind: 'client', attributes }, async (span) => {
+            for (let attempt = 0; ; attempt++) {
+                const aborted = signals.find(signal => signal.aborted);
+                if (aborted) {
+                    throw aborted.reason;
+                }
+                if (circuit && !circuit.allowRequest()) {
+                    throw new HttpError(`Circuit for ${target.host} is open`, { code: 'CIRCUIT_OPEN', method, url: location });
+                }
+
+                const outcome = await this.attempt(method, target, { location, headers, body, signals, timeout: options.timeout || this.timeout, span });
+                span.setAttribute('http.request.resend_count', attempt);
+
+                if (outcome.response && !this.retryOn.includes(outcome.response.status)) {
+                    if (circuit) {
+                        circuit.onSuccess();
+                    }
+                    const { response, data } = outcome;
+                    if (!response.ok) {
+                        throw new HttpError(`${method} ${location} failed with status ${response.status}`, {
+                            code: 'HTTP_STATUS', method, url: location, status: response.status, data
+                        });
+                    }
+                    return { status: response.status, headers: Object.fromEntries(response.headers), data };
+                }
+
+                if (outcome.cancelled) {
+                    if (circuit) {
+                        circuit.onAbandoned();
+                    }
+                    throw outcome.error;
+                }
+                if (circuit) {
+                    circuit.onFailure();
+                }
+                const error = outcome.error || new HttpError(`${method} ${location} failed with status ${outcome.response.status}`, {
+                    code: 'HTTP_STATUS', method, url: location, status: outcome.response.status, data: outcome.data
+                });
+                if (attempt >= retries) {
+                    throw error;
+                }
+
+                // Equal jitter: half the exponential delay, plus up to as much again at random
+                const exponential = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+                const backoff = Math.round(exponential / 2 + Math.random() * exponential / 2);
+                const retryAfter = outcome.response ? parseRetryAfter(outcome.response.headers.get('retry-after')) : null;
+                const delay = retryAfter !== null ? Math.min(this.maxRetryDelay, retryAfter) : backoff;
+                logger.warn('Retrying HTTP request', { method, url: location, attempt: attempt + 1, delay_ms: delay, error: error.message });
+                await sleep(delay, signals);
+            }
+        });
+    }
+
+    /**
+     * Send one attempt. Never rejects, except when the caller's signal aborts.
+     * @param {string} method - HTTP method
+     * @param {URL} target - Request URL
+     * @param {Object} request - Logged location, headers, body, caller signals, timeout and span
+     * @returns {Promise<{response?: Response, data?: any, error?: Error, cancelled?: boolean}>} Outcome
+     */
+    async attempt(method, target, request) {
+        const { location } = request;
+        const timeoutError = new HttpError(`${method} ${location} timed out after ${request.timeout}ms`, {
+            code: 'TIMEOUT', method, url: location
+        });
+        const controller = combineSignals(request.signals);
+        const timer = setTimeout(() => controller.abort(timeoutError), request.timeout);
+        const start = Date.now();
+
+        try {
+            const headers = { ...request.headers, traceparent: request.span.traceparent() };
+            const response = await fetch(target, { method, headers, body: request.body, signal: controller.signal });
+            const data = await readBody(response);
+            request.span.setAttribute('http.response.status_code', response.status);
+            logger.debug('HTTP request', { method, url: location, status: response.status, duration_ms: Date.now() - start });
+            return { response, data };
+        } catch (error) {
+            const reason = controller.signal.aborted ? controller.signal.reason : null;
+            if (reason && reason !== timeoutError) {
+                // The caller gave up, there is nothing left to retry for
+                return { error: reason, cancelled: true };
+            }
+            const failure = reason || new HttpError(`${method} ${location} failed: ${error.cause ? error.cause.message : error.message}`, {
+                code: 'NETWORK_ERROR', method, url: location
+            });
+            logger.debug('HTTP request failed', { method, url: location, error: failure.message, duration_ms: Date.now() - start });
+            return { error: failure };
+        } finally {
+            clearTimeout(timer);
+            controller.dispose();
+        }
+    }
+
+    get(url, options) {
+        return this.request('GET', url, options);
+    }
+
+    post(url, json, options = {}) {
+        return this.request('POST', url, { ...options, json });
+    }
+
+    put(url, json, options = {}) {
+        return this.request('PUT', url, { ...options, json });
+    }
+
+    patch(url, json, options = {}) {
+        return this.request('PATCH', url, { ...options, json });
+    }
+
+    delete(url, options) {
+        return this.request('DELETE', url, options);
+    }
+}
+
+module.exports = {
+    HttpError,
+    CircuitBreaker,
+    HttpClient
+};
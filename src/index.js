@@ -1,6 +1,40 @@
 // Main SDK exports
 const { Plugin, init } = require('./main');
 
+// HostService client
+const { HostClient } = require('./host');
+const { ModelRepository } = require('./repository');
+
+// Migrations
+const { MemoryMigrationStore, HostMigrationStore } = require('./migrations');
+
+// Search query builder
+const { QueryBuilder, query, where, isQueryBuilder } = require('./query');
+
+// Custom scalars
+const { defineScalar, DateTimeScalar, JSONScalar, BigIntScalar, UploadScalar } = require('./scalars');
+
+// Logging
+const { Logger, logger } = require('./logger');
+
+// Secret redaction
+const { Redactor } = require('./redact');
+
+// Tracing
+const { Span, Tracer, ConsoleSpanExporter, FileSpanExporter, OTLPHttpSpanExporter } = require('./tracing');
+
+// Metrics
+const { MetricsRegistry, Counter, Gauge, Histogram } = require('./metrics');
+
+// Result caching
+const { MemoryCacheStore } = require('./cache');
+
+// Rate limiting
+const { MemoryRateLimitStore } = require('./ratelimit');
+
+// HTTP client
+const { HttpClient, HttpError, CircuitBreaker } = require('./http');
+
 // Helper functions exports
 const {
   // GraphQL field helpers
@@ -12,6 +46,8 @@ const {
   ListField,
   NonNullField,
   FieldWithArgs,
+  EnumField,
+  TypeField,
   
   // GraphQL argument helpers
   StringArg,
@@ -22,12 +58,22 @@ const {
   ObjectArg,
   ListArg,
   NonNullArg,
+  EnumArg,
+  InputArg,
   
   // Type system helpers
   createScalarType,
   createNonNullType,
   createListType,
   createObjectType,
+  EnumType,
+  InputObjectType,
+  InterfaceType,
+  UnionType,
+  createEnumType,
+  createInputObjectType,
+  createInterfaceType,
+  createUnionType,
   
   // Object builder
   NewObjectType,
@@ -81,13 +127,29 @@ const {
   isGraphQLError,
   validateRequired,
   validateField,
-  handleGraphQLErrors
+  handleGraphQLErrors,
+  
+  // REST errors
+  RESTError,
+  createRESTError,
+  createBadRequestError,
+  isRESTError
 } = require('./helpers');
 
 module.exports = {
   // Main SDK
   Plugin,
   init,
+  HostClient,
+  ModelRepository,
+  MemoryMigrationStore,
+  HostMigrationStore,
+  
+  // Search query builder
+  QueryBuilder,
+  query,
+  where,
+  isQueryBuilder,
   
   // GraphQL field helpers
   StringField,
@@ -98,6 +160,8 @@ module.exports = {
   ListField,
   NonNullField,
   FieldWithArgs,
+  EnumField,
+  TypeField,
   
   // GraphQL argument helpers
   StringArg,
@@ -108,12 +172,22 @@ module.exports = {
   ObjectArg,
   ListArg,
   NonNullArg,
+  EnumArg,
+  InputArg,
   
   // Type system helpers
   createScalarType,
   createNonNullType,
   createListType,
   createObjectType,
+  EnumType,
+  InputObjectType,
+  InterfaceType,
+  UnionType,
+  createEnumType,
+  createInputObjectType,
+  createInterfaceType,
+  createUnionType,
   
   // Object builder
   NewObjectType,
@@ -167,5 +241,49 @@ module.exports = {
   isGraphQLError,
   validateRequired,
   validateField,
-  handleGraphQLErrors
+  handleGraphQLErrors,
+  
+  // Custom scalars
+  defineScalar,
+  DateTimeScalar,
+  JSONScalar,
+  BigIntScalar,
+  UploadScalar,
+  
+  // REST errors
+  RESTError,
+  createRESTError,
+  createBadRequestError,
+  isRESTError,
+  
+  // Logging
+  Logger,
+  logger,
+  
+  // Secret redaction
+  Redactor,
+  
+  // Tracing
+  Span,
+  Tracer,
+  ConsoleSpanExporter,
+  FileSpanExporter,
+  OTLPHttpSpanExporter,
+  
+  // Metrics
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  
+  // Result caching
+  MemoryCacheStore,
+  
+  // Rate limiting
+  MemoryRateLimitStore,
+  
+  // HTTP client
+  HttpClient,
+  HttpError,
+  CircuitBreaker
 }; 
\ No newline at end of file
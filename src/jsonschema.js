@@ -0,0 +1,195 @@
+/**
+ * Apito JavaScript Plugin SDK - JSON Schema Validation
+ *
+ * A small validator for the JSON Schema subset produced by the REST schema
+ * helpers (ObjectSchema, StringSchema, ...): type, properties, required,
+ * additionalProperties, items, minItems/maxItems, enum, minLength/maxLength,
+ * pattern, minimum/maximum and format.
+ */
+
+const { formatPath } = require('./scalars');
+
+/**
+ * Format validators keyed by `format`
+ */
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: (value) => {
+        try {
+            return !!new URL(value).protocol;
+        } catch (error) {
+            return false;
+        }
+    },
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+    ipv4: value => /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/.test(value)
+};
+FORMATS.url = FORMATS.uri;
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Value
+ * @returns {string} JSON Schema type
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {string} type - JSON Schema type
+ * @param {any} value - Value
+ * @returns {boolean} True when the value has the type
+ */
+function matchesType(type, value) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to validate
+ * @param {Array<string|number>} [path] - Path of the value
+ * @returns {Array<{path: string, message: string}>} Violations, empty when valid
+ */
+function validateJSONSchema(schema, value, path = []) {
+    const violations = [];
+    const report = message => violations.push({ path: formatPath(path), message });
+
+    if (!schema || typeof schema !== 'object') {
+        return violations;
+    }
+
+    const types = schema.type ? [].concat(schema.type) : [];
+    if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+        report(`must be of type ${types.join(' or ')}`);
+        return violations;
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        report(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report(`must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            report(`must be at most ${schema.maxLength} characters long`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report(`must match pattern ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            report(`must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(`must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(`must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            report(`must contain at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                violations.push(...validateJSONSchema(schema.items, item, [...path, index]));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                violations.push({ path: formatPath([...path, name]), message: 'is required' });
+            }
+        }
+        const properties = schema.properties || {};
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                if (propertyValue !== undefined && propertyValue !== null) {
+                    violations.push(...validateJSONSchema(properties[name], propertyValue, [...path, name]));
+                }
+            } else if (schema.additionalProperties === false) {
+                violations.push({ path: formatPath([...path, name]), message: 'is not allowed' });
+            }
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Convert string values (path and query params) to the types their schema
+ * declares, leaving values that do not parse as they are so validation can
+ * report them.
+ * @param {Object} schema - Object schema describing the values
+ * @param {Object<string, any>} values - Raw values by name
+ * @returns {Object<string, any>} Converted values
+ */
+function coerceStringValues(schema, values) {
+    const coerced = { ...values };
+    for (const [name, property] of Object.entries((schema && schema.properties) || {})) {
+        const value = coerced[name];
+        if (typeof value !== 'string') continue;
+
+        const types = property.type ? [].concat(property.type) : [];
+        if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            coerced[name] = Number(value);
+        } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            coerced[name] = value === 'true';
+        }
+    }
+    return coerced;
+}
+
+/**
+ * Remove properties a schema does not declare. Objects without `properties`
+ * or with `additionalProperties: true` are kept as they are.
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - Value to strip
+ * @returns {any} Stripped copy of the value
+ */
+function stripUndeclared(schema, value) {
+    if (!schema || typeof schema !== 'object' || value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return schema.items ? value.map(item => stripUndeclared(schema.items, item)) : value;
+    }
+    if (!schema.properties) {
+        return value;
+    }
+    const stripped = {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+        if (schema.properties[name]) {
+            stripped[name] = stripUndeclared(schema.properties[name], propertyValue);
+        } else if (schema.additionalProperties === true) {
+            stripped[name] = propertyValue;
+        }
+    }
+    return stripped;
+}
+
+module.exports = {
+    FORMATS,
+    validateJSONSchema,
+    coerceStringValues,
+    stripUndeclared
+};
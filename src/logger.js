@@ -0,0 +1,185 @@
+/**
+ * Apito JavaScript Plugin SDK - Logger
+ *
+ * Leveled logger writing one JSON object per line to stderr in the format
+ * hashicorp go-plugin parses (`@level`, `@message`, `@timestamp`); any other
+ * keys are passed on to the engine log as fields. stdout stays reserved for
+ * the handshake.
+ *
+ * The level defaults to 'info' and is read from PLUGIN_LOG_LEVEL, both at
+ * startup and from the env vars the engine sends on Init. 'trace' enables
+ * value-by-value struct tracing and full schema dumps.
+ *
+ * Every entry goes through the redactor (./redact) before it is written.
+ */
+
+const { redactor } = require('./redact');
+
+/**
+ * Log levels in increasing severity
+ */
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'off'];
+
+/**
+ * Environment variable holding the log level
+ */
+const LOG_LEVEL_ENV = 'PLUGIN_LOG_LEVEL';
+
+const DEFAULT_LOG_LEVEL = 'info';
+
+/**
+ * Validate a log level
+ * @param {string} level - Level name
+ * @returns {string} The level, lower-cased
+ * @throws {Error} If the level is unknown
+ */
+function assertLogLevel(level) {
+    const normalized = String(level).trim().toLowerCase();
+    if (!LOG_LEVELS.includes(normalized)) {
+        throw new Error(`Unknown log level '${level}', expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * Read the level from the environment, ignoring unknown values
+ * @returns {string} Level name
+ */
+function levelFromEnv() {
+    try {
+        return assertLogLevel(process.env[LOG_LEVEL_ENV] || DEFAULT_LOG_LEVEL);
+    } catch (error) {
+        return DEFAULT_LOG_LEVEL;
+    }
+}
+
+/**
+ * Make a field value safe for JSON output
+ * @param {any} value - Field value
+ * @returns {any} Serializable value
+ */
+function toFieldValue(value) {
+    if (value instanceof Error) {
+        return value.message;
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
+/**
+ * Leveled JSON-lines logger. Child loggers add fields and share their
+ * parent's level.
+ */
+class Logger {
+    /**
+     * @param {Object} [options] - Logger options
+     * @param {string} [options.level] - Initial level, defaults to PLUGIN_LOG_LEVEL or 'info'
+     * @param {Object} [options.fields] - Fields added to every entry
+     * @param {Redactor} [options.redactor] - Redactor applied to entries, defaults to the SDK redactor
+     */
+    constructor(options = {}) {
+        this.state = options.state || {
+            level: options.level ? assertLogLevel(options.level) : levelFromEnv(),
+            redactor: options.redactor || redactor
+        };
+        this.fields = options.fields || {};
+    }
+
+    /**
+     * Create a logger that adds fields to every entry
+     * @param {Object} fields - Fields
+     * @returns {Logger} Child logger
+     */
+    child(fields) {
+        return new Logger({ state: this.state, fields: { ...this.fields, ...fields } });
+    }
+
+    /**
+     * Set the level, shared with every child logger
+     * @param {string} level - trace, debug, info, warn, error or off
+     */
+    setLevel(level) {
+        this.state.level = assertLogLevel(level);
+    }
+
+    /**
+     * Get the current level
+     * @returns {string} Level name
+     */
+    getLevel() {
+        return this.state.level;
+    }
+
+    /**
+     * Check whether entries of a level are written
+     * @param {string} level - Level name
+     * @returns {boolean} True when enabled
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.state.level);
+    }
+
+    /**
+     * Write an entry
+     * @param {string} level - Level name
+     * @param {string} message - Message
+     * @param {Object} [fields] - Entry fields
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        const entry = {
+            '@level': level,
+            '@message': this.state.redactor.redactString(message),
+            '@timestamp': new Date().toISOString()
+        };
+        for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+            if (value !== undefined) {
+                entry[key] = this.state.redactor.redact(toFieldValue(value), key);
+            }
+        }
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            line = JSON.stringify({ '@level': level, '@message': entry['@message'], '@timestamp': entry['@timestamp'] });
+        }
+        process.stderr.write(`${line}\n`);
+    }
+
+    trace(message, fields) {
+        this.log('trace', message, fields);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+/**
+ * Process-wide SDK logger
+ */
+const logger = new Logger();
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_LEVEL_ENV,
+    assertLogLevel,
+    Logger,
+    logger
+};
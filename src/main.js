@@ -4,6 +4,86 @@ const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { HostClient } = require('./host');
+const { ModelRepository } = require('./repository');
+const query = require('./query');
+const { HostMigrationStore, MemoryMigrationStore, runMigrations } = require('./migrations');
+const { validateConfigSchema, parseConfig } = require('./config');
+const { SubscriptionBridge } = require('./subscriptions');
+const { buildSchemaFromSDL, printSDL } = require('./sdl');
+const {
+    GraphQLError,
+    createGraphQLErrorWithCode,
+    createScalarType,
+    createRESTError,
+    createBadRequestError,
+    isRESTError
+} = require('./helpers');
+const { toValue, toStruct } = require('./struct');
+const scalars = require('./scalars');
+const { createCoercionMiddleware } = require('./coercion');
+const { validateJSONSchema, coerceStringValues } = require('./jsonschema');
+const {
+    assertResponseValidationMode,
+    enforceGraphQLResponse,
+    enforceJSONSchemaResponse
+} = require('./response');
+const { assertMiddleware, compose } = require('./middleware');
+const { createAuthContext, assertGuardOptions, createGuardMiddleware } = require('./auth');
+const { Logger, logger, LOG_LEVEL_ENV } = require('./logger');
+const { Redactor, redactor } = require('./redact');
+const tracing = require('./tracing');
+const { MetricsRegistry } = require('./metrics');
+const health = require('./health');
+const cancellation = require('./cancellation');
+const { Bulkhead, assertConcurrencyOptions } = require('./concurrency');
+const { MemoryCacheStore, assertCacheOptions, assertTags, resolveTags, buildCacheKey } = require('./cache');
+const { MemoryRateLimitStore, assertRateLimitOptions, createRateLimitMiddleware } = require('./ratelimit');
+const { HttpClient, HttpError, CircuitBreaker } = require('./http');
+
+/**
+ * Default time budget for draining requests and running shutdown hooks
+ */
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10000;
+
+/**
+ * Functions answered by the SDK for the 'system' function type
+ */
+const SYSTEM_FUNCTIONS = new Set(['health_check', 'metrics']);
+
+/**
+ * Metric label value of functions the plugin does not serve
+ */
+const UNKNOWN_FUNCTION_LABEL = 'unknown';
+
+/**
+ * Race a promise against a timeout
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message when the timeout expires
+ * @returns {Promise} Promise result
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Error code recorded in the error metric: the GraphQL error code, the
+ * REST status code or INTERNAL_ERROR
+ * @param {Error} error - Error thrown by a call
+ * @returns {string} Error code
+ */
+function errorCode(error) {
+    if (error.extensions && error.extensions.code) {
+        return String(error.extensions.code);
+    }
+    return isRESTError(error) ? String(error.statusCode) : 'INTERNAL_ERROR';
+}
 
 /**
  * Apito JavaScript Plugin SDK
@@ -52,6 +132,21 @@ const fs = require('fs');
  * @returns {Promise<any>} Function result
  */
 
+/**
+ * @typedef {Object} RegistrationOptions
+ * @property {string} [responseValidation] - Response validation mode for this registration ('off', 'log' or 'strict')
+ * @property {Function[]} [middleware] - Middleware run for this registration only, after the plugin middleware
+ * @property {boolean} [requireAuth] - Require an authenticated user
+ * @property {string[]} [roles] - Require any of these roles
+ * @property {string[]} [permissions] - Require all of these permissions
+ * @property {boolean} [requireTenant] - Require a tenant
+ * @property {number} [timeout] - Execution timeout in milliseconds for this registration, 0 disables it
+ * @property {{maxConcurrent?: number, maxQueue?: number}} [concurrency] - Concurrency limit for this registration
+ * @property {Object} [cache] - Cache results for queries and custom functions ({ ttl, key, tags, scope }), see ./cache
+ * @property {string[]|Function} [invalidates] - Cache tags to invalidate after a successful call
+ * @property {Object} [rateLimit] - Rate limit for this registration ({ limit, window, algorithm, by }), see ./ratelimit
+ */
+
 /**
  * Main Plugin class that handles all plugin functionality
  */
@@ -64,15 +159,59 @@ class Plugin {
         // Registry maps
         this.queries = new Map();
         this.mutations = new Map();
+        this.subscriptions = new Map();
         this.restAPIs = [];
         this.resolvers = new Map();
+        this.subscriptionResolvers = new Map();
+        this.subscriptionBridge = new SubscriptionBridge();
         this.restHandlers = new Map();
         this.functions = new Map();
+        this.scalars = scalars.createScalarRegistry();
+        this.registrationOptions = new Map();
+        this.responseValidation = 'off';
+        this.middleware = [];
+        this.logger = logger;
+        this.redactor = redactor;
+        this.tracer = tracing.tracer;
+        this.tracer.setResource({ 'service.name': name, 'service.version': version });
+        this.metrics = new MetricsRegistry();
+        this.executeMetrics = this.registerExecuteMetrics();
         this.healthChecks = [];
+        this.healthCheckTimeout = health.DEFAULT_HEALTH_CHECK_TIMEOUT_MS;
+        this.healthCacheTTL = health.DEFAULT_HEALTH_CACHE_TTL_MS;
+        this.healthCache = new Map();
+        this.migrations = [];
+        this.migrationStore = null;
+
+        // Declared configuration and lifecycle hooks
+        this.configSchema = {};
+        this.configValues = {};
+        this.initHooks = [];
+        this.hiddenEnvKeys = new Set();
+
+        // Shutdown state
+        this.shutdownHooks = [];
+        this.shutdownTimeout = DEFAULT_SHUTDOWN_TIMEOUT_MS;
+        this.executionTimeout = cancellation.DEFAULT_EXECUTION_TIMEOUT_MS;
+        this.concurrency = new Bulkhead(`Plugin '${name}'`);
+        this.bulkheads = new Map();
+        this.cacheStore = new MemoryCacheStore();
+        this.rateLimitStore = new MemoryRateLimitStore();
+        this.shuttingDown = false;
+        this.inFlight = 0;
+        this.drainWaiters = [];
         
         // gRPC server instance
         this.server = null;
         this.protoDefinition = null;
+
+        // HostService client, wired up in serve()
+        this.host = null;
+        this.repositories = new Map();
+
+        // Outbound HTTP clients, whose circuits the health check reports
+        this.httpClients = [];
+        this.http = this.createHttpClient();
         
         // Auto-register health check
         this.registerFunction('health_check', this.performHealthCheck.bind(this));
@@ -83,13 +222,14 @@ class Plugin {
      * @param {string} name - Query name
      * @param {GraphQLField} field - Field definition
      * @param {ResolverFunc} resolver - Resolver function
+     * @param {RegistrationOptions} [options] - Per-registration options
      */
-    registerQuery(name, field, resolver) {
+    registerQuery(name, field, resolver, options = {}) {
+        this.setRegistrationOptions('graphql_query', name, options);
         field.resolve = name;
         this.queries.set(name, field);
         this.resolvers.set(name, resolver);
-        // Use stderr for plugin logs to avoid interfering with stdout handshake
-        process.stderr.write(`SDK: Registered query '${name}'\n`);
+        this.logger.debug('Registered query', { name });
     }
 
     /**
@@ -97,12 +237,199 @@ class Plugin {
      * @param {string} name - Mutation name
      * @param {GraphQLField} field - Field definition
      * @param {ResolverFunc} resolver - Resolver function
+     * @param {RegistrationOptions} [options] - Per-registration options
      */
-    registerMutation(name, field, resolver) {
+    registerMutation(name, field, resolver, options = {}) {
+        this.setRegistrationOptions('graphql_mutation', name, options);
         field.resolve = name;
         this.mutations.set(name, field);
         this.resolvers.set(name, resolver);
-        process.stderr.write(`SDK: Registered mutation '${name}'\n`);
+        this.logger.debug('Registered mutation', { name });
+    }
+
+    /**
+     * Register a GraphQL subscription
+     * @param {string} name - Subscription name
+     * @param {GraphQLField} field - Field definition (type of each event)
+     * @param {Function} resolver - Returns an async iterable of events, e.g. an async generator
+     * @param {RegistrationOptions} [options] - Per-registration options
+     */
+    registerSubscription(name, field, resolver, options = {}) {
+        this.setRegistrationOptions('graphql_subscription', name, options);
+        field.resolve = name;
+        this.subscriptions.set(name, field);
+        this.subscriptionResolvers.set(name, resolver);
+        this.logger.debug('Registered subscription', { name });
+    }
+
+    /**
+     * Configure how subscriptions are bridged to the engine
+     * @param {Object} options - Bridge options
+     * @param {number} [options.pollTimeout] - How long a poll waits for the next event (ms)
+     * @param {number} [options.idleTimeout] - Close subscriptions that are not polled for this long (ms)
+     */
+    setSubscriptionOptions(options) {
+        this.subscriptionBridge = new SubscriptionBridge(options);
+    }
+
+    /**
+     * Store per-registration options
+     * @param {string} functionType - Execute function type
+     * @param {string} name - Function name
+     * @param {RegistrationOptions} options - Options
+     */
+    setRegistrationOptions(functionType, name, options) {
+        if (options.responseValidation !== undefined) {
+            assertResponseValidationMode(options.responseValidation);
+        }
+        (options.middleware || []).forEach(assertMiddleware);
+        assertGuardOptions(options);
+        if (options.timeout !== undefined) {
+            cancellation.assertTimeout(options.timeout);
+        }
+        if (options.cache !== undefined) {
+            if (functionType !== 'graphql_query' && functionType !== 'custom_function') {
+                throw new Error('Result caching is only supported for queries and custom functions');
+            }
+            assertCacheOptions(options.cache);
+        }
+        assertTags(options.invalidates, "Option 'invalidates'");
+        if (options.rateLimit !== undefined) {
+            assertRateLimitOptions(options.rateLimit);
+        }
+        if (options.concurrency !== undefined) {
+            this.bulkheads.set(`${functionType}:${name}`, new Bulkhead(`Function '${name}'`, options.concurrency));
+        } else {
+            this.bulkheads.delete(`${functionType}:${name}`);
+        }
+        this.registrationOptions.set(`${functionType}:${name}`, options);
+    }
+
+    /**
+     * Get per-registration options
+     * @param {string} functionType - Execute function type
+     * @param {string} name - Function name
+     * @returns {RegistrationOptions} Options
+     */
+    getRegistrationOptions(functionType, name) {
+        return this.registrationOptions.get(`${functionType}:${name}`) || {};
+    }
+
+    /**
+     * Add middleware that wraps every function call (queries, mutations,
+     * subscriptions, REST APIs, custom and system functions). Middleware runs
+     * in the order it was added, before any per-registration middleware,
+     * and sees the raw arguments: GraphQL arguments are coerced later.
+     * @param {Function} middleware - async (ctx, next) => { ... }
+     * @returns {Plugin} The plugin, for chaining
+     */
+    use(middleware) {
+        this.middleware.push(assertMiddleware(middleware));
+        return this;
+    }
+
+    /**
+     * Set the SDK log level. Defaults to PLUGIN_LOG_LEVEL or 'info'; 'trace'
+     * also logs decoded struct values and schema dumps.
+     * @param {string} level - trace, debug, info, warn, error or off
+     */
+    setLogLevel(level) {
+        this.logger.setLevel(level);
+    }
+
+    /**
+     * Register a secret value. It is replaced with [REDACTED] wherever it
+     * appears in SDK logs and in errors returned to the engine.
+     * @param {string} value - Secret value
+     */
+    registerSecret(value) {
+        this.redactor.addValue(value);
+    }
+
+    /**
+     * Redact values of properties and env vars whose name matches a pattern,
+     * in addition to password, token, authorization, secret and api_key
+     * @param {string|RegExp} pattern - Case-insensitive substring or regular expression
+     */
+    addRedactionPattern(pattern) {
+        this.redactor.addKeyPattern(pattern);
+    }
+
+    /**
+     * Export spans of plugin calls, e.g. new OTLPHttpSpanExporter() for a
+     * local OpenTelemetry collector
+     * @param {{export: Function, shutdown?: Function}} exporter - Span exporter
+     */
+    addSpanExporter(exporter) {
+        this.tracer.addExporter(exporter);
+        this.logger.debug('Added span exporter', { exporter: exporter.constructor.name });
+    }
+
+    /**
+     * Set the default response validation mode. Results of GraphQL fields are
+     * checked against their declared type and REST results against the
+     * endpoint's response schema; undeclared properties are stripped.
+     * @param {string} mode - 'off' (default), 'log' to log mismatches or 'strict' to fail on them
+     */
+    setResponseValidation(mode) {
+        this.responseValidation = assertResponseValidationMode(mode);
+    }
+
+    /**
+     * Enforce the declared response shape on a result
+     * @param {string} functionType - Execute function type
+     * @param {string} functionName - Function name
+     * @param {any} result - Handler result
+     * @returns {any} Result with undeclared properties stripped
+     * @throws {GraphQLError|RESTError} In strict mode when the result does not match
+     */
+    enforceResponse(functionType, functionName, result) {
+        const mode = this.getRegistrationOptions(functionType, functionName).responseValidation || this.responseValidation;
+        if (mode === 'off') {
+            return result;
+        }
+
+        let enforced;
+        if (functionType === 'rest_api') {
+            const endpoint = this.restAPIs.find(api => api.handler === functionName);
+            const schema = endpoint && endpoint.schema && endpoint.schema.response;
+            if (!schema) return result;
+            enforced = enforceJSONSchemaResponse(schema, result);
+        } else {
+            const field = this.getGraphQLField(functionType, functionName);
+            if (!field) return result;
+            enforced = enforceGraphQLResponse(field.type, result);
+        }
+
+        if (enforced.violations.length > 0) {
+            const details = enforced.violations.map(v => `${v.path || '<root>'} ${v.message}`).join('; ');
+            this.logger.warn('Response does not match its declared shape', {
+                function_type: functionType,
+                function_name: functionName,
+                violations: details
+            });
+            if (mode === 'strict') {
+                const message = `Response of '${functionName}' does not match its declared shape`;
+                throw functionType === 'rest_api'
+                    ? createRESTError(500, message)
+                    : createGraphQLErrorWithCode(message, 'INTERNAL_ERROR');
+            }
+        }
+        return enforced.value;
+    }
+
+    /**
+     * Register a custom scalar. Incoming arguments declared with the scalar
+     * go through `parseValue` before the resolver runs, and results go
+     * through `serialize` before they are sent to the engine.
+     * @param {string} name - Scalar name
+     * @param {Object} options - Scalar behaviour ({ serialize, parseValue, description })
+     * @returns {Object} Scalar type definition to use in fields and arguments
+     */
+    registerScalar(name, options) {
+        this.scalars.set(name, scalars.defineScalar(name, options));
+        this.logger.debug('Registered scalar', { name });
+        return createScalarType(name);
     }
 
     /**
@@ -131,16 +458,78 @@ class Plugin {
         }
     }
 
+    /**
+     * Register multiple subscriptions at once
+     * @param {Object<string, GraphQLField>} subscriptions - Subscriptions map
+     * @param {Object<string, Function>} resolvers - Resolvers map
+     */
+    registerSubscriptions(subscriptions, resolvers) {
+        for (const [name, field] of Object.entries(subscriptions)) {
+            if (resolvers[name]) {
+                this.registerSubscription(name, field, resolvers[name]);
+            }
+        }
+    }
+
+    /**
+     * Register queries, mutations and subscriptions from GraphQL SDL
+     * @param {string} sdl - SDL with `type Query`/`type Mutation`/`type Subscription` and supporting types
+     * @param {Object} resolvers - Resolvers keyed by root type (`{ Query: { name: fn } }`) or by field name
+     * @returns {{queries: Object, mutations: Object, subscriptions: Object, types: Object}} Parsed field definitions
+     */
+    registerSDL(sdl, resolvers = {}) {
+        const schema = buildSchemaFromSDL(sdl);
+        const roots = [
+            ['Query', schema.queries, this.registerQuery],
+            ['Mutation', schema.mutations, this.registerMutation],
+            ['Subscription', schema.subscriptions, this.registerSubscription]
+        ];
+        const lookup = (root, name) => (resolvers[root] && resolvers[root][name]) || resolvers[name];
+
+        // Validate every resolver before registering anything
+        for (const [root, fields] of roots) {
+            for (const name of Object.keys(fields)) {
+                if (typeof lookup(root, name) !== 'function') {
+                    throw new Error(`registerSDL: missing resolver for ${root}.${name}`);
+                }
+            }
+        }
+
+        for (const [root, fields, register] of roots) {
+            for (const [name, field] of Object.entries(fields)) {
+                register.call(this, name, field, lookup(root, name));
+            }
+        }
+        return schema;
+    }
+
+    /**
+     * Print the registered queries, mutations and subscriptions as GraphQL SDL
+     * @returns {string} SDL document
+     */
+    toSDL() {
+        return printSDL({
+            queries: Object.fromEntries(this.queries),
+            mutations: Object.fromEntries(this.mutations),
+            subscriptions: Object.fromEntries(this.subscriptions)
+        });
+    }
+
     /**
      * Register a REST API endpoint
      * @param {RESTEndpoint} endpoint - Endpoint definition
      * @param {RESTHandlerFunc} handler - Handler function
+     * @param {RegistrationOptions} [options] - Per-registration options
      */
-    registerRESTAPI(endpoint, handler) {
+    registerRESTAPI(endpoint, handler, options = {}) {
         endpoint.handler = `${endpoint.method}_${endpoint.path}`;
+        this.setRegistrationOptions('rest_api', endpoint.handler, {
+            responseValidation: endpoint.responseValidation,
+            ...options
+        });
         this.restAPIs.push(endpoint);
         this.restHandlers.set(endpoint.handler, handler);
-        process.stderr.write(`SDK: Registered REST API ${endpoint.method} ${endpoint.path}\n`);
+        this.logger.debug('Registered REST API', { method: endpoint.method, path: endpoint.path });
     }
 
     /**
@@ -161,10 +550,12 @@ class Plugin {
      * Register a custom function
      * @param {string} name - Function name
      * @param {FunctionHandlerFunc} func - Function implementation
+     * @param {RegistrationOptions} [options] - Per-registration options
      */
-    registerFunction(name, func) {
+    registerFunction(name, func, options = {}) {
+        this.setRegistrationOptions('custom_function', name, options);
         this.functions.set(name, func);
-        process.stderr.write(`SDK: Registered function '${name}'\n`);
+        this.logger.debug('Registered function', { name });
     }
 
     /**
@@ -178,22 +569,389 @@ class Plugin {
     }
 
     /**
-     * Register a health check function
-     * @param {Function} healthCheck - Health check function
+     * Register a health check. Unnamed checks are called custom_check_<index>.
+     * @param {string|Function} name - Check name, or the check when unnamed
+     * @param {Function|Object} [healthCheck] - Check function, receives the handler context
+     * @param {Object} [options] - Check options
+     * @param {boolean} [options.critical] - A failure makes the plugin unhealthy instead of degraded
+     * @param {number} [options.timeout] - Time budget in milliseconds
+     * @param {boolean} [options.liveness] - Also run for liveness probes
+     */
+    registerHealthCheck(name, healthCheck, options) {
+        if (typeof name === 'function') {
+            [name, healthCheck, options] = [`custom_check_${this.healthChecks.length}`, name, healthCheck];
+        }
+        if (this.healthChecks.some(definition => definition.name === name)) {
+            throw new Error(`Health check '${name}' is already registered`);
+        }
+        this.healthChecks.push(health.createHealthCheck(name, healthCheck, options));
+        this.healthCache.clear();
+        this.logger.debug('Registered health check', { name });
+    }
+
+    /**
+     * Configure health checks
+     * @param {Object} options - Health check options
+     * @param {number} [options.timeout] - Default time budget of a check in milliseconds
+     * @param {number} [options.cacheTTL] - Milliseconds a report is reused for, 0 to run checks on every probe
+     */
+    setHealthCheckOptions(options) {
+        if (options.timeout !== undefined) {
+            this.healthCheckTimeout = options.timeout;
+        }
+        if (options.cacheTTL !== undefined) {
+            this.healthCacheTTL = options.cacheTTL;
+        }
+        this.healthCache.clear();
+    }
+
+    /**
+     * Declare the plugin configuration. Values are parsed from the env vars
+     * sent by the engine on Init; Init fails when required keys are missing.
+     * @param {Object<string, {type?: string, required?: boolean, default?: any, enum?: Array, description?: string}>} schema - Config schema
+     */
+    config(schema) {
+        validateConfigSchema(schema);
+        this.configSchema = { ...this.configSchema, ...schema };
+        this.logger.debug('Declared config keys', { keys: Object.keys(schema) });
+    }
+
+    /**
+     * Get the parsed configuration (available after Init)
+     * @returns {Object} Parsed config
+     */
+    getConfig() {
+        return this.configValues;
+    }
+
+    /**
+     * Register a hook that runs on Init after the configuration is parsed
+     * @param {Function} hook - Hook receiving (config, context)
+     */
+    onInit(hook) {
+        this.initHooks.push(hook);
+        this.logger.debug('Registered init hook');
+    }
+
+    /**
+     * Register a hook that runs on shutdown, after in-flight requests have
+     * drained. Hooks run in registration order.
+     * @param {Function} hook - Hook, e.g. closing DB pools or flushing buffers
+     */
+    onShutdown(hook) {
+        this.shutdownHooks.push(hook);
+        this.logger.debug('Registered shutdown hook');
+    }
+
+    /**
+     * Set the default execution timeout. Calls running longer fail with a
+     * TIMEOUT error and their `context.signal` aborts.
+     * @param {number} ms - Timeout in milliseconds, 0 disables it
+     */
+    setExecutionTimeout(ms) {
+        cancellation.assertTimeout(ms);
+        this.executionTimeout = ms;
+    }
+
+    /**
+     * Limit how many calls run at once across the plugin. Calls over the
+     * limit wait in a queue and are rejected with RESOURCE_EXHAUSTED once
+     * it is full. Per-function limits use the `concurrency` registration option.
+     * @param {Object} options - Concurrency options
+     * @param {number} [options.maxConcurrent] - Calls running at once, unlimited by default
+     * @param {number} [options.maxQueue] - Calls waiting for a slot, 100 by default
+     */
+    setConcurrency(options) {
+        assertConcurrencyOptions(options);
+        this.concurrency.configure(options);
+    }
+
+    /**
+     * Wait for a slot of the function's and the plugin's concurrency limits
+     * @param {string} functionType - Execute function type
+     * @param {string} functionName - Function name
+     * @param {AbortSignal} signal - Call signal, gives up waiting when it aborts
+     * @returns {Promise<Function>} Releases both slots
+     */
+    async acquireConcurrency(functionType, functionName, signal) {
+        const bulkhead = this.bulkheads.get(`${functionType}:${functionName}`);
+        const releaseFunction = bulkhead ? await bulkhead.acquire(functionType, signal) : () => {};
+        try {
+            const releasePlugin = await this.concurrency.acquire(functionType, signal);
+            return () => {
+                releasePlugin();
+                releaseFunction();
+            };
+        } catch (error) {
+            releaseFunction();
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the in-memory result cache, e.g. with a Redis backed store
+     * @param {Object} store - Store with get(key), set(key, value, { ttl, tags }), delete(key) and invalidateTags(tags)
+     */
+    setCacheStore(store) {
+        const missing = ['get', 'set', 'delete', 'invalidateTags'].filter(method => !store || typeof store[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Cache store must implement ${missing.join(', ')}`);
+        }
+        this.cacheStore = store;
+    }
+
+    /**
+     * Replace the in-memory rate limiter state, e.g. with a store shared by
+     * several plugin processes
+     * @param {Object} store - Store with update(key, ttl, updater) applying updater(state) atomically
      */
-    registerHealthCheck(healthCheck) {
-        this.healthChecks.push(healthCheck);
-        process.stderr.write(`SDK: Registered health check\n`);
+    setRateLimitStore(store) {
+        if (!store || typeof store.update !== 'function') {
+            throw new Error('Rate limit store must implement update');
+        }
+        this.rateLimitStore = store;
     }
 
     /**
-     * Built-in health check implementation
+     * Create an HTTP client for a third-party API. Requests are retried,
+     * guarded by per-host circuit breakers, cancelled with the Execute call
+     * they run in, traced and logged; circuit states appear in the health check.
+     * `plugin.http` is a client with the default options.
+     * @param {Object} [options] - Client options, see HttpClient
+     * @returns {HttpClient} Client
+     */
+    createHttpClient(options = {}) {
+        const client = new HttpClient(options);
+        this.httpClients.push(client);
+        return client;
+    }
+
+    /**
+     * Remove every cached result stored with any of the tags
+     * @param {string[]} tags - Cache tags
+     * @returns {Promise<void>}
+     */
+    async invalidateCache(tags) {
+        if (tags.length > 0) {
+            await this.cacheStore.invalidateTags(tags);
+            this.logger.debug('Invalidated cache tags', { tags });
+        }
+    }
+
+    /**
+     * Call the handler through the result cache when the registration
+     * enables it, then invalidate the tags it declares. Cache failures are
+     * logged and never fail the call.
+     * @param {Object} ctx - Middleware context
+     * @param {RegistrationOptions} options - Registration options
+     * @returns {Promise<any>} Handler result
+     */
+    async callCachedHandler(ctx, options) {
+        let result;
+        let key = null;
+        if (options.cache) {
+            try {
+                key = buildCacheKey(options.cache, ctx.functionType, ctx.functionName, ctx.context, ctx.args);
+            } catch (error) {
+                // Like a store failure, the call runs without the cache
+                ctx.logger.warn('Cache key failed', { error });
+            }
+        }
+
+        if (key !== null) {
+            const cached = await Promise.resolve()
+                .then(() => this.cacheStore.get(key))
+                .catch(error => {
+                    ctx.logger.warn('Cache read failed', { error });
+                    return undefined;
+                });
+            ctx.span.setAttribute('cache.hit', cached !== undefined);
+            if (cached !== undefined) {
+                return cached;
+            }
+
+            result = await this.callHandler(ctx);
+            if (result !== undefined) {
+                await Promise.resolve()
+                    .then(() => this.cacheStore.set(key, result, {
+                        ttl: options.cache.ttl,
+                        tags: resolveTags(options.cache.tags, ctx.context, ctx.args)
+                    }))
+                    .catch(error => ctx.logger.warn('Cache write failed', { error }));
+            }
+        } else {
+            result = await this.callHandler(ctx);
+        }
+
+        if (options.invalidates) {
+            await Promise.resolve()
+                .then(() => this.invalidateCache(resolveTags(options.invalidates, ctx.context, ctx.args)))
+                .catch(error => ctx.logger.warn('Cache invalidation failed', { error }));
+        }
+        return result;
+    }
+
+    /**
+     * Set the total time budget for draining requests and running shutdown hooks
+     * @param {number} ms - Timeout in milliseconds
+     */
+    setShutdownTimeout(ms) {
+        this.shutdownTimeout = ms;
+    }
+
+    /**
+     * Register a migration step. Steps run in version order of their ids
+     * (e.g. '001_init' before '002_orders') and each runs only once.
+     * @param {string} id - Unique, versioned migration id
+     * @param {Function} up - Migration step, receives the handler context
+     */
+    registerMigration(id, up) {
+        if (!id || typeof id !== 'string') {
+            throw new Error('registerMigration: id must be a non-empty string');
+        }
+        if (typeof up !== 'function') {
+            throw new Error(`registerMigration: up must be a function for migration '${id}'`);
+        }
+        if (this.migrations.some(migration => migration.id === id)) {
+            throw new Error(`registerMigration: duplicate migration id '${id}'`);
+        }
+        this.migrations.push({ id, up });
+        this.logger.debug('Registered migration', { id });
+    }
+
+    /**
+     * Set the store used to persist applied migration ids
+     * @param {Object} store - Store with getApplied() and markApplied(id, info)
+     */
+    setMigrationStore(store) {
+        this.migrationStore = store;
+    }
+
+    /**
+     * Resolve the migration store, persisting through the host when a
+     * HostService address is configured
+     * @returns {Object} Migration store
+     */
+    getMigrationStore() {
+        if (!this.migrationStore) {
+            this.migrationStore = this.host && this.host.isConfigured()
+                ? new HostMigrationStore(() => this.host, this.name)
+                : new MemoryMigrationStore();
+        }
+        return this.migrationStore;
+    }
+
+    /**
+     * Get a resource repository for a model
+     * @param {string} model - Model name
+     * @param {Object} [options] - Repository options
+     * @param {boolean} [options.singlePageData] - Whether the model is a single page model
+     * @returns {ModelRepository} Model repository
+     */
+    models(model, options = {}) {
+        const key = options.singlePageData ? `${model}:single` : model;
+        if (!this.repositories.has(key)) {
+            this.repositories.set(key, new ModelRepository(model, () => this.host, options));
+        }
+        return this.repositories.get(key);
+    }
+
+    /**
+     * Register the metrics recorded for every Execute call and the process
+     * @returns {{calls: Counter, errors: Counter, duration: Histogram}} Execute metrics
+     */
+    registerExecuteMetrics() {
+        const labelNames = ['function_name', 'function_type'];
+
+        this.metrics.gauge('plugin_function_in_flight', 'Execute calls in progress', {
+            collect: gauge => gauge.set(this.inFlight)
+        });
+        this.metrics.gauge('process_uptime_seconds', 'Process uptime in seconds', {
+            collect: gauge => gauge.set(process.uptime())
+        });
+        this.metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', {
+            collect: gauge => gauge.set(process.memoryUsage().rss)
+        });
+        this.metrics.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes', {
+            collect: gauge => gauge.set(process.memoryUsage().heapUsed)
+        });
+
+        return {
+            calls: this.metrics.counter('plugin_function_calls_total', 'Execute calls by function', { labelNames }),
+            errors: this.metrics.counter('plugin_function_errors_total', 'Failed Execute calls by function and error code', {
+                labelNames: [...labelNames, 'code']
+            }),
+            duration: this.metrics.histogram('plugin_function_duration_seconds', 'Execute call duration in seconds', { labelNames })
+        };
+    }
+
+    /**
+     * Metric labels of an Execute call. Names and types the plugin does not
+     * serve are collapsed to 'unknown', so requests for unregistered
+     * functions cannot grow the number of series.
+     * @param {string} functionType - Execute function type
+     * @param {string} functionName - Function name
+     * @returns {{function_name: string, function_type: string}} Labels
+     */
+    getExecuteMetricLabels(functionType, functionName) {
+        const registry = {
+            graphql_query: this.queries,
+            graphql_mutation: this.mutations,
+            graphql_subscription: this.subscriptions,
+            rest_api: this.restHandlers,
+            custom_function: this.functions,
+            system: SYSTEM_FUNCTIONS
+        }[functionType];
+        if (!registry) {
+            return { function_name: UNKNOWN_FUNCTION_LABEL, function_type: UNKNOWN_FUNCTION_LABEL };
+        }
+        return {
+            function_name: registry.has(functionName) ? functionName : UNKNOWN_FUNCTION_LABEL,
+            function_type: functionType
+        };
+    }
+
+    /**
+     * Built-in health check implementation, answering both the system and
+     * the custom function health_check. Reports are cached per mode for the
+     * configured TTL; failed reports are not cached.
+     * @param {Object} context - Request context
+     * @param {Object} [args] - Function arguments
+     * @param {string} [args.mode] - 'liveness' or 'readiness' (default)
+     * @returns {Promise<Object>} Health status
+     */
+    async performHealthCheck(context, args = {}) {
+        const mode = args.mode || 'readiness';
+        health.assertHealthMode(mode);
+
+        const cached = this.healthCache.get(mode);
+        if (cached && cached.expires > Date.now()) {
+            return cached.report;
+        }
+        const report = this.buildHealthReport(context, mode);
+        if (this.healthCacheTTL > 0) {
+            const entry = { report, expires: Date.now() + this.healthCacheTTL };
+            this.healthCache.set(mode, entry);
+            // A failed report is not replayed: the next probe runs the checks again
+            report.catch(() => {
+                if (this.healthCache.get(mode) === entry) {
+                    this.healthCache.delete(mode);
+                }
+            });
+        }
+        return report;
+    }
+
+    /**
+     * Run the health checks of a mode and describe the plugin
      * @param {Object} context - Request context
-     * @returns {Object} Health status
+     * @param {string} mode - 'liveness' or 'readiness'
+     * @returns {Promise<Object>} Health status
      */
-    async performHealthCheck(context) {
+    async buildHealthReport(context, mode) {
         const healthInfo = {
             status: 'healthy',
+            mode,
             plugin_id: this.name,
             version: this.version,
             timestamp: new Date().toISOString(),
@@ -202,6 +960,7 @@ class Plugin {
             capabilities: {
                 graphql_queries: this.queries.size > 0,
                 graphql_mutations: this.mutations.size > 0,
+                graphql_subscriptions: this.subscriptions.size > 0,
                 rest_endpoints: this.restAPIs.length > 0,
                 custom_functions: this.functions.size > 0,
                 health_checks: this.healthChecks.length > 0
@@ -211,46 +970,50 @@ class Plugin {
                 node_version: process.version,
                 platform: process.platform,
                 arch: process.arch
-            }
+            },
+            concurrency: {
+                plugin: this.concurrency.stats(),
+                functions: Object.fromEntries([...this.bulkheads].map(([key, bulkhead]) => [key, bulkhead.stats()]))
+            },
+            circuits: this.getCircuitStates()
         };
 
         // Run custom health checks
-        const customHealthResults = {};
-        let overallStatus = 'healthy';
-
-        for (let i = 0; i < this.healthChecks.length; i++) {
-            const checkName = `custom_check_${i}`;
-            try {
-                const checkResult = await this.healthChecks[i](context);
-                customHealthResults[checkName] = checkResult;
-                
-                if (checkResult.status && checkResult.status !== 'healthy') {
-                    overallStatus = 'degraded';
-                }
-            } catch (error) {
-                customHealthResults[checkName] = {
-                    status: 'error',
-                    error: error.message
-                };
-                overallStatus = 'degraded';
-            }
-        }
+        const { status, results } = await health.runHealthChecks(this.healthChecks, context, mode, this.healthCheckTimeout);
 
-        if (Object.keys(customHealthResults).length > 0) {
-            healthInfo.custom_health_checks = customHealthResults;
+        if (Object.keys(results).length > 0) {
+            healthInfo.custom_health_checks = this.redactor.redact(results);
         }
 
-        healthInfo.status = overallStatus;
+        healthInfo.status = status;
         return healthInfo;
     }
 
+    /**
+     * Circuit breaker states of every HTTP client by host. When several
+     * clients call the same host the least healthy circuit is reported.
+     * @returns {Object<string, Object>} Circuit states
+     */
+    getCircuitStates() {
+        const severity = { closed: 0, half_open: 1, open: 2 };
+        const circuits = {};
+        for (const client of this.httpClients) {
+            for (const [host, stats] of Object.entries(client.getCircuitStates())) {
+                if (!circuits[host] || severity[stats.state] > severity[circuits[host].state]) {
+                    circuits[host] = stats;
+                }
+            }
+        }
+        return circuits;
+    }
+
     /**
      * Start the plugin server
      */
     async serve() {
         // Validate magic cookie first
         if (!process.env.APITO_PLUGIN || process.env.APITO_PLUGIN !== 'apito_plugin_magic_cookie_v1') {
-            process.stderr.write('SDK: ERROR - Magic cookie not set or invalid. Expected APITO_PLUGIN=apito_plugin_magic_cookie_v1\n');
+            this.logger.error('Magic cookie not set or invalid. Expected APITO_PLUGIN=apito_plugin_magic_cookie_v1');
             process.exit(1);
         }
 
@@ -270,6 +1033,13 @@ class Plugin {
                                Object.keys(this.protoDefinition));
             }
 
+            // Create the HostService client unless one was injected already
+            const hostService = this.protoDefinition.apito?.plugin?.v1?.HostService ||
+                                this.protoDefinition.HostService;
+            if (!this.host && hostService) {
+                this.host = new HostClient(hostService);
+            }
+
             // Add plugin service
             this.server.addService(pluginService.service, {
                 Init: this.handleInit.bind(this),
@@ -283,7 +1053,7 @@ class Plugin {
             // Start server
             await this.startServer();
         } catch (error) {
-            process.stderr.write(`SDK: Failed to start plugin server: ${error}\n`);
+            this.logger.error('Failed to start plugin server', { error });
             process.exit(1);
         }
     }
@@ -314,7 +1084,7 @@ class Plugin {
             throw new Error('Could not find plugin.proto file');
         }
 
-        process.stderr.write(`SDK: Loading proto definition from: ${protoPath}\n`);
+        this.logger.debug('Loading proto definition', { path: protoPath });
 
         const packageDefinition = protoLoader.loadSync(protoPath, {
             keepCase: true,
@@ -345,7 +1115,7 @@ class Plugin {
                 // Start the server
                 this.server.start();
                 
-                process.stderr.write(`SDK: Plugin server listening on port ${assignedPort}\n`);
+                this.logger.info('Plugin server listening', { port: assignedPort });
                 
                 // Output the handshake protocol for go-plugin to stdout (CRITICAL: no other stdout output before this)
                 process.stdout.write(`1|1|tcp|127.0.0.1:${assignedPort}|grpc\n`);
@@ -362,47 +1132,148 @@ class Plugin {
      * Setup graceful shutdown handlers
      */
     setupGracefulShutdown() {
-        const shutdown = (signal) => {
-            process.stderr.write(`SDK: Received ${signal}, shutting down gracefully...\n`);
-            if (this.server) {
-                this.server.tryShutdown((err) => {
-                    if (err) {
-                        process.stderr.write(`SDK: Error during shutdown: ${err}\n`);
-                        process.exit(1);
-                    }
-                    process.stderr.write(`SDK: Shutdown complete\n`);
-                    process.exit(0);
-                });
-            } else {
-                process.exit(0);
+        const onSignal = (signal) => {
+            if (this.shuttingDown) {
+                this.logger.warn('Received signal again, forcing exit', { signal });
+                process.exit(1);
             }
+            this.logger.info('Received signal, shutting down gracefully', { signal });
+            this.shutdown().then(ok => process.exit(ok ? 0 : 1));
         };
 
-        process.on('SIGTERM', () => shutdown('SIGTERM'));
-        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => onSignal('SIGTERM'));
+        process.on('SIGINT', () => onSignal('SIGINT'));
+    }
+
+    /**
+     * Gracefully shut the plugin down: reject new Execute calls, wait for
+     * in-flight requests, run shutdown hooks and stop the gRPC server. The
+     * whole sequence is bounded by the shutdown timeout.
+     * @returns {Promise<boolean>} True when every step completed cleanly
+     */
+    async shutdown() {
+        this.shuttingDown = true;
+        const deadline = Date.now() + this.shutdownTimeout;
+        const remaining = () => Math.max(deadline - Date.now(), 0);
+        let clean = true;
+
+        await this.subscriptionBridge.stopAll();
+
+        try {
+            await withTimeout(this.waitForDrain(), remaining(), `${this.inFlight} requests still in flight`);
+        } catch (error) {
+            this.logger.warn('Drain timed out', { error });
+            clean = false;
+        }
+
+        for (let i = 0; i < this.shutdownHooks.length; i++) {
+            try {
+                await withTimeout(Promise.resolve().then(() => this.shutdownHooks[i]()), remaining(), 'shutdown hook timed out');
+            } catch (error) {
+                this.logger.error('Shutdown hook failed', { hook: i, error });
+                clean = false;
+            }
+        }
+
+        try {
+            await withTimeout(this.tracer.shutdown(), remaining(), 'span export timed out');
+        } catch (error) {
+            this.logger.warn('Span export failed during shutdown', { error });
+        }
+
+        if (this.host) {
+            this.host.close();
+        }
+
+        if (this.server) {
+            const server = this.server;
+            try {
+                await withTimeout(new Promise((resolve, reject) => {
+                    server.tryShutdown(err => (err ? reject(err) : resolve()));
+                }), Math.max(remaining(), 1), 'gRPC server did not stop in time');
+            } catch (error) {
+                this.logger.error('Error during shutdown', { error });
+                server.forceShutdown();
+                clean = false;
+            }
+        }
+
+        this.logger.info('Shutdown complete');
+        return clean;
+    }
+
+    /**
+     * Wait until no Execute call is in flight
+     * @returns {Promise<void>} Resolves once drained
+     */
+    waitForDrain() {
+        if (this.inFlight === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.drainWaiters.push(resolve));
     }
 
     // gRPC Service Handlers
     async handleInit(call, callback) {
-        process.stderr.write(`SDK: Initializing plugin '${this.name}'...\n`);
+        this.logger.info('Initializing plugin', { plugin: this.name });
         
         try {
             const request = call.request;
+            const envVars = request.env_vars || request.envVars || [];
+            const rawValues = {};
             
-            // Set environment variables
-            if (request.envVars) {
-                for (const env of request.envVars) {
-                    process.env[env.key] = env.value;
-                    process.stderr.write(`SDK: Set env ${env.key}=${env.value}\n`);
+            // Set environment variables, never logging hidden or system values
+            for (const env of envVars) {
+                process.env[env.key] = env.value;
+                rawValues[env.key] = env.value;
+                if (env.hide || env.is_system || this.redactor.isSensitiveKey(env.key)) {
+                    this.redactor.addValue(env.value);
+                }
+                if (env.hide || env.is_system) {
+                    this.hiddenEnvKeys.add(env.key);
+                    this.logger.debug('Set env', { key: env.key, value: '[hidden]' });
+                } else {
+                    this.logger.debug('Set env', { key: env.key, value: env.value });
+                }
+            }
+            if (rawValues[LOG_LEVEL_ENV] !== undefined) {
+                // Like an unknown level in the process env, a typo keeps the current level
+                try {
+                    this.setLogLevel(rawValues[LOG_LEVEL_ENV]);
+                } catch (error) {
+                    this.logger.warn('Ignoring invalid log level', { error, level: this.logger.getLevel() });
+                }
+            }
+
+            // The standard OpenTelemetry env vars turn on OTLP export
+            const otlpConfigured = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+            if (otlpConfigured && !this.tracer.exporters.some(exporter => exporter instanceof tracing.OTLPHttpSpanExporter)) {
+                this.addSpanExporter(new tracing.OTLPHttpSpanExporter());
+            }
+
+            // Declared keys the engine did not send fall back to the process environment
+            for (const key of Object.keys(this.configSchema)) {
+                if (rawValues[key] === undefined && process.env[key] !== undefined) {
+                    rawValues[key] = process.env[key];
                 }
             }
 
+            const { config, errors } = parseConfig(this.configSchema, rawValues);
+            if (errors.length > 0) {
+                throw new Error(`Invalid plugin configuration: ${errors.join('; ')}`);
+            }
+            this.configValues = config;
+
+            for (const hook of this.initHooks) {
+                await hook(config, this.createHandlerContext({}));
+            }
+
             callback(null, {
                 success: true,
                 message: `Plugin '${this.name}' initialized successfully`
             });
         } catch (error) {
-            process.stderr.write(`SDK: Init error: ${error}\n`);
+            this.logger.error('Init failed', { error });
             callback(null, {
                 success: false,
                 message: `Initialization failed: ${error.message}`
@@ -411,29 +1282,45 @@ class Plugin {
     }
 
     async handleMigration(call, callback) {
-        process.stderr.write(`SDK: Running migration for plugin '${this.name}'...\n`);
+        this.logger.info('Running migrations', { plugin: this.name });
         
         try {
+            // Plugins without migrations never touch a store
+            const summary = this.migrations.length === 0
+                ? { applied: [], skipped: [] }
+                : await runMigrations(this.migrations, this.getMigrationStore(), this.createHandlerContext({}));
+
+            if (summary.applied.length === 0) {
+                callback(null, {
+                    success: true,
+                    message: `No migration needed for plugin '${this.name}'`
+                });
+                return;
+            }
+
+            this.logger.info('Applied migrations', { count: summary.applied.length });
             callback(null, {
                 success: true,
-                message: `No migration needed for plugin '${this.name}'`
+                message: `Applied ${summary.applied.length} migration(s) for plugin '${this.name}': ${summary.applied.join(', ')}`
             });
         } catch (error) {
-            process.stderr.write(`SDK: Migration error: ${error}\n`);
+            this.logger.error('Migration failed', { error });
+            const step = error.migrationId ? ` at '${error.migrationId}'` : '';
             callback(null, {
                 success: false,
-                message: `Migration failed: ${error.message}`
+                message: `Migration failed${step}: ${error.message}`
             });
         }
     }
 
     async handleSchemaRegister(call, callback) {
-        process.stderr.write(`SDK: Registering GraphQL schema for plugin '${this.name}'...\n`);
+        this.logger.debug('Registering GraphQL schema', { plugin: this.name });
         
         try {
             // Convert Maps to objects for serialization
             const queriesObj = Object.fromEntries(this.queries);
             const mutationsObj = Object.fromEntries(this.mutations);
+            const subscriptionsObj = Object.fromEntries(this.subscriptions);
 
             // Proper protobuf.Struct conversion that handles field definitions with arguments
             const convertToProtobufStruct = (data) => {
@@ -451,18 +1338,25 @@ class Plugin {
             const schema = {
                 queries: convertToProtobufStruct(queriesObj),
                 mutations: convertToProtobufStruct(mutationsObj),
-                subscriptions: convertToProtobufStruct({})
+                subscriptions: convertToProtobufStruct(subscriptionsObj)
             };
 
-            // Debug logging to show schema structure
-            process.stderr.write(`SDK: DEBUG - Schema structure:\n`);
-            process.stderr.write(`SDK: DEBUG - Queries: ${JSON.stringify(schema.queries, null, 2)}\n`);
-            process.stderr.write(`SDK: DEBUG - Mutations: ${JSON.stringify(schema.mutations, null, 2)}\n`);
+            // Full schema dumps are large, only write them when tracing
+            if (this.logger.isLevelEnabled('trace')) {
+                this.logger.trace('Schema structure', {
+                    queries: JSON.stringify(schema.queries),
+                    mutations: JSON.stringify(schema.mutations)
+                });
+            }
 
-            process.stderr.write(`SDK: Registered ${this.queries.size} queries, ${this.mutations.size} mutations\n`);
+            this.logger.info('Registered GraphQL schema', {
+                queries: this.queries.size,
+                mutations: this.mutations.size,
+                subscriptions: this.subscriptions.size
+            });
             callback(null, { schema });
         } catch (error) {
-            process.stderr.write(`SDK: Schema registration error: ${error}\n`);
+            this.logger.error('Schema registration failed', { error });
             // Fallback empty schema structure
             const emptyStruct = { fields: {} };
             callback(null, {
@@ -540,6 +1434,11 @@ class Plugin {
                 };
             }
             
+            // Convert argument default value
+            if (argDef.defaultValue !== undefined) {
+                fields[argName].structValue.fields.defaultValue = toValue(argDef.defaultValue);
+            }
+            
             // Convert argument properties if they exist (for object types)
             // Check both argDef.properties (direct) and argDef.type.fields (ObjectArg structure)
             if (argDef.properties) {
@@ -590,6 +1489,41 @@ class Plugin {
                 };
             }
             
+            if (typeDef.description) {
+                fields.description = {
+                    stringValue: typeDef.description
+                };
+            }
+            
+            // Enum values and their optional descriptions
+            if (Array.isArray(typeDef.values)) {
+                fields.values = toValue(typeDef.values);
+            }
+            
+            if (typeDef.valueDescriptions) {
+                fields.valueDescriptions = {
+                    structValue: toStruct(typeDef.valueDescriptions)
+                };
+            }
+            
+            // Interfaces implemented by an object type
+            if (Array.isArray(typeDef.interfaces) && typeDef.interfaces.length > 0) {
+                fields.interfaces = toValue(typeDef.interfaces.map(iface => (typeof iface === 'string' ? iface : iface.name)));
+            }
+            
+            // Union member types
+            if (Array.isArray(typeDef.possibleTypes)) {
+                fields.possibleTypes = {
+                    listValue: {
+                        values: typeDef.possibleTypes.map(memberType => ({
+                            structValue: {
+                                fields: this.convertTypeToProtobuf(memberType)
+                            }
+                        }))
+                    }
+                };
+            }
+            
             if (typeDef.ofType) {
                 fields.ofType = {
                     structValue: {
@@ -620,7 +1554,7 @@ class Plugin {
     }
 
     async handleRESTApiRegister(call, callback) {
-        process.stderr.write(`SDK: Registering REST APIs for plugin '${this.name}'...\n`);
+        this.logger.debug('Registering REST APIs', { plugin: this.name });
         
         try {
             const apis = this.restAPIs.map(endpoint => ({
@@ -630,93 +1564,166 @@ class Plugin {
                 schema: endpoint.schema || {}
             }));
 
-            process.stderr.write(`SDK: Registered ${apis.length} REST endpoints\n`);
+            this.logger.info('Registered REST endpoints', { count: apis.length });
             callback(null, { apis });
         } catch (error) {
-            process.stderr.write(`SDK: REST API registration error: ${error}\n`);
+            this.logger.error('REST API registration failed', { error });
             callback(null, { apis: [] });
         }
     }
 
     async handleGetVersion(call, callback) {
-        process.stderr.write(`SDK: Getting version for plugin '${this.name}'...\n`);
+        this.logger.debug('Getting version', { plugin: this.name });
         
         try {
             callback(null, { version: this.version });
         } catch (error) {
-            process.stderr.write(`SDK: Get version error: ${error}\n`);
+            this.logger.error('Get version failed', { error });
             callback(null, { version: 'unknown' });
         }
     }
 
     async handleExecute(call, callback) {
-        process.stderr.write(`SDK: Executing function...\n`);
-        
+        const labels = this.getExecuteMetricLabels(call.request.function_type, call.request.function_name);
+        const stopTimer = this.executeMetrics.duration.startTimer(labels);
+        this.executeMetrics.calls.inc(labels);
+        this.inFlight++;
         try {
-            const request = call.request;
-            const functionName = request.function_name;
-            const functionType = request.function_type;
-            
-            // Safe debug logging without JSON.stringify of complex objects
-            process.stderr.write(`SDK: Function: ${functionType}:${functionName}\n`);
-            process.stderr.write(`SDK: Has args: ${!!request.args}\n`);
-            process.stderr.write(`SDK: Has context: ${!!request.context}\n`);
-            
-            const args = request.args ? this.structToObject(request.args) : {};
-            const context = request.context ? this.structToObject(request.context) : {};
+            await this.executeFunction(call, callback);
+        } finally {
+            stopTimer();
+            this.inFlight--;
+            if (this.inFlight === 0) {
+                this.drainWaiters.splice(0).forEach(resolve => resolve());
+            }
+        }
+    }
 
-            process.stderr.write(`SDK: Args keys: [${Object.keys(args).join(', ')}]\n`);
-            process.stderr.write(`SDK: Context keys: [${Object.keys(context).join(', ')}]\n`);
+    async executeFunction(call, callback) {
+        const request = call.request;
+        const functionName = request.function_name;
+        const functionType = request.function_type;
+        const rawContext = request.context ? this.structToObject(request.context) : {};
+        const requestId = rawContext.request_id || crypto.randomUUID();
+
+        // Continue the engine's trace when it sent one
+        const span = this.tracer.startSpan(`${functionType} ${functionName}`, {
+            parent: tracing.parseTraceparent(rawContext.traceparent),
+            kind: 'server',
+            attributes: {
+                'plugin.name': this.name,
+                'plugin.function.name': functionName,
+                'plugin.function.type': functionType,
+                'plugin.request.id': requestId
+            }
+        });
+        const log = this.logger.child({
+            function_name: functionName,
+            function_type: functionType,
+            request_id: requestId,
+            trace_id: span.traceId
+        });
 
-            let result;
-            
-            if (functionType === 'graphql_query') {
-                if (this.resolvers.has(functionName)) {
-                    process.stderr.write(`SDK: Calling query resolver for ${functionName}\n`);
-                    result = await this.resolvers.get(functionName)(context, args);
-                } else {
-                    throw new Error(`Query resolver not found: ${functionName}`);
-                }
-            } else if (functionType === 'graphql_mutation') {
-                if (this.resolvers.has(functionName)) {
-                    process.stderr.write(`SDK: Calling mutation resolver for ${functionName}\n`);
-                    result = await this.resolvers.get(functionName)(context, args);
-                } else {
-                    throw new Error(`Mutation resolver not found: ${functionName}`);
-                }
-            } else if (functionType === 'rest_api') {
-                if (this.restHandlers.has(functionName)) {
-                    process.stderr.write(`SDK: Calling REST handler for ${functionName}\n`);
-                    result = await this.restHandlers.get(functionName)(context, args);
-                } else {
-                    throw new Error(`REST handler not found: ${functionName}`);
-                }
-            } else if (functionType === 'custom_function') {
-                if (this.functions.has(functionName)) {
-                    process.stderr.write(`SDK: Calling custom function for ${functionName}\n`);
-                    result = await this.functions.get(functionName)(context, args);
-                } else {
-                    throw new Error(`Custom function not found: ${functionName}`);
-                }
-            } else if (functionType === 'system') {
-                // Handle system functions like health checks
-                process.stderr.write(`SDK: Handling system function: ${functionName}\n`);
-                if (functionName === 'health_check') {
-                    // Simple health check response
-                    result = {
-                        status: 'healthy',
-                        plugin: this.name,
-                        version: this.version,
-                        timestamp: new Date().toISOString()
-                    };
-                } else {
-                    throw new Error(`Unknown system function: ${functionName}`);
-                }
-            } else {
-                throw new Error(`Unknown function type: ${functionType}`);
+        // Aborts on timeout or when the engine cancels the call
+        const options = this.getRegistrationOptions(functionType, functionName);
+        const timeout = options.timeout !== undefined ? options.timeout : this.executionTimeout;
+        const execution = cancellation.createExecutionSignal(call, functionType, functionName, timeout);
+
+        try {
+            await cancellation.runWithSignal(execution.signal, () => this.tracer.runInSpan(
+                span,
+                () => this.runFunction(request, rawContext, { span, log, signal: execution.signal }, callback)
+            ));
+        } finally {
+            execution.dispose();
+            span.end();
+        }
+    }
+
+    /**
+     * Decode, dispatch and answer an Execute call
+     * @param {Object} request - ExecuteRequest
+     * @param {Object} rawContext - Decoded Execute context
+     * @param {Object} execution - Per-call state
+     * @param {Span} execution.span - Server span of the call
+     * @param {Logger} execution.log - Request logger
+     * @param {AbortSignal} execution.signal - Aborts on timeout or cancellation
+     * @param {Function} callback - gRPC callback
+     */
+    async runFunction(request, rawContext, execution, callback) {
+        const { span, log, signal } = execution;
+        const functionName = request.function_name;
+        const functionType = request.function_type;
+
+        try {
+            if (this.shuttingDown) {
+                throw createGraphQLErrorWithCode(`Plugin '${this.name}' is shutting down`, 'SHUTTING_DOWN');
             }
 
-            process.stderr.write(`SDK: Resolver returned: ${typeof result}\n`);
+            const graphqlField = this.getGraphQLField(functionType, functionName);
+            const rawArgs = request.args ? this.structToObject(request.args) : {};
+
+            // Only names are logged, argument values may be sensitive
+            log.debug('Executing function', {
+                args: Object.keys(rawArgs),
+                context: Object.keys(rawContext)
+            });
+
+            const context = this.createHandlerContext(rawContext, log, signal);
+
+            // Subscription 'next' and 'stop' polls drive a stream started
+            // earlier: only 'start' coerces arguments and counts against the
+            // rate and concurrency limits, polls are still guarded
+            const subscriptionPoll = functionType === 'graphql_subscription' && (context.subscription_action || 'start') !== 'start';
+
+            // Plugin middleware wraps the auth guard, the rate limit, the
+            // concurrency slot, argument coercion and per-registration
+            // middleware, which wrap the handler
+            const ctx = { functionName, functionType, args: rawArgs, context, auth: context.auth, logger: log, span, signal, result: undefined };
+            const options = this.getRegistrationOptions(functionType, functionName);
+            const guard = createGuardMiddleware(options);
+            const rateLimit = subscriptionPoll ? null : createRateLimitMiddleware(options.rateLimit, this.rateLimitStore);
+            const coercion = subscriptionPoll ? null : createCoercionMiddleware(graphqlField, this.scalars);
+
+            // Calls rejected by the guard or the rate limit never take a slot.
+            // Slots are held until the handler settles, even after a timeout;
+            // system functions and subscription polls are never limited
+            const acquireSlot = functionType === 'system' || subscriptionPoll ? null : async (slotCtx, next) => {
+                const release = await this.acquireConcurrency(functionType, functionName, signal);
+                try {
+                    await next();
+                } finally {
+                    release();
+                }
+            };
+            const middleware = [
+                ...this.middleware,
+                ...(guard ? [guard] : []),
+                ...(rateLimit ? [rateLimit] : []),
+                ...(acquireSlot ? [acquireSlot] : []),
+                ...(coercion ? [coercion] : []),
+                ...(options.middleware || [])
+            ].map((fn, index) => fn === acquireSlot ? fn : (mwCtx, next) => this.tracer.withSpan(
+                `middleware ${fn.name || index}`,
+                {},
+                () => fn(mwCtx, next)
+            ));
+
+            const running = Promise.resolve().then(() => compose(middleware)(ctx, () => this.tracer.withSpan(`handler ${functionName}`, {}, async () => {
+                ctx.result = await this.callCachedHandler(ctx, options);
+            })));
+            await cancellation.raceSignal(running, signal);
+            let result = ctx.result;
+
+            log.debug('Function returned', { result_type: typeof result });
+
+            // Subscription events are serialized per event in handleSubscription
+            if (graphqlField && functionType !== 'graphql_subscription') {
+                result = scalars.serializeResult(graphqlField.type, result, this.scalars);
+            }
+            if (functionType !== 'graphql_subscription') {
+                result = this.enforceResponse(functionType, functionName, result);
+            }
 
             // Convert result to protobuf format - handle arrays and objects correctly
             let protobufResult;
@@ -730,7 +1737,6 @@ class Plugin {
                 // For primitives, convert to value format
                 protobufResult = this.convertValueToProtobuf(result);
             }
-            process.stderr.write(`SDK: Converted to protobuf format\n`);
 
             // Determine correct typeUrl based on result type
             const typeUrl = Array.isArray(result) || typeof result !== 'object' || result === null
@@ -742,20 +1748,29 @@ class Plugin {
                 result: {
                     typeUrl: typeUrl,
                     value: Buffer.from(JSON.stringify(protobufResult))
-                },
-                error: ''
+                }
             });
 
         } catch (error) {
-            process.stderr.write(`SDK: Error executing function: ${error.message}\n`);
-            process.stderr.write(`SDK: Error stack: ${error.stack}\n`);
-            
+            span.recordException(error);
+            this.executeMetrics.errors.inc({ ...this.getExecuteMetricLabels(functionType, functionName), code: errorCode(error) });
+            if (this.isGraphQLError(error) || isRESTError(error)) {
+                log.warn('Function returned an error', {
+                    error,
+                    code: error.extensions ? error.extensions.code : undefined,
+                    status_code: error.statusCode
+                });
+            } else {
+                log.error('Function failed', { error, stack: error.stack });
+            }
+
+            // Secrets must not leave the plugin through error messages
+            const message = this.redactor.redactString(error.message);
+
             // Check if this is a GraphQL operation and if the error is a GraphQL error
-            if ((functionType === 'graphql_query' || functionType === 'graphql_mutation') && this.isGraphQLError(error)) {
-                process.stderr.write(`SDK: Detected GraphQL error for ${functionType}\n`);
-                
+            if ((functionType === 'graphql_query' || functionType === 'graphql_mutation' || functionType === 'graphql_subscription') && this.isGraphQLError(error)) {
                 // Convert GraphQL error to the format expected by the engine
-                const graphqlError = error.toJSON();
+                const graphqlError = this.redactor.redact(error.toJSON());
                 const graphqlErrors = [graphqlError];
                 
                 // Serialize GraphQL errors as JSON string for protobuf compatibility
@@ -768,8 +1783,6 @@ class Plugin {
                     data: null
                 };
                 
-                process.stderr.write(`SDK: Returning GraphQL error structure\n`);
-                
                 // Convert to protobuf format
                 const protobufResult = this.convertToProtobufStruct(errorResult);
                 
@@ -778,42 +1791,211 @@ class Plugin {
                     result: {
                         typeUrl: 'type.googleapis.com/google.protobuf.Struct',
                         value: Buffer.from(JSON.stringify(protobufResult))
-                    },
-                    error: ''
+                    }
+                });
+            } else if (functionType === 'rest_api' && isRESTError(error)) {
+                // REST errors carry a status code and a structured body
+                callback(null, {
+                    success: false,
+                    message,
+                    result: {
+                        typeUrl: 'type.googleapis.com/google.protobuf.Struct',
+                        value: Buffer.from(JSON.stringify(this.convertToProtobufStruct(this.redactor.redact(error.toJSON()))))
+                    }
                 });
             } else {
                 // Handle regular errors (REST, custom functions, or non-GraphQL errors)
                 callback(null, {
                     success: false,
-                    result: null,
-                    error: error.message
+                    message,
+                    result: null
                 });
             }
         }
     }
 
+    /**
+     * Call the registered handler for a function
+     * @param {Object} ctx - Middleware context
+     * @returns {Promise<any>} Handler result
+     */
+    async callHandler(ctx) {
+        const { functionName, functionType } = ctx;
+
+        if (functionType === 'graphql_query') {
+            if (this.resolvers.has(functionName)) {
+                ctx.logger.debug('Calling query resolver');
+                return await this.resolvers.get(functionName)(ctx.context, ctx.args);
+            } else {
+                throw new Error(`Query resolver not found: ${functionName}`);
+            }
+        } else if (functionType === 'graphql_mutation') {
+            if (this.resolvers.has(functionName)) {
+                ctx.logger.debug('Calling mutation resolver');
+                return await this.resolvers.get(functionName)(ctx.context, ctx.args);
+            } else {
+                throw new Error(`Mutation resolver not found: ${functionName}`);
+            }
+        } else if (functionType === 'graphql_subscription') {
+            if (this.subscriptionResolvers.has(functionName)) {
+                ctx.logger.debug('Handling subscription', { action: ctx.context.subscription_action || 'start' });
+                return await this.handleSubscription(functionName, ctx.context, ctx.args);
+            } else {
+                throw new Error(`Subscription resolver not found: ${functionName}`);
+            }
+        } else if (functionType === 'rest_api') {
+            if (this.restHandlers.has(functionName)) {
+                this.validateRESTRequest(functionName, ctx.args);
+                ctx.logger.debug('Calling REST handler');
+                return await this.restHandlers.get(functionName)(ctx.context, ctx.args);
+            } else {
+                throw new Error(`REST handler not found: ${functionName}`);
+            }
+        } else if (functionType === 'custom_function') {
+            if (this.functions.has(functionName)) {
+                ctx.logger.debug('Calling custom function');
+                return await this.functions.get(functionName)(ctx.context, ctx.args);
+            } else {
+                throw new Error(`Custom function not found: ${functionName}`);
+            }
+        } else if (functionType === 'system') {
+            // Handle system functions like health checks
+            ctx.logger.debug('Handling system function');
+            if (functionName === 'health_check') {
+                return await this.performHealthCheck(ctx.context, ctx.args);
+            } else if (functionName === 'metrics') {
+                // Prometheus text by default, { metrics: [...] } with format: 'json'
+                return ctx.args.format === 'json' ? this.metrics.toJSON() : this.metrics.toPrometheus();
+            } else {
+                throw new Error(`Unknown system function: ${functionName}`);
+            }
+        } else {
+            throw new Error(`Unknown function type: ${functionType}`);
+        }
+    }
+
+    /**
+     * Drive a subscription for the engine. The action comes from the Execute
+     * context: 'start' calls the resolver, 'next' polls for the next event
+     * and 'stop' closes the subscription.
+     * @param {string} name - Subscription name
+     * @param {Object} context - Handler context
+     * @param {Object} args - Subscription arguments
+     * @returns {Promise<{subscription_id: string, events: Array, done: boolean}>} Subscription response
+     */
+    async handleSubscription(name, context, args) {
+        const action = context.subscription_action || 'start';
+        const subscriptionId = context.subscription_id || null;
+
+        if (action === 'start') {
+            const source = await this.subscriptionResolvers.get(name)(context, args);
+            return this.subscriptionBridge.start(subscriptionId, source);
+        }
+        if (!subscriptionId) {
+            throw new Error(`subscription_id is required for subscription action '${action}'`);
+        }
+        if (action === 'next') {
+            const response = await this.subscriptionBridge.next(subscriptionId, context.subscription_wait_ms);
+            const field = this.subscriptions.get(name);
+            response.events = response.events.map(event => this.enforceResponse(
+                'graphql_subscription',
+                name,
+                scalars.serializeResult(field.type, event, this.scalars)
+            ));
+            return response;
+        }
+        if (action === 'stop') {
+            return this.subscriptionBridge.stop(subscriptionId);
+        }
+        throw new Error(`Unknown subscription action: ${action}`);
+    }
+
+    /**
+     * Validate a REST request against the endpoint's declared schemas: the
+     * request schema checks `body`, the params schema checks path parameters
+     * (`:id`) and the query schema checks `query_*` parameters.
+     * @param {string} handlerName - Endpoint handler name
+     * @param {Object} args - Request arguments
+     * @throws {RESTError} 400 listing every violation
+     */
+    validateRESTRequest(handlerName, args) {
+        const endpoint = this.restAPIs.find(api => api.handler === handlerName);
+        const schema = (endpoint && endpoint.schema) || {};
+        const violations = [];
+        const collect = (location, found) => {
+            violations.push(...found.map(violation => ({ location, ...violation })));
+        };
+
+        if (schema.request) {
+            collect('body', validateJSONSchema(schema.request, args.body === undefined ? {} : args.body));
+        }
+        const prefixed = (prefix) => Object.fromEntries(Object.entries(args)
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, value]) => [key.slice(prefix.length), value]));
+        if (schema.params) {
+            collect('path', validateJSONSchema(schema.params, coerceStringValues(schema.params, prefixed(':'))));
+        }
+        if (schema.query) {
+            collect('query', validateJSONSchema(schema.query, coerceStringValues(schema.query, prefixed('query_'))));
+        }
+
+        if (violations.length > 0) {
+            throw createBadRequestError(violations);
+        }
+    }
+
+    /**
+     * Look up the registered field definition of a GraphQL function
+     * @param {string} functionType - Execute function type
+     * @param {string} functionName - Field name
+     * @returns {GraphQLField|undefined} Field definition, undefined for non-GraphQL functions
+     */
+    getGraphQLField(functionType, functionName) {
+        const registry = {
+            graphql_query: this.queries,
+            graphql_mutation: this.mutations,
+            graphql_subscription: this.subscriptions
+        }[functionType];
+        return registry ? registry.get(functionName) : undefined;
+    }
+
+    /**
+     * Build the context object passed to resolvers, REST handlers and functions
+     * @param {Object} context - Decoded Execute request context
+     * @param {Logger} [log] - Request logger, defaults to the plugin logger
+     * @param {AbortSignal} [signal] - Call signal, defaults to one that never aborts
+     * @returns {Object} Handler context
+     */
+    createHandlerContext(context, log = this.logger, signal = new AbortController().signal) {
+        return {
+            ...context,
+            auth: createAuthContext(context),
+            logger: log,
+            signal,
+            host: this.host,
+            config: this.configValues
+        };
+    }
+
     // Utility methods
     structToObject(struct) {
-        if (!struct) {
-            process.stderr.write(`SDK: structToObject received null/undefined\n`);
-            return {};
-        }
-        
-        if (!struct.fields) {
-            process.stderr.write(`SDK: structToObject received struct without fields\n`);
+        if (!struct || !struct.fields) {
             return {};
         }
 
-        process.stderr.write(`SDK: Converting struct with ${Object.keys(struct.fields).length} fields: [${Object.keys(struct.fields).join(', ')}]\n`);
+        // Value-by-value tracing is opt-in, it logs argument values
+        const trace = this.logger.isLevelEnabled('trace');
+        if (trace) {
+            this.logger.trace('Converting struct', { fields: Object.keys(struct.fields) });
+        }
 
         const result = {};
         for (const [key, value] of Object.entries(struct.fields)) {
-            process.stderr.write(`SDK: Converting field '${key}'\n`);
             result[key] = this.valueToJS(value);
-            process.stderr.write(`SDK: Field '${key}' -> ${typeof result[key]}\n`);
+            if (trace) {
+                this.logger.trace('Decoded field', { field: key, value: this.redactor.redact(result[key], key) });
+            }
         }
-        
-        process.stderr.write(`SDK: Converted object keys: [${Object.keys(result).join(', ')}]\n`);
         return result;
     }
 
@@ -823,25 +2005,19 @@ class Plugin {
         }
         
         if (value.stringValue !== undefined) {
-            process.stderr.write(`SDK: String: "${value.stringValue}"\n`);
             return value.stringValue;
         } else if (value.numberValue !== undefined) {
-            process.stderr.write(`SDK: Number: ${value.numberValue}\n`);
             return value.numberValue;
         } else if (value.boolValue !== undefined) {
-            process.stderr.write(`SDK: Boolean: ${value.boolValue}\n`);
             return value.boolValue;
         } else if (value.structValue !== undefined) {
-            process.stderr.write(`SDK: Object (recursing)\n`);
             return this.structToObject(value.structValue);
         } else if (value.listValue !== undefined && value.listValue.values) {
-            process.stderr.write(`SDK: Array[${value.listValue.values.length}]\n`);
             return value.listValue.values.map(v => this.valueToJS(v));
         } else if (value.nullValue !== undefined) {
-            process.stderr.write(`SDK: Null\n`);
             return null;
         } else {
-            process.stderr.write(`SDK: Unknown type: [${Object.keys(value).join(', ')}]\n`);
+            this.logger.trace('Unknown value type', { keys: Object.keys(value) });
             return null;
         }
     }
@@ -863,6 +2039,8 @@ class Plugin {
             return { numberValue: value };
         } else if (typeof value === 'boolean') {
             return { boolValue: value };
+        } else if (value instanceof Date) {
+            return { stringValue: value.toISOString() };
         } else if (Array.isArray(value)) {
             return {
                 listValue: {
@@ -887,8 +2065,6 @@ class Plugin {
      * @returns {boolean} True if error is a GraphQL error
      */
     isGraphQLError(error) {
-        // Import the GraphQLError class from helpers
-        const { GraphQLError } = require('./helpers');
         return error instanceof GraphQLError;
     }
 }
@@ -899,9 +2075,31 @@ const helpers = require('./helpers');
 // Export the Plugin class, init function, and all helpers
 module.exports = {
     Plugin,
+    HostClient,
+    ModelRepository,
+    ...query,
+    MemoryMigrationStore,
+    HostMigrationStore,
+    defineScalar: scalars.defineScalar,
+    DateTimeScalar: scalars.DateTimeScalar,
+    JSONScalar: scalars.JSONScalar,
+    BigIntScalar: scalars.BigIntScalar,
+    UploadScalar: scalars.UploadScalar,
+    Logger,
+    logger,
+    Redactor,
+    Tracer: tracing.Tracer,
+    ConsoleSpanExporter: tracing.ConsoleSpanExporter,
+    FileSpanExporter: tracing.FileSpanExporter,
+    OTLPHttpSpanExporter: tracing.OTLPHttpSpanExporter,
+    MetricsRegistry,
+    MemoryCacheStore,
+    MemoryRateLimitStore,
+    HttpClient,
+    HttpError,
+    CircuitBreaker,
     init: function(name, version, apiKey) {
-        // Use stderr for initialization logs
-        process.stderr.write(`SDK: Initializing plugin '${name}' v${version}\n`);
+        logger.info('Initializing plugin', { plugin: name, version });
         return new Plugin(name, version, apiKey);
     },
     // Re-export all helper functions
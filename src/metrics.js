@@ -0,0 +1,422 @@
+/**
+ * Apito JavaScript Plugin SDK - Metrics
+ *
+ * Counters, gauges and histograms with labels, exposed in the Prometheus
+ * text format or as JSON through the `system`/`metrics` function. Every
+ * Execute call is recorded automatically; plugins add their own metrics
+ * through `plugin.metrics`:
+ *
+ *   const orders = plugin.metrics.counter('orders_created_total', 'Orders created', {
+ *       labelNames: ['channel']
+ *   });
+ *   orders.inc({ channel: 'web' });
+ *
+ *   const timer = plugin.metrics.histogram('stripe_call_seconds', 'Stripe latency').startTimer();
+ *   await stripe.charges.create(charge);
+ *   timer();
+ */
+
+/**
+ * Prometheus default histogram buckets, in seconds
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Format a sample value for the text format
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Format a label set for the text format
+ * @param {Object} labels - Label values by name
+ * @returns {string} e.g. {function_name="orders",code="NOT_FOUND"}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${name}="${escaped}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Split the flexible (labels, value) / (value) arguments of metric methods
+ * @param {Object|number} [labelsOrValue] - Labels, or the value when no labels are given
+ * @param {number} [value] - Value
+ * @param {number} defaultValue - Value used when none is given
+ * @returns {{labels: Object, value: number}} Arguments
+ */
+function splitArgs(labelsOrValue, value, defaultValue) {
+    if (labelsOrValue !== null && typeof labelsOrValue === 'object') {
+        return { labels: labelsOrValue, value: value === undefined ? defaultValue : value };
+    }
+    return { labels: {}, value: labelsOrValue === undefined ? defaultValue : labelsOrValue };
+}
+
+class Metric {
+    /**
+     * @param {string} type - 'counter', 'gauge' or 'histogram'
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Object} [options] - Metric options
+     * @param {string[]} [options.labelNames] - Allowed label names
+     */
+    constructor(type, name, help, options = {}) {
+        if (!METRIC_NAME.test(name)) {
+            throw new Error(`Invalid metric name '${name}'`);
+        }
+        const labelNames = options.labelNames || [];
+        for (const label of labelNames) {
+            if (!LABEL_NAME.test(label) || label.startsWith('__')) {
+                throw new Error(`Invalid label name '${label}' for metric '${name}'`);
+            }
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help || name;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * Find or create the series of a label set
+     * @param {Object} labels - Label values by name
+     * @returns {Object} Series state
+     */
+    getSeries(labels) {
+        for (const label of Object.keys(labels)) {
+            if (!this.labelNames.includes(label)) {
+                throw new Error(`Unknown label '${label}' for metric '${this.name}'`);
+            }
+        }
+        const normalized = {};
+        for (const label of this.labelNames) {
+            if (labels[label] !== undefined && labels[label] !== null) {
+                normalized[label] = String(labels[label]);
+            }
+        }
+        const key = JSON.stringify(normalized);
+        if (!this.series.has(key)) {
+            this.series.set(key, this.createSeries(normalized));
+        }
+        return this.series.get(key);
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    /**
+     * Remove every recorded series
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Text format lines of every series
+     * @returns {string[]} Sample lines
+     */
+    samples() {
+        return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            help: this.help,
+            type: this.type,
+            values: [...this.series.values()].map(series => ({ labels: series.labels, value: series.value }))
+        };
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, options) {
+        super('counter', name, help, options);
+    }
+
+    /**
+     * Increase the counter
+     * @param {Object|number} [labels] - Labels, or the amount
+     * @param {number} [value] - Amount, defaults to 1
+     */
+    inc(labels, value) {
+        const args = splitArgs(labels, value, 1);
+        if (!(args.value >= 0)) {
+            throw new Error(`Counter '${this.name}' can only increase, got ${args.value}`);
+        }
+        this.getSeries(args.labels).value += args.value;
+    }
+
+    /**
+     * Get the current value of a series
+     * @param {Object} [labels] - Labels
+     * @returns {number} Value
+     */
+    get(labels = {}) {
+        return this.getSeries(labels).value;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Object} [options] - Metric options
+     * @param {string[]} [options.labelNames] - Allowed label names
+     * @param {function(Gauge): void} [options.collect] - Called before every exposition to update the gauge
+     */
+    constructor(name, help, options = {}) {
+        super('gauge', name, help, options);
+        this.collect = options.collect || null;
+    }
+
+    /**
+     * Set the gauge
+     * @param {Object|number} labels - Labels, or the value
+     * @param {number} [value] - Value
+     */
+    set(labels, value) {
+        const args = splitArgs(labels, value, 0);
+        this.getSeries(args.labels).value = args.value;
+    }
+
+    /**
+     * Increase the gauge
+     * @param {Object|number} [labels] - Labels, or the amount
+     * @param {number} [value] - Amount, defaults to 1
+     */
+    inc(labels, value) {
+        const args = splitArgs(labels, value, 1);
+        this.getSeries(args.labels).value += args.value;
+    }
+
+    /**
+     * Decrease the gauge
+     * @param {Object|number} [labels] - Labels, or the amount
+     * @param {number} [value] - Amount, defaults to 1
+     */
+    dec(labels, value) {
+        const args = splitArgs(labels, value, 1);
+        this.getSeries(args.labels).value -= args.value;
+    }
+
+    /**
+     * Get the current value of a series
+     * @param {Object} [labels] - Labels
+     * @returns {number} Value
+     */
+    get(labels = {}) {
+        return this.getSeries(labels).value;
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Object} [options] - Metric options
+     * @param {string[]} [options.labelNames] - Allowed label names
+     * @param {number[]} [options.buckets] - Bucket upper bounds, defaults to the Prometheus buckets
+     */
+    constructor(name, help, options = {}) {
+        super('histogram', name, help, options);
+        if (this.labelNames.includes('le')) {
+            throw new Error(`Histogram '${name}' cannot use the label 'le'`);
+        }
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    createSeries(labels) {
+        return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    /**
+     * Record an observation
+     * @param {Object|number} labels - Labels, or the value
+     * @param {number} [value] - Observed value
+     */
+    observe(labels, value) {
+        const args = splitArgs(labels, value, 0);
+        const series = this.getSeries(args.labels);
+        this.buckets.forEach((bound, index) => {
+            if (args.value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += args.value;
+        series.count++;
+    }
+
+    /**
+     * Start timing; the returned function observes the elapsed seconds
+     * @param {Object} [labels] - Labels
+     * @returns {function(Object=): number} Stops the timer, optionally with extra labels, and returns the seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    samples() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            help: this.help,
+            type: this.type,
+            values: [...this.series.values()].map(series => ({
+                labels: series.labels,
+                buckets: Object.fromEntries(this.buckets.map((bound, index) => [formatValue(bound), series.counts[index]])),
+                sum: series.sum,
+                count: series.count
+            }))
+        };
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Register a metric, or return the existing one with the same name and type
+     * @param {Function} MetricClass - Counter, Gauge or Histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Object} options - Metric options
+     * @returns {Metric} Metric
+     */
+    register(MetricClass, name, help, options) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`Metric '${name}' is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+        const metric = new MetricClass(name, help, options);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * Get or create a counter
+     * @param {string} name - Metric name, e.g. orders_created_total
+     * @param {string} [help] - Help text
+     * @param {Object} [options] - Counter options ({ labelNames })
+     * @returns {Counter} Counter
+     */
+    counter(name, help, options = {}) {
+        return this.register(Counter, name, help, options);
+    }
+
+    /**
+     * Get or create a gauge
+     * @param {string} name - Metric name
+     * @param {string} [help] - Help text
+     * @param {Object} [options] - Gauge options ({ labelNames, collect })
+     * @returns {Gauge} Gauge
+     */
+    gauge(name, help, options = {}) {
+        return this.register(Gauge, name, help, options);
+    }
+
+    /**
+     * Get or create a histogram
+     * @param {string} name - Metric name, e.g. stripe_call_seconds
+     * @param {string} [help] - Help text
+     * @param {Object} [options] - Histogram options ({ labelNames, buckets })
+     * @returns {Histogram} Histogram
+     */
+    histogram(name, help, options = {}) {
+        return this.register(Histogram, name, help, options);
+    }
+
+    /**
+     * Get a registered metric
+     * @param {string} name - Metric name
+     * @returns {Metric|undefined} Metric
+     */
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Remove every recorded series, keeping the registered metrics
+     */
+    reset() {
+        for (const metric of this.metrics.values()) {
+            metric.reset();
+        }
+    }
+
+    /**
+     * Update collected gauges before an exposition
+     */
+    collect() {
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                metric.collect(metric);
+            }
+        }
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string} Exposition
+     */
+    toPrometheus() {
+        this.collect();
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.samples());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Render every metric as JSON
+     * @returns {{metrics: Object[]}} Metrics
+     */
+    toJSON() {
+        this.collect();
+        return { metrics: [...this.metrics.values()].map(metric => metric.toJSON()) };
+    }
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry
+};
@@ -0,0 +1,77 @@
+/**
+ * Apito JavaScript Plugin SDK - Middleware
+ *
+ * Koa-style middleware around function execution. Each middleware receives
+ * the execution context and a `next` function that runs the rest of the
+ * chain and finally the handler:
+ *
+ *   plugin.use(async (ctx, next) => {
+ *       const started = Date.now();
+ *       await next();
+ *       ctx.logger.info('Call finished', { duration_ms: Date.now() - started });
+ *   });
+ *
+ * A middleware can short-circuit by throwing (e.g. a GraphQLError) or by
+ * setting `ctx.result` without calling `next`.
+ */
+
+/**
+ * @typedef {Object} MiddlewareContext
+ * @property {string} functionName - Function name
+ * @property {string} functionType - Execute function type (graphql_query, rest_api, ...)
+ * @property {Object} args - Function arguments. Plugin middleware sees them raw, as sent by the engine;
+ *   GraphQL arguments are coerced before per-registration middleware and the handler run
+ * @property {Object} context - Handler context
+ * @property {Object} auth - Caller identity (userId, tenantId, roles, ...), see ./auth
+ * @property {Logger} logger - Request logger with function name, type and request id
+ * @property {Span} span - Server span of the call
+ * @property {AbortSignal} signal - Aborts when the call times out or is cancelled
+ * @property {any} result - Handler result, set once `next` resolves
+ */
+
+/**
+ * @typedef {Function} Middleware
+ * @param {MiddlewareContext} ctx - Execution context
+ * @param {Function} next - Runs the rest of the chain
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Check that a middleware is a function
+ * @param {any} middleware - Middleware to check
+ * @returns {Middleware} The middleware
+ * @throws {Error} If the middleware is not a function
+ */
+function assertMiddleware(middleware) {
+    if (typeof middleware !== 'function') {
+        throw new Error(`Middleware must be a function, got ${typeof middleware}`);
+    }
+    return middleware;
+}
+
+/**
+ * Compose middleware into a single function
+ * @param {Middleware[]} middleware - Middleware in execution order
+ * @returns {function(MiddlewareContext, Function): Promise<void>} Composed middleware
+ */
+function compose(middleware) {
+    return (ctx, handler) => {
+        let index = -1;
+        const dispatch = async (i) => {
+            if (i <= index) {
+                throw new Error('next() called multiple times');
+            }
+            index = i;
+            const fn = i === middleware.length ? handler : middleware[i];
+            if (fn) {
+                await fn(ctx, () => dispatch(i + 1));
+            }
+        };
+        return dispatch(0);
+    };
+}
+
+module.exports = {
+    assertMiddleware,
+    compose
+};
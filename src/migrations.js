@@ -0,0 +1,145 @@
+/**
+ * Apito JavaScript Plugin SDK - Migrations
+ *
+ * Ordered, versioned migration steps that run when the engine calls the
+ * Migration RPC. Applied migration ids are persisted in a store so a step
+ * never runs twice.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Default model used to persist applied migrations through the host
+ */
+const DEFAULT_MIGRATION_MODEL = 'plugin_migrations';
+
+/**
+ * In-memory migration store. Useful for tests and for plugins that keep
+ * their own bookkeeping; applied ids are lost when the process exits.
+ */
+class MemoryMigrationStore {
+    constructor(applied = []) {
+        this.applied = new Set(applied);
+    }
+
+    /**
+     * @returns {Promise<string[]>} Applied migration ids
+     */
+    async getApplied() {
+        return Array.from(this.applied);
+    }
+
+    /**
+     * @param {string} id - Migration id
+     */
+    async markApplied(id) {
+        this.applied.add(id);
+    }
+}
+
+/**
+ * Migration store that persists applied ids as resources through the
+ * HostService.
+ */
+class HostMigrationStore {
+    /**
+     * @param {Function} hostProvider - Returns the HostService client to use
+     * @param {string} pluginId - Plugin name the migrations belong to
+     * @param {Object} [options] - Store options
+     * @param {string} [options.model] - Model used to store migration records
+     */
+    constructor(hostProvider, pluginId, options = {}) {
+        this.hostProvider = hostProvider;
+        this.pluginId = pluginId;
+        this.model = options.model || DEFAULT_MIGRATION_MODEL;
+    }
+
+    getHost() {
+        const host = this.hostProvider();
+        if (!host) {
+            throw new Error('HostService is not available to persist migrations');
+        }
+        return host;
+    }
+
+    /**
+     * @returns {Promise<string[]>} Applied migration ids
+     */
+    async getApplied() {
+        const records = await this.getHost().searchResources(this.model, {
+            where: { plugin: { eq: this.pluginId } }
+        });
+        if (!Array.isArray(records)) {
+            return [];
+        }
+        return records
+            .map(record => record.migration_id || (record.data && record.data.migration_id))
+            .filter(Boolean);
+    }
+
+    /**
+     * @param {string} id - Migration id
+     * @param {Object} info - Run information
+     */
+    async markApplied(id, info = {}) {
+        await this.getHost().createNewResource(this.model, {
+            plugin: this.pluginId,
+            migration_id: id,
+            applied_at: new Date().toISOString(),
+            duration_ms: info.durationMs || 0
+        });
+    }
+}
+
+/**
+ * Compare migration ids as versions ('2' < '10', '001_init' < '002_orders')
+ * @param {string} a - Migration id
+ * @param {string} b - Migration id
+ * @returns {number} Sort order
+ */
+function compareMigrationIds(a, b) {
+    return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Run pending migrations in version order
+ * @param {Array<{id: string, up: Function}>} migrations - Registered migrations
+ * @param {Object} store - Migration store (getApplied/markApplied)
+ * @param {Object} context - Context passed to each step
+ * @returns {Promise<{applied: string[], skipped: string[]}>} Run summary
+ * @throws {Error} The first failing step's error, annotated with `migrationId`
+ */
+async function runMigrations(migrations, store, context) {
+    const applied = new Set(await store.getApplied());
+    const ordered = [...migrations].sort((a, b) => compareMigrationIds(a.id, b.id));
+    const summary = { applied: [], skipped: [] };
+
+    for (const migration of ordered) {
+        if (applied.has(migration.id)) {
+            summary.skipped.push(migration.id);
+            continue;
+        }
+
+        logger.info('Running migration', { id: migration.id });
+        const started = Date.now();
+        try {
+            await migration.up(context);
+        } catch (error) {
+            error.migrationId = migration.id;
+            error.appliedBefore = summary.applied;
+            throw error;
+        }
+        await store.markApplied(migration.id, { durationMs: Date.now() - started });
+        summary.applied.push(migration.id);
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_MIGRATION_MODEL,
+    MemoryMigrationStore,
+    HostMigrationStore,
+    compareMigrationIds,
+    runMigrations
+};
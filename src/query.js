@@ -0,0 +1,215 @@
+/**
+ * Apito JavaScript Plugin SDK - Search Query Builder
+ *
+ * Fluent builder for the free-form `SearchResourcesRequest.filter` Struct.
+ *
+ * Example:
+ *   where('status').eq('active').and('total').gt(100).sort('-created_at').limit(20).page(2)
+ *
+ * compiles to:
+ *   {
+ *     where: { status: { eq: 'active' }, total: { gt: 100 } },
+ *     sort: { created_at: 'DESC' },
+ *     limit: 20,
+ *     page: 2
+ *   }
+ */
+
+/**
+ * Comparison operators supported by the engine, keyed by builder method
+ */
+const OPERATORS = {
+    eq: 'eq',
+    ne: 'ne',
+    gt: 'gt',
+    gte: 'gte',
+    lt: 'lt',
+    lte: 'lte',
+    in: 'in',
+    notIn: 'not_in',
+    contains: 'contains',
+    notContains: 'not_contains'
+};
+
+/**
+ * Query Builder class for SearchResources filters
+ */
+class QueryBuilder {
+    constructor() {
+        this.conditions = {};
+        this.sortOrder = {};
+        this.limitValue = null;
+        this.pageValue = null;
+        this.aggregateValue = false;
+        this.currentField = null;
+    }
+
+    /**
+     * Start a condition on a field
+     * @param {string} field - Field name (dot notation for nested fields)
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    where(field) {
+        if (!field || typeof field !== 'string') {
+            throw new Error('QueryBuilder: where() requires a field name');
+        }
+        this.currentField = field;
+        return this;
+    }
+
+    /**
+     * Start an additional condition on a field (alias of where)
+     * @param {string} field - Field name
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    and(field) {
+        return this.where(field);
+    }
+
+    /**
+     * Add an operator condition to the current field
+     * @param {string} operator - Engine operator name
+     * @param {any} value - Operand
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    addCondition(operator, value) {
+        if (!this.currentField) {
+            throw new Error(`QueryBuilder: call where(field) before ${operator}()`);
+        }
+        if (!this.conditions[this.currentField]) {
+            this.conditions[this.currentField] = {};
+        }
+        this.conditions[this.currentField][operator] = value;
+        return this;
+    }
+
+    /**
+     * Require the current field to be present (or absent)
+     * @param {boolean} [present] - Whether the field must exist
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    exists(present = true) {
+        return this.addCondition('exists', !!present);
+    }
+
+    /**
+     * Sort by one or more fields. Prefix a field with '-' for descending order.
+     * @param {...string} fields - Sort fields
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    sort(...fields) {
+        for (const field of fields) {
+            if (field.startsWith('-')) {
+                this.sortOrder[field.slice(1)] = 'DESC';
+            } else {
+                this.sortOrder[field.replace(/^\+/, '')] = 'ASC';
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Limit the number of results
+     * @param {number} count - Maximum number of results
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    limit(count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('QueryBuilder: limit() requires a positive integer');
+        }
+        this.limitValue = count;
+        return this;
+    }
+
+    /**
+     * Select the result page (1-based)
+     * @param {number} number - Page number
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    page(number) {
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error('QueryBuilder: page() requires a positive integer');
+        }
+        this.pageValue = number;
+        return this;
+    }
+
+    /**
+     * Toggle the SearchResources `aggregate` flag
+     * @param {boolean} [enabled] - Whether to aggregate results
+     * @returns {QueryBuilder} Builder instance for chaining
+     */
+    aggregate(enabled = true) {
+        this.aggregateValue = !!enabled;
+        return this;
+    }
+
+    /**
+     * Compile the filter Struct for SearchResourcesRequest
+     * @returns {Object} Filter object
+     */
+    build() {
+        const filter = {};
+        if (Object.keys(this.conditions).length > 0) {
+            filter.where = JSON.parse(JSON.stringify(this.conditions));
+        }
+        if (Object.keys(this.sortOrder).length > 0) {
+            filter.sort = { ...this.sortOrder };
+        }
+        if (this.limitValue !== null) {
+            filter.limit = this.limitValue;
+        }
+        if (this.pageValue !== null) {
+            filter.page = this.pageValue;
+        }
+        return filter;
+    }
+
+    /**
+     * Whether the query requests aggregated results
+     * @returns {boolean} Aggregate flag
+     */
+    isAggregate() {
+        return this.aggregateValue;
+    }
+}
+
+// Generate the operator methods (eq, ne, gt, ...)
+for (const [method, operator] of Object.entries(OPERATORS)) {
+    QueryBuilder.prototype[method] = function (value) {
+        return this.addCondition(operator, value);
+    };
+}
+
+/**
+ * Create an empty query builder
+ * @returns {QueryBuilder} New query builder
+ */
+function query() {
+    return new QueryBuilder();
+}
+
+/**
+ * Create a query builder starting with a condition on a field
+ * @param {string} field - Field name
+ * @returns {QueryBuilder} New query builder
+ */
+function where(field) {
+    return new QueryBuilder().where(field);
+}
+
+/**
+ * Check if a value is a query builder
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is a QueryBuilder
+ */
+function isQueryBuilder(value) {
+    return value instanceof QueryBuilder;
+}
+
+module.exports = {
+    QueryBuilder,
+    query,
+    where,
+    isQueryBuilder
+};
@@ -0,0 +1,232 @@
+/**
+ * Apito JavaScript Plugin SDK - Rate Limiting
+ *
+ * Per-registration rate limits keyed on fields of the Execute context:
+ *
+ *   plugin.registerRESTAPI(POSTEndpoint('/login', 'Login').build(), login, {
+ *       rateLimit: { limit: 5, window: 60, by: 'ip' }
+ *   });
+ *   plugin.registerQuery('search', field, search, {
+ *       rateLimit: { limit: 100, window: 60, by: ['tenant', 'user'], algorithm: 'token_bucket' }
+ *   });
+ *
+ * `sliding_window` (the default) allows `limit` calls in any `window`
+ * seconds; `token_bucket` allows bursts of `limit` calls and refills
+ * `limit` tokens per `window`. Calls over the limit fail with a
+ * RATE_LIMITED error carrying `retry_after` seconds (429 for REST APIs).
+ *
+ * Limiter state lives in an in-memory store by default; any object with an
+ * `update(key, ttl, updater)` method can replace it through
+ * `plugin.setRateLimitStore()`.
+ */
+
+const crypto = require('crypto');
+const { createGraphQLErrorWithCode, createRESTError } = require('./helpers');
+
+const ALGORITHMS = ['sliding_window', 'token_bucket'];
+
+/**
+ * Execute context fields read for each `by` key
+ */
+const KEY_FIELDS = {
+    tenant: ['tenant_id'],
+    user: ['user_id'],
+    project: ['project_id'],
+    ip: ['client_ip', 'ip'],
+    api_key: ['api_key']
+};
+
+/**
+ * Keys the default in-memory store holds before it sweeps expired entries
+ */
+const DEFAULT_SWEEP_THRESHOLD = 10000;
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} limit - Calls allowed per window (the bucket size for token_bucket)
+ * @property {number} window - Window length in seconds
+ * @property {string} [algorithm] - 'sliding_window' (default) or 'token_bucket'
+ * @property {string|string[]|function(Object, Object): string} [by] - Context keys ('tenant', 'user',
+ *   'project', 'ip', 'api_key') or a function of the handler context and args; one shared limit when omitted
+ */
+
+/**
+ * In-memory limiter state store
+ */
+class MemoryRateLimitStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.sweepThreshold] - Keys held before expired entries are removed
+     */
+    constructor(options = {}) {
+        this.sweepThreshold = options.sweepThreshold || DEFAULT_SWEEP_THRESHOLD;
+        this.entries = new Map();
+    }
+
+    /**
+     * Replace the state of a key with the updater's result
+     * @param {string} key - Limiter key
+     * @param {number} ttl - Seconds the new state is kept
+     * @param {function(Object|undefined): Object} updater - Maps the current state to the new one
+     * @returns {Promise<Object>} New state
+     */
+    async update(key, ttl, updater) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+        const state = updater(entry && entry.expires > now ? entry.state : undefined);
+        this.entries.set(key, { state, expires: now + ttl * 1000 });
+
+        if (this.entries.size > this.sweepThreshold) {
+            for (const [entryKey, { expires }] of this.entries) {
+                if (expires <= now) {
+                    this.entries.delete(entryKey);
+                }
+            }
+        }
+        return state;
+    }
+}
+
+/**
+ * Validate the rate limit options of a registration
+ * @param {RateLimitOptions} options - Rate limit options
+ * @throws {Error} If the options are malformed
+ */
+function assertRateLimitOptions(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Rate limit options must be an object');
+    }
+    if (!(Number.isInteger(options.limit) && options.limit > 0)) {
+        throw new Error("Rate limit option 'limit' must be a positive integer");
+    }
+    if (!(Number.isFinite(options.window) && options.window > 0)) {
+        throw new Error("Rate limit option 'window' must be a positive number of seconds");
+    }
+    if (options.algorithm !== undefined && !ALGORITHMS.includes(options.algorithm)) {
+        throw new Error(`Rate limit option 'algorithm' must be one of: ${ALGORITHMS.join(', ')}`);
+    }
+    if (options.by !== undefined && typeof options.by !== 'function') {
+        for (const key of [].concat(options.by)) {
+            if (!KEY_FIELDS[key]) {
+                throw new Error(`Unknown rate limit key '${key}', expected one of: ${Object.keys(KEY_FIELDS).join(', ')} or a function`);
+            }
+        }
+    }
+}
+
+/**
+ * Build the limiter key of a call. Missing context values share the '-'
+ * bucket and API keys are hashed so they are never stored.
+ * @param {RateLimitOptions} options - Rate limit options
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @param {Object} context - Handler context
+ * @param {Object} args - Function arguments
+ * @returns {string} e.g. rest_api:POST_/login:ip=10.0.0.1
+ */
+function buildRateLimitKey(options, functionType, functionName, context, args) {
+    let parts = [];
+    if (typeof options.by === 'function') {
+        parts = [String(options.by(context, args))];
+    } else if (options.by !== undefined) {
+        parts = [].concat(options.by).map(key => {
+            const field = KEY_FIELDS[key].find(name => context[name] !== undefined && context[name] !== null && context[name] !== '');
+            let value = field ? String(context[field]) : '-';
+            if (key === 'api_key' && field) {
+                value = crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+            }
+            return `${key}=${value}`;
+        });
+    }
+    return [functionType, functionName, ...parts].join(':');
+}
+
+/**
+ * Take one call from a sliding window of call timestamps
+ * @param {Object|undefined} state - { hits: number[] }
+ * @param {RateLimitOptions} options - Rate limit options
+ * @param {number} now - Current time in milliseconds
+ * @returns {{state: Object, allowed: boolean, remaining: number, retryAfter: number}} Decision
+ */
+function slidingWindow(state, options, now) {
+    const windowMs = options.window * 1000;
+    const hits = (state ? state.hits : []).filter(time => time > now - windowMs);
+    if (hits.length < options.limit) {
+        hits.push(now);
+        return { state: { hits }, allowed: true, remaining: options.limit - hits.length, retryAfter: 0 };
+    }
+    return { state: { hits }, allowed: false, remaining: 0, retryAfter: (hits[0] + windowMs - now) / 1000 };
+}
+
+/**
+ * Take one token from a bucket refilled with `limit` tokens per window
+ * @param {Object|undefined} state - { tokens: number, updatedAt: number }
+ * @param {RateLimitOptions} options - Rate limit options
+ * @param {number} now - Current time in milliseconds
+ * @returns {{state: Object, allowed: boolean, remaining: number, retryAfter: number}} Decision
+ */
+function tokenBucket(state, options, now) {
+    const perSecond = options.limit / options.window;
+    const available = state
+        ? Math.min(options.limit, state.tokens + ((now - state.updatedAt) / 1000) * perSecond)
+        : options.limit;
+    if (available >= 1) {
+        return { state: { tokens: available - 1, updatedAt: now }, allowed: true, remaining: Math.floor(available - 1), retryAfter: 0 };
+    }
+    return { state: { tokens: available, updatedAt: now }, allowed: false, remaining: 0, retryAfter: (1 - available) / perSecond };
+}
+
+/**
+ * Create the error a limited call fails with
+ * @param {string} functionType - Execute function type
+ * @param {string} functionName - Function name
+ * @param {number} retryAfter - Seconds until a call is allowed again
+ * @returns {Error} RATE_LIMITED GraphQL error, or a 429 REST error for REST APIs
+ */
+function createRateLimitError(functionType, functionName, retryAfter) {
+    const message = `Rate limit exceeded for '${functionName}', retry in ${retryAfter}s`;
+    if (functionType === 'rest_api') {
+        return createRESTError(429, message, { code: 'RATE_LIMITED', retry_after: retryAfter });
+    }
+    return createGraphQLErrorWithCode(message, 'RATE_LIMITED', { retry_after: retryAfter });
+}
+
+/**
+ * Create the middleware enforcing a registration's rate limit. When the
+ * store fails the call is allowed and the failure logged.
+ * @param {RateLimitOptions} [options] - Rate limit options
+ * @param {Object} store - Limiter state store
+ * @returns {Function|null} Middleware, null when no limit is declared
+ */
+function createRateLimitMiddleware(options, store) {
+    if (!options) {
+        return null;
+    }
+    const take = options.algorithm === 'token_bucket' ? tokenBucket : slidingWindow;
+
+    return async function rateLimit(ctx, next) {
+        const key = buildRateLimitKey(options, ctx.functionType, ctx.functionName, ctx.context, ctx.args);
+        let decision = null;
+        try {
+            await store.update(key, options.window, state => {
+                decision = take(state, options, Date.now());
+                return decision.state;
+            });
+        } catch (error) {
+            ctx.logger.warn('Rate limit check failed', { error, key });
+        }
+
+        if (decision && !decision.allowed) {
+            throw createRateLimitError(ctx.functionType, ctx.functionName, Math.max(1, Math.ceil(decision.retryAfter)));
+        }
+        ctx.span.setAttribute('rate_limit.remaining', decision ? decision.remaining : undefined);
+        await next();
+    };
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    assertRateLimitOptions,
+    buildRateLimitKey,
+    createRateLimitMiddleware
+};
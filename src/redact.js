@@ -0,0 +1,153 @@
+/**
+ * Apito JavaScript Plugin SDK - Secret Redaction
+ *
+ * Scrubs secrets from SDK logs and from the errors returned in
+ * ExecuteResponse. A redactor knows three kinds of secrets:
+ *
+ *   - values of properties whose key matches a pattern (password, token,
+ *     authorization, secret and api_key by default)
+ *   - values of env vars the engine marks `hide` or `is_system` on Init,
+ *     and of env vars whose key matches a pattern
+ *   - values registered with `plugin.registerSecret(value)`
+ *
+ * Known values are replaced wherever they appear in a string, including
+ * error messages and stack traces.
+ */
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Key patterns redacted by default
+ */
+const DEFAULT_KEY_PATTERNS = [/password/i, /token/i, /authorization/i, /secret/i, /api[-_]?key/i];
+
+/**
+ * Values shorter than this are not scrubbed from strings, they would match
+ * too much unrelated text
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Redactor {
+    /**
+     * @param {Object} [options] - Redactor options
+     * @param {Array<string|RegExp>} [options.keyPatterns] - Key patterns, replacing the defaults
+     */
+    constructor(options = {}) {
+        this.keyPatterns = [];
+        this.values = new Set();
+        this.valuePattern = null;
+        for (const pattern of options.keyPatterns || DEFAULT_KEY_PATTERNS) {
+            this.addKeyPattern(pattern);
+        }
+    }
+
+    /**
+     * Redact values of properties whose key matches a pattern
+     * @param {string|RegExp} pattern - Case-insensitive substring or regular expression
+     */
+    addKeyPattern(pattern) {
+        if (typeof pattern === 'string') {
+            this.keyPatterns.push(new RegExp(escapeRegExp(pattern), 'i'));
+        } else if (pattern instanceof RegExp) {
+            this.keyPatterns.push(pattern);
+        } else {
+            throw new Error('Redaction key pattern must be a string or a RegExp');
+        }
+    }
+
+    /**
+     * Redact a value wherever it appears
+     * @param {any} value - Secret value
+     */
+    addValue(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        if (text.length < MIN_SECRET_LENGTH || this.values.has(text)) {
+            return;
+        }
+        this.values.add(text);
+        // Longest first so a secret containing another is replaced whole
+        const sorted = Array.from(this.values).sort((a, b) => b.length - a.length);
+        this.valuePattern = new RegExp(sorted.map(escapeRegExp).join('|'), 'g');
+    }
+
+    /**
+     * Check whether a key holds a secret
+     * @param {string} key - Property or env var name
+     * @returns {boolean} True when the key matches a pattern
+     */
+    isSensitiveKey(key) {
+        return this.keyPatterns.some(pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(key);
+        });
+    }
+
+    /**
+     * Replace known secret values in a string
+     * @param {string} text - Text
+     * @returns {string} Redacted text
+     */
+    redactString(text) {
+        if (!this.valuePattern || typeof text !== 'string') {
+            return text;
+        }
+        return text.replace(this.valuePattern, REDACTED);
+    }
+
+    /**
+     * Redact a value: properties with sensitive keys are replaced and known
+     * secret values are scrubbed from every string
+     * @param {any} value - Value
+     * @param {string} [key] - Key the value is stored under
+     * @param {WeakSet} [seen] - Objects already visited, guards against cycles
+     * @returns {any} Redacted copy of the value
+     */
+    redact(value, key, seen = new WeakSet()) {
+        if (key !== undefined && value !== undefined && value !== null && this.isSensitiveKey(key)) {
+            return REDACTED;
+        }
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (Array.isArray(value)) {
+            seen.add(value);
+            return value.map(item => this.redact(item, undefined, seen));
+        }
+        if (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null) {
+            seen.add(value);
+            const redacted = {};
+            for (const [name, item] of Object.entries(value)) {
+                redacted[name] = this.redact(item, name, seen);
+            }
+            return redacted;
+        }
+        return value;
+    }
+}
+
+/**
+ * Process-wide redactor used by the SDK logger
+ */
+const redactor = new Redactor();
+
+module.exports = {
+    REDACTED,
+    DEFAULT_KEY_PATTERNS,
+    Redactor,
+    redactor
+};
@@ -0,0 +1,161 @@
+/**
+ * Apito JavaScript Plugin SDK - Resource Repository
+ *
+ * Model-scoped CRUD wrapper on top of the HostService client, so plugins
+ * can work with `plugin.models('orders').get(id)` instead of raw requests.
+ */
+
+const grpc = require('@grpc/grpc-js');
+const { createNotFoundError, createInternalError, isGraphQLError } = require('./helpers');
+const { isQueryBuilder } = require('./query');
+
+/**
+ * Repository for a single Apito model
+ * @template T
+ */
+class ModelRepository {
+    /**
+     * @param {string} model - Model name
+     * @param {Function} hostProvider - Returns the HostService client to use
+     * @param {Object} [options] - Repository options
+     * @param {boolean} [options.singlePageData] - Whether the model is a single page model
+     */
+    constructor(model, hostProvider, options = {}) {
+        this.model = model;
+        this.hostProvider = hostProvider;
+        this.singlePageData = !!options.singlePageData;
+    }
+
+    /**
+     * Resolve the HostService client or fail with an internal error
+     * @returns {Object} HostService client
+     */
+    getHost() {
+        const host = this.hostProvider();
+        if (!host) {
+            throw createInternalError(`HostService is not available for model '${this.model}'`);
+        }
+        return host;
+    }
+
+    /**
+     * Run a host operation and convert failures to GraphQL errors
+     * @param {string} operation - Operation label used in error messages
+     * @param {string|null} id - Resource id, if any
+     * @param {Function} fn - Operation to run
+     * @returns {Promise<any>} Operation result
+     */
+    async run(operation, id, fn) {
+        try {
+            return await fn(this.getHost());
+        } catch (error) {
+            if (isGraphQLError(error)) {
+                throw error;
+            }
+            if (error.code === grpc.status.NOT_FOUND) {
+                throw this.notFound(id);
+            }
+            throw createInternalError(`Failed to ${operation} ${this.model}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a NOT_FOUND error for this model
+     * @param {string|null} id - Resource id
+     * @returns {GraphQLError} Not found error
+     */
+    notFound(id) {
+        const message = id ? `${this.model} '${id}' not found` : `${this.model} not found`;
+        return createNotFoundError(message, this.model);
+    }
+
+    /**
+     * Get a resource by id
+     * @param {string} id - Resource id
+     * @returns {Promise<T>} Resource data
+     * @throws {GraphQLError} NOT_FOUND when the resource does not exist
+     */
+    async get(id) {
+        const resource = await this.run('get', id, host => host.getSingleResource(this.model, id, this.singlePageData));
+        if (resource === null || resource === undefined) {
+            throw this.notFound(id);
+        }
+        return resource;
+    }
+
+    /**
+     * Search resources
+     * @param {Object|QueryBuilder} [filter] - Search filter or query builder
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.aggregate] - Whether to return aggregated results (defaults to the builder's flag)
+     * @returns {Promise<T[]>} Matching resources
+     */
+    async search(filter = {}, options = {}) {
+        let aggregate = !!options.aggregate;
+        if (isQueryBuilder(filter)) {
+            aggregate = options.aggregate !== undefined ? !!options.aggregate : filter.isAggregate();
+            filter = filter.build();
+        }
+        const resources = await this.run('search', null, host => host.searchResources(this.model, filter, aggregate));
+        return resources === null || resources === undefined ? [] : resources;
+    }
+
+    /**
+     * Create a resource
+     * @param {Object} data - Resource data
+     * @param {Object} [connection] - Relations to connect
+     * @returns {Promise<T>} Created resource
+     */
+    async create(data, connection = {}) {
+        return this.run('create', null, host => host.createNewResource(this.model, data, connection));
+    }
+
+    /**
+     * Update a resource
+     * @param {string} id - Resource id
+     * @param {Object} data - Fields to update
+     * @param {Object} [relations] - Relation changes
+     * @param {Object} [relations.connect] - Relations to connect
+     * @param {Object} [relations.disconnect] - Relations to disconnect
+     * @returns {Promise<T>} Updated resource
+     */
+    async update(id, data, relations = {}) {
+        const resource = await this.run('update', id, host => host.updateResource(this.model, id, data, {
+            connect: relations.connect,
+            disconnect: relations.disconnect,
+            singlePageData: this.singlePageData
+        }));
+        if (resource === null || resource === undefined) {
+            throw this.notFound(id);
+        }
+        return resource;
+    }
+
+    /**
+     * Delete a resource
+     * @param {string} id - Resource id
+     * @returns {Promise<boolean>} True when the resource was deleted
+     */
+    async delete(id) {
+        const result = await this.run('delete', id, host => host.deleteResource(this.model, id));
+        if (!result.success) {
+            throw createInternalError(`Failed to delete ${this.model} '${id}': ${result.message || 'unknown error'}`);
+        }
+        return true;
+    }
+
+    /**
+     * Get documents related to a resource
+     * @param {string} id - Resource id
+     * @param {Object} connection - Connection description
+     * @returns {Promise<any[]>} Related documents
+     */
+    async relations(id, connection = {}) {
+        const documents = await this.run('load relations of', id, host => host.getRelationDocuments(id, connection));
+        return documents === null || documents === undefined ? [] : documents;
+    }
+}
+
+module.exports = {
+    ModelRepository
+};
@@ -0,0 +1,143 @@
+/**
+ * Apito JavaScript Plugin SDK - Response Enforcement
+ *
+ * Opt-in checks of handler and resolver return values against what the
+ * plugin declared: the GraphQL field type (NewObjectType fields) or the REST
+ * endpoint's response schema. Undeclared properties are stripped so internal
+ * fields never leave the plugin; type mismatches are logged or fail the call
+ * depending on the mode:
+ *
+ *   - 'off'    - results are returned unchanged (default)
+ *   - 'log'    - strip undeclared properties, log mismatches
+ *   - 'strict' - strip undeclared properties, fail on mismatches
+ */
+
+const { validateJSONSchema, stripUndeclared } = require('./jsonschema');
+const { formatPath } = require('./scalars');
+
+const RESPONSE_VALIDATION_MODES = ['off', 'log', 'strict'];
+
+/**
+ * Checks for the built-in GraphQL output scalars
+ */
+const SCALAR_CHECKS = {
+    String: value => typeof value === 'string',
+    Int: value => Number.isInteger(value),
+    Float: value => typeof value === 'number' && Number.isFinite(value),
+    Boolean: value => typeof value === 'boolean',
+    ID: value => typeof value === 'string' || Number.isInteger(value)
+};
+
+/**
+ * Validate a response validation mode
+ * @param {string} mode - Mode name
+ * @returns {string} The mode
+ * @throws {Error} If the mode is unknown
+ */
+function assertResponseValidationMode(mode) {
+    if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Unknown response validation mode '${mode}', expected one of: ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Strip and check a GraphQL result against its declared output type
+ * @param {Object|string} typeDef - Field output type
+ * @param {any} value - Result value
+ * @param {Array<{path: string, message: string}>} violations - Collected violations
+ * @param {Array<string|number>} [path] - Result path
+ * @returns {any} Stripped value
+ */
+function enforceGraphQLType(typeDef, value, violations, path = []) {
+    const report = message => violations.push({ path: formatPath(path), message });
+
+    if (!typeDef) {
+        return value;
+    }
+    if (typeDef.kind === 'non_null') {
+        if (value === null || value === undefined) {
+            report('must not be null');
+            return value;
+        }
+        return enforceGraphQLType(typeDef.ofType, value, violations, path);
+    }
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (typeDef.kind === 'list') {
+        if (!Array.isArray(value)) {
+            report('must be a list');
+            return value;
+        }
+        return value.map((item, index) => enforceGraphQLType(typeDef.ofType, item, violations, [...path, index]));
+    }
+    if (typeDef.kind === 'union') {
+        const member = (typeDef.possibleTypes || []).find(type => type.name === value.__typename);
+        return member ? enforceGraphQLType(member, value, violations, path) : value;
+    }
+    if (typeDef.kind === 'enum') {
+        if (!(typeDef.values || []).includes(value)) {
+            report(`must be one of: ${(typeDef.values || []).join(', ')}`);
+        }
+        return value;
+    }
+    if (typeDef.fields) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            report(`must be an object of type '${typeDef.name}'`);
+            return value;
+        }
+        // Interfaces only know their own fields, implementations may add more
+        const strip = typeDef.kind !== 'interface';
+        const result = strip ? {} : { ...value };
+        if (strip && value.__typename !== undefined) {
+            result.__typename = value.__typename;
+        }
+        for (const [name, fieldDef] of Object.entries(typeDef.fields)) {
+            const fieldType = fieldDef && fieldDef.type;
+            if (name in value) {
+                result[name] = enforceGraphQLType(fieldType, value[name], violations, [...path, name]);
+            } else if (fieldType && fieldType.kind === 'non_null') {
+                violations.push({ path: formatPath([...path, name]), message: 'must not be null' });
+            }
+        }
+        return result;
+    }
+
+    const name = typeof typeDef === 'string' ? typeDef : (typeDef.scalarType || typeDef.name);
+    const check = SCALAR_CHECKS[name];
+    if (check && !check(value)) {
+        report(`must be of type ${name}`);
+    }
+    return value;
+}
+
+/**
+ * Strip and check a GraphQL result
+ * @param {Object|string} typeDef - Field output type
+ * @param {any} value - Result value
+ * @returns {{value: any, violations: Array<{path: string, message: string}>}} Stripped value and violations
+ */
+function enforceGraphQLResponse(typeDef, value) {
+    const violations = [];
+    const stripped = enforceGraphQLType(typeDef, value, violations);
+    return { value: stripped, violations };
+}
+
+/**
+ * Strip and check a REST result against a JSON Schema
+ * @param {Object} schema - Response schema
+ * @param {any} value - Result value
+ * @returns {{value: any, violations: Array<{path: string, message: string}>}} Stripped value and violations
+ */
+function enforceJSONSchemaResponse(schema, value) {
+    const stripped = stripUndeclared(schema, value);
+    return { value: stripped, violations: validateJSONSchema(schema, stripped) };
+}
+
+module.exports = {
+    RESPONSE_VALIDATION_MODES,
+    assertResponseValidationMode,
+    enforceGraphQLResponse,
+    enforceJSONSchemaResponse
+};
@@ -0,0 +1,201 @@
+/**
+ * Apito JavaScript Plugin SDK - Custom Scalars
+ *
+ * Custom scalars declare how values cross the plugin boundary:
+ *
+ *   - `parseValue` converts an incoming argument value (already decoded from
+ *     protobuf) into the value resolvers receive; see coercion.js
+ *   - `serialize` converts a resolver result into a protobuf-friendly value
+ *
+ * DateTime, JSON, BigInt and Upload ship with the SDK. Arguments and results
+ * are walked along the registered field definitions, so only values declared
+ * with a custom scalar type are touched.
+ */
+
+const { createGraphQLErrorWithCode } = require('./helpers');
+
+/**
+ * Create a custom scalar definition
+ * @param {string} name - Scalar name
+ * @param {Object} options - Scalar behaviour
+ * @param {Function} [options.serialize] - Converts a result value for the engine
+ * @param {Function} [options.parseValue] - Converts an incoming argument value
+ * @param {string} [options.description] - Scalar description
+ * @returns {{name: string, serialize: Function, parseValue: Function, description?: string}} Scalar definition
+ */
+function defineScalar(name, options = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('defineScalar: name must be a non-empty string');
+    }
+    for (const hook of ['serialize', 'parseValue']) {
+        if (options[hook] !== undefined && typeof options[hook] !== 'function') {
+            throw new Error(`defineScalar: ${hook} for '${name}' must be a function`);
+        }
+    }
+    const scalar = {
+        name,
+        serialize: options.serialize || (value => value),
+        parseValue: options.parseValue || (value => value)
+    };
+    if (options.description) scalar.description = options.description;
+    return scalar;
+}
+
+/**
+ * Parse a DateTime value into a Date
+ * @param {any} value - ISO-8601 string, epoch milliseconds or Date
+ * @returns {Date} Parsed date
+ */
+function toDate(value) {
+    if (!(value instanceof Date) && typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error('must be an ISO-8601 string or a timestamp in milliseconds');
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`'${value}' is not a valid date`);
+    }
+    return date;
+}
+
+/**
+ * Parse a BigInt value
+ * @param {any} value - Integer string, safe integer or bigint
+ * @returns {bigint} Parsed value
+ */
+function toBigInt(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return BigInt(value);
+    }
+    if (typeof value === 'string' && /^[-+]?\d+$/.test(value.trim())) {
+        return BigInt(value.trim());
+    }
+    throw new Error(`'${value}' is not an integer`);
+}
+
+const DateTimeScalar = defineScalar('DateTime', {
+    description: 'ISO-8601 date and time',
+    parseValue: toDate,
+    serialize: value => toDate(value).toISOString()
+});
+
+const JSONScalar = defineScalar('JSON', {
+    description: 'Arbitrary JSON value'
+});
+
+const BigIntScalar = defineScalar('BigInt', {
+    description: 'Arbitrary precision integer, sent as a string',
+    parseValue: toBigInt,
+    serialize: value => toBigInt(value).toString()
+});
+
+const UploadScalar = defineScalar('Upload', {
+    description: 'File upload, passed through as the descriptor the engine sends',
+    serialize: () => {
+        throw new Error('Upload is an input-only scalar');
+    }
+});
+
+const BUILT_IN_SCALARS = [DateTimeScalar, JSONScalar, BigIntScalar, UploadScalar];
+
+/**
+ * Create a scalar registry holding the built-in scalars
+ * @returns {Map<string, Object>} Scalars by name
+ */
+function createScalarRegistry() {
+    return new Map(BUILT_IN_SCALARS.map(scalar => [scalar.name, scalar]));
+}
+
+/**
+ * Format a value path for error messages, e.g. input.items[2].date
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string} Formatted path
+ */
+function formatPath(path) {
+    return path.reduce((text, segment) => (
+        typeof segment === 'number' ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment)
+    ), '');
+}
+
+/**
+ * Look up the custom scalar for a type definition
+ * @param {Object|string} typeDef - Type definition
+ * @param {Map<string, Object>} scalars - Scalar registry
+ * @returns {Object|undefined} Scalar definition
+ */
+function findScalar(typeDef, scalars) {
+    if (typeof typeDef === 'string') {
+        return scalars.get(typeDef);
+    }
+    if (typeDef && typeDef.kind === 'scalar') {
+        return scalars.get(typeDef.scalarType || typeDef.name);
+    }
+    return undefined;
+}
+
+/**
+ * Apply `serialize` to every custom scalar in a result
+ * @param {Object|string} typeDef - Output type definition of the field
+ * @param {any} value - Resolver result
+ * @param {Map<string, Object>} scalars - Scalar registry
+ * @param {Array<string|number>} [path] - Result path
+ * @returns {any} Serialized result
+ * @throws {GraphQLError} INTERNAL_ERROR when a value cannot be serialized
+ */
+function serializeResult(typeDef, value, scalars, path = []) {
+    if (value === null || value === undefined || !typeDef) {
+        return value;
+    }
+    if (typeDef.kind === 'non_null') {
+        return serializeResult(typeDef.ofType, value, scalars, path);
+    }
+    if (typeDef.kind === 'list') {
+        return Array.isArray(value)
+            ? value.map((item, index) => serializeResult(typeDef.ofType, item, scalars, [...path, index]))
+            : value;
+    }
+    if (typeDef.kind === 'union') {
+        const member = (typeDef.possibleTypes || []).find(type => type.name === value.__typename);
+        return member ? serializeResult(member, value, scalars, path) : value;
+    }
+    if (typeDef.fields) {
+        if (typeof value !== 'object') {
+            return value;
+        }
+        const serialized = { ...value };
+        for (const [name, fieldDef] of Object.entries(typeDef.fields)) {
+            if (name in serialized) {
+                serialized[name] = serializeResult(fieldDef && fieldDef.type, serialized[name], scalars, [...path, name]);
+            }
+        }
+        return serialized;
+    }
+
+    const scalar = findScalar(typeDef, scalars);
+    if (!scalar) {
+        return value;
+    }
+    try {
+        return scalar.serialize(value);
+    } catch (error) {
+        throw createGraphQLErrorWithCode(
+            `Cannot serialize ${scalar.name} value at '${formatPath(path) || '<root>'}': ${error.message}`,
+            'INTERNAL_ERROR'
+        );
+    }
+}
+
+module.exports = {
+    defineScalar,
+    DateTimeScalar,
+    JSONScalar,
+    BigIntScalar,
+    UploadScalar,
+    BUILT_IN_SCALARS,
+    createScalarRegistry,
+    findScalar,
+    formatPath,
+    serializeResult
+};
@@ -0,0 +1,767 @@
+/**
+ * Apito JavaScript Plugin SDK - GraphQL SDL Import/Export
+ *
+ * Parses GraphQL SDL into the internal field/type structures produced by
+ * the helpers (and understood by convertFieldToProtobuf), and prints the
+ * registered schema back as standard SDL.
+ */
+
+const {
+    createScalarType,
+    createNonNullType,
+    createListType,
+    createEnumType
+} = require('./helpers');
+
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+const ROOT_TYPES = { Query: 'queries', Mutation: 'mutations', Subscription: 'subscriptions' };
+
+// SDL definition keyword -> internal type kind
+const TYPE_KINDS = {
+    type: 'object',
+    input: 'input_object',
+    interface: 'interface',
+    enum: 'enum',
+    union: 'union'
+};
+
+// Internal type kind -> SDL definition keyword
+const SDL_KEYWORDS = {
+    object: 'type',
+    input_object: 'input',
+    interface: 'interface'
+};
+
+// ==============================================
+// LEXER
+// ==============================================
+
+const PUNCTUATORS = '{}()[]:!=@|&,';
+
+/**
+ * Split SDL source into tokens
+ * @param {string} source - SDL source
+ * @returns {Array<{kind: string, value: string, line: number}>} Tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char) || char === ',' || char === '\ufeff') {
+            i++;
+        } else if (char === '#') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (source.startsWith('"""', i)) {
+            const end = source.indexOf('"""', i + 3);
+            if (end === -1) {
+                throw new Error(`SDL syntax error on line ${line}: unterminated block string`);
+            }
+            const raw = source.slice(i + 3, end);
+            tokens.push({ kind: 'string', value: dedentBlockString(raw), line });
+            line += (raw.match(/\n/g) || []).length;
+            i = end + 3;
+        } else if (char === '"') {
+            let j = i + 1;
+            let value = '';
+            while (j < source.length && source[j] !== '"') {
+                if (source[j] === '\n') {
+                    throw new Error(`SDL syntax error on line ${line}: unterminated string`);
+                }
+                if (source[j] === '\\') {
+                    const escaped = source[j + 1];
+                    value += { n: '\n', t: '\t', '"': '"', '\\': '\\', '/': '/' }[escaped] ?? escaped;
+                    j += 2;
+                } else {
+                    value += source[j++];
+                }
+            }
+            tokens.push({ kind: 'string', value, line });
+            i = j + 1;
+        } else if (char === '.' && source.startsWith('...', i)) {
+            tokens.push({ kind: 'punct', value: '...', line });
+            i += 3;
+        } else if (PUNCTUATORS.includes(char)) {
+            tokens.push({ kind: 'punct', value: char, line });
+            i++;
+        } else if (/[_A-Za-z]/.test(char)) {
+            let j = i;
+            while (j < source.length && /[_0-9A-Za-z]/.test(source[j])) j++;
+            tokens.push({ kind: 'name', value: source.slice(i, j), line });
+            i = j;
+        } else if (/[-0-9]/.test(char)) {
+            let j = i + 1;
+            while (j < source.length && /[0-9.eE+-]/.test(source[j])) j++;
+            tokens.push({ kind: 'number', value: source.slice(i, j), line });
+            i = j;
+        } else {
+            throw new Error(`SDL syntax error on line ${line}: unexpected character '${char}'`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Remove common indentation from a block string
+ * @param {string} raw - Raw block string content
+ * @returns {string} Dedented content
+ */
+function dedentBlockString(raw) {
+    const lines = raw.split('\n');
+    const indents = lines.slice(1)
+        .filter(l => l.trim())
+        .map(l => l.match(/^\s*/)[0].length);
+    const common = indents.length ? Math.min(...indents) : 0;
+    return lines
+        .map((l, index) => (index === 0 ? l : l.slice(common)))
+        .join('\n')
+        .trim();
+}
+
+// ==============================================
+// PARSER
+// ==============================================
+
+/**
+ * Recursive descent parser for the type system subset of GraphQL SDL
+ */
+class SDLParser {
+    constructor(source) {
+        this.tokens = tokenize(source);
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+
+    next() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new Error('SDL syntax error: unexpected end of input');
+        }
+        return token;
+    }
+
+    is(value) {
+        const token = this.peek();
+        return !!token && token.value === value && token.kind !== 'string';
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.kind === 'string') {
+            throw new Error(`SDL syntax error on line ${token.line}: expected '${value}' but found '${token.value}'`);
+        }
+        return token;
+    }
+
+    expectName() {
+        const token = this.next();
+        if (token.kind !== 'name') {
+            throw new Error(`SDL syntax error on line ${token.line}: expected a name but found '${token.value}'`);
+        }
+        return token.value;
+    }
+
+    optionalDescription() {
+        const token = this.peek();
+        if (token && token.kind === 'string') {
+            this.pos++;
+            return token.value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Parse the whole document
+     * @returns {Array<Object>} Definitions
+     */
+    parseDocument() {
+        const definitions = [];
+        while (this.peek()) {
+            definitions.push(this.parseDefinition());
+        }
+        return definitions;
+    }
+
+    parseDefinition() {
+        const description = this.optionalDescription();
+        let extend = false;
+        if (this.is('extend')) {
+            this.next();
+            extend = true;
+        }
+
+        const keywordToken = this.next();
+        const keyword = keywordToken.value;
+
+        switch (keyword) {
+            case 'type':
+            case 'input':
+            case 'interface': {
+                const name = this.expectName();
+                const interfaces = this.parseImplements();
+                this.skipDirectives();
+                const fields = this.is('{') ? this.parseFieldsBlock(keyword === 'input') : [];
+                return { kind: keyword, name, description, extend, fields, interfaces };
+            }
+            case 'enum': {
+                const name = this.expectName();
+                this.skipDirectives();
+                const values = this.is('{') ? this.parseEnumValues() : [];
+                return { kind: 'enum', name, description, extend, values };
+            }
+            case 'union': {
+                const name = this.expectName();
+                this.skipDirectives();
+                const types = [];
+                if (this.is('=')) {
+                    this.next();
+                    if (this.is('|')) this.next();
+                    types.push(this.expectName());
+                    while (this.is('|')) {
+                        this.next();
+                        types.push(this.expectName());
+                    }
+                }
+                return { kind: 'union', name, description, extend, types };
+            }
+            case 'scalar': {
+                const name = this.expectName();
+                this.skipDirectives();
+                return { kind: 'scalar', name, description };
+            }
+            case 'schema': {
+                this.skipDirectives();
+                const operations = {};
+                this.expect('{');
+                while (!this.is('}')) {
+                    const operation = this.expectName();
+                    this.expect(':');
+                    operations[operation] = this.expectName();
+                }
+                this.expect('}');
+                return { kind: 'schema', operations };
+            }
+            case 'directive':
+                this.skipDirectiveDefinition();
+                return { kind: 'directive' };
+            default:
+                throw new Error(`SDL syntax error on line ${keywordToken.line}: unsupported definition '${keyword}'`);
+        }
+    }
+
+    parseImplements() {
+        const interfaces = [];
+        if (this.is('implements')) {
+            this.next();
+            if (this.is('&')) this.next();
+            interfaces.push(this.expectName());
+            while (this.is('&')) {
+                this.next();
+                interfaces.push(this.expectName());
+            }
+        }
+        return interfaces;
+    }
+
+    parseEnumValues() {
+        const values = [];
+        this.expect('{');
+        while (!this.is('}')) {
+            const description = this.optionalDescription();
+            const name = this.expectName();
+            this.skipDirectives();
+            values.push({ name, description });
+        }
+        this.expect('}');
+        return values;
+    }
+
+    skipDirectives() {
+        while (this.is('@')) {
+            this.next();
+            this.expectName();
+            if (this.is('(')) {
+                this.skipBalanced('(', ')');
+            }
+        }
+    }
+
+    skipDirectiveDefinition() {
+        this.expect('@');
+        this.expectName();
+        if (this.is('(')) {
+            this.skipBalanced('(', ')');
+        }
+        if (this.is('repeatable')) this.next();
+        this.expect('on');
+        if (this.is('|')) this.next();
+        this.expectName();
+        while (this.is('|')) {
+            this.next();
+            this.expectName();
+        }
+    }
+
+    skipBalanced(open, close) {
+        let depth = 0;
+        do {
+            const token = this.next();
+            if (token.kind === 'punct' && token.value === open) depth++;
+            if (token.kind === 'punct' && token.value === close) depth--;
+        } while (depth > 0);
+    }
+
+    parseFieldsBlock(isInput) {
+        const fields = [];
+        this.expect('{');
+        while (!this.is('}')) {
+            const description = this.optionalDescription();
+            const name = this.expectName();
+            const args = !isInput && this.is('(') ? this.parseArguments() : [];
+            this.expect(':');
+            const type = this.parseTypeReference();
+            const defaultValue = this.is('=') ? this.parseDefaultValue() : undefined;
+            this.skipDirectives();
+            fields.push({ name, description, args, type, defaultValue });
+        }
+        this.expect('}');
+        return fields;
+    }
+
+    parseArguments() {
+        const args = [];
+        this.expect('(');
+        while (!this.is(')')) {
+            const description = this.optionalDescription();
+            const name = this.expectName();
+            this.expect(':');
+            const type = this.parseTypeReference();
+            const defaultValue = this.is('=') ? this.parseDefaultValue() : undefined;
+            this.skipDirectives();
+            args.push({ name, description, type, defaultValue });
+        }
+        this.expect(')');
+        return args;
+    }
+
+    parseTypeReference() {
+        let type;
+        if (this.is('[')) {
+            this.next();
+            type = { kind: 'list', ofType: this.parseTypeReference() };
+            this.expect(']');
+        } else {
+            type = { kind: 'named', name: this.expectName() };
+        }
+        if (this.is('!')) {
+            this.next();
+            type = { kind: 'non_null', ofType: type };
+        }
+        return type;
+    }
+
+    parseDefaultValue() {
+        this.expect('=');
+        return this.parseValue();
+    }
+
+    parseValue() {
+        const token = this.next();
+        if (token.kind === 'string') return token.value;
+        if (token.kind === 'number') return Number(token.value);
+        if (token.kind === 'name') {
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            return token.value;
+        }
+        if (token.value === '[') {
+            const values = [];
+            while (!this.is(']')) values.push(this.parseValue());
+            this.expect(']');
+            return values;
+        }
+        if (token.value === '{') {
+            const obj = {};
+            while (!this.is('}')) {
+                const key = this.expectName();
+                this.expect(':');
+                obj[key] = this.parseValue();
+            }
+            this.expect('}');
+            return obj;
+        }
+        throw new Error(`SDL syntax error on line ${token.line}: unexpected '${token.value}' in value`);
+    }
+}
+
+/**
+ * Parse SDL source into definitions
+ * @param {string} source - SDL source
+ * @returns {Array<Object>} Definitions
+ */
+function parseSDL(source) {
+    return new SDLParser(source).parseDocument();
+}
+
+// ==============================================
+// SDL -> INTERNAL STRUCTURES
+// ==============================================
+
+/**
+ * Build internal field definitions from SDL
+ * @param {string} source - SDL source
+ * @returns {{queries: Object, mutations: Object, subscriptions: Object, types: Object}} Root fields by operation
+ */
+function buildSchemaFromSDL(source) {
+    const definitions = parseSDL(source);
+    const typeDefs = new Map();
+    const scalars = new Set(BUILT_IN_SCALARS);
+    const rootNames = { Query: 'Query', Mutation: 'Mutation', Subscription: 'Subscription' };
+
+    for (const def of definitions) {
+        if (def.kind === 'scalar') {
+            scalars.add(def.name);
+        } else if (def.kind === 'schema') {
+            if (def.operations.query) rootNames.Query = def.operations.query;
+            if (def.operations.mutation) rootNames.Mutation = def.operations.mutation;
+            if (def.operations.subscription) rootNames.Subscription = def.operations.subscription;
+        } else if (TYPE_KINDS[def.kind]) {
+            const existing = typeDefs.get(def.name);
+            if (existing) {
+                for (const key of ['fields', 'interfaces', 'values', 'types']) {
+                    if (def[key]) existing[key].push(...def[key]);
+                }
+                existing.description = existing.description || def.description;
+            } else {
+                typeDefs.set(def.name, {
+                    ...def,
+                    fields: [...(def.fields || [])],
+                    interfaces: [...(def.interfaces || [])],
+                    values: [...(def.values || [])],
+                    types: [...(def.types || [])]
+                });
+            }
+        }
+    }
+
+    const building = new Map();
+
+    const buildNamedType = (name) => {
+        if (scalars.has(name)) {
+            return createScalarType(name);
+        }
+        const def = typeDefs.get(name);
+        if (!def) {
+            throw new Error(`SDL error: unknown type '${name}'`);
+        }
+        if (building.has(name)) {
+            // Self reference: emit a reference without fields to avoid cycles
+            return { kind: TYPE_KINDS[def.kind], name };
+        }
+
+        if (def.kind === 'enum') {
+            const described = def.values.some(value => value.description);
+            return createEnumType(
+                name,
+                described
+                    ? Object.fromEntries(def.values.map(value => [value.name, value.description || '']))
+                    : def.values.map(value => value.name),
+                def.description
+            );
+        }
+
+        const typeDef = { kind: TYPE_KINDS[def.kind], name };
+        if (def.description) typeDef.description = def.description;
+        building.set(name, typeDef);
+        if (def.kind === 'union') {
+            typeDef.possibleTypes = def.types.map(buildNamedType);
+        } else {
+            typeDef.fields = {};
+            for (const field of def.fields) {
+                typeDef.fields[field.name] = def.kind === 'input'
+                    ? buildArg(field)
+                    : buildField(field);
+            }
+            if (def.interfaces.length > 0) {
+                typeDef.interfaces = def.interfaces.map(buildNamedType);
+            }
+        }
+        building.delete(name);
+        return typeDef;
+    };
+
+    const buildTypeRef = (ref) => {
+        if (ref.kind === 'non_null') return createNonNullType(buildTypeRef(ref.ofType));
+        if (ref.kind === 'list') return createListType(buildTypeRef(ref.ofType));
+        return buildNamedType(ref.name);
+    };
+
+    const buildArg = (arg) => {
+        const argDef = { type: buildTypeRef(arg.type) };
+        if (arg.description) argDef.description = arg.description;
+        if (arg.defaultValue !== undefined) argDef.defaultValue = arg.defaultValue;
+        return argDef;
+    };
+
+    const buildField = (field) => {
+        const fieldDef = { type: buildTypeRef(field.type), description: field.description || '', args: {} };
+        for (const arg of field.args) {
+            fieldDef.args[arg.name] = buildArg(arg);
+        }
+        return fieldDef;
+    };
+
+    const result = { queries: {}, mutations: {}, subscriptions: {}, types: {} };
+    for (const [root, target] of Object.entries(ROOT_TYPES)) {
+        const def = typeDefs.get(rootNames[root]);
+        if (!def) continue;
+        for (const field of def.fields) {
+            result[target][field.name] = buildField(field);
+        }
+    }
+    for (const name of typeDefs.keys()) {
+        if (!Object.values(rootNames).includes(name)) {
+            result.types[name] = buildNamedType(name);
+        }
+    }
+    return result;
+}
+
+// ==============================================
+// INTERNAL STRUCTURES -> SDL
+// ==============================================
+
+/**
+ * Format a description as an SDL string literal
+ * @param {string} description - Description
+ * @param {string} indent - Indentation prefix
+ * @returns {string} SDL description line(s), or '' when empty
+ */
+function printDescription(description, indent) {
+    if (!description) {
+        return '';
+    }
+    if (description.includes('\n') || description.includes('"')) {
+        const body = description.replace(/"""/g, '\\"""').split('\n').map(line => `${indent}${line}`).join('\n');
+        return `${indent}"""\n${body}\n${indent}"""\n`;
+    }
+    return `${indent}"${description}"\n`;
+}
+
+/**
+ * Format a default value as an SDL literal. Enum values are printed bare.
+ * @param {any} value - Default value
+ * @param {Object|string} typeDef - Argument type definition
+ * @returns {string} SDL value literal
+ */
+function printValue(value, typeDef) {
+    let named = typeDef;
+    while (named && (named.kind === 'non_null' || named.kind === 'list')) {
+        named = named.ofType;
+    }
+    const isEnum = named && named.kind === 'enum';
+    if (Array.isArray(value)) {
+        return `[${value.map(item => printValue(item, named)).join(', ')}]`;
+    }
+    if (isEnum && typeof value === 'string') {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Capitalize the first letter of a name
+ * @param {string} name - Name
+ * @returns {string} Capitalized name
+ */
+function capitalize(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * SDL Printer class collecting named types while printing root fields
+ */
+class SDLPrinter {
+    constructor() {
+        this.types = new Map();
+        this.order = [];
+        this.scalars = new Set();
+    }
+
+    /**
+     * Print a type reference, registering named object/input types on the way
+     * @param {Object|string} typeDef - Internal type definition
+     * @param {string} fallbackName - Name used for anonymous object types
+     * @param {boolean} isInput - Whether the type is used in input position
+     * @returns {string} SDL type reference
+     */
+    printTypeRef(typeDef, fallbackName, isInput) {
+        if (typeof typeDef === 'string') {
+            return this.namedScalar(typeDef);
+        }
+        if (!typeDef) {
+            return 'String';
+        }
+        switch (typeDef.kind) {
+            case 'non_null':
+                return `${this.printTypeRef(typeDef.ofType, fallbackName, isInput)}!`;
+            case 'list':
+                return `[${this.printTypeRef(typeDef.ofType, fallbackName, isInput)}]`;
+            case 'object':
+            case 'input_object':
+            case 'interface': {
+                const name = !typeDef.name || typeDef.name === 'Object' ? fallbackName : typeDef.name;
+                const keyword = typeDef.kind === 'object' && isInput ? 'input' : SDL_KEYWORDS[typeDef.kind];
+                this.addType(name, keyword, typeDef.fields || {}, typeDef.description, typeDef.interfaces);
+                return name;
+            }
+            case 'enum':
+                this.addEnum(typeDef);
+                return typeDef.name;
+            case 'union':
+                this.addUnion(typeDef);
+                return typeDef.name;
+            default:
+                return this.namedScalar(typeDef.scalarType || typeDef.name || 'String');
+        }
+    }
+
+    namedScalar(name) {
+        if (!BUILT_IN_SCALARS.includes(name)) {
+            this.scalars.add(name);
+        }
+        return name;
+    }
+
+    addType(name, kind, fields, description, interfaces = []) {
+        if (this.types.has(name) || Object.keys(fields).length === 0) {
+            return;
+        }
+        const entry = { name, kind, description, lines: [], interfaces: [] };
+        this.types.set(name, entry);
+        for (const iface of interfaces || []) {
+            entry.interfaces.push(typeof iface === 'string' ? iface : this.printTypeRef(iface, iface.name, false));
+        }
+        for (const [fieldName, fieldDef] of Object.entries(fields)) {
+            entry.lines.push(kind === 'input'
+                ? this.printArg(fieldName, fieldDef, `${name}${capitalize(fieldName)}`, '  ')
+                : this.printField(fieldName, fieldDef, `${name}${capitalize(fieldName)}`, '  '));
+        }
+        this.order.push(name);
+    }
+
+    addEnum(typeDef) {
+        if (this.types.has(typeDef.name)) {
+            return;
+        }
+        const descriptions = typeDef.valueDescriptions || {};
+        const lines = (typeDef.values || []).map(value => `${printDescription(descriptions[value], '  ')}  ${value}`);
+        this.types.set(typeDef.name, { name: typeDef.name, kind: 'enum', description: typeDef.description, lines });
+        this.order.push(typeDef.name);
+    }
+
+    addUnion(typeDef) {
+        if (this.types.has(typeDef.name)) {
+            return;
+        }
+        const entry = { name: typeDef.name, kind: 'union', description: typeDef.description, members: [] };
+        this.types.set(typeDef.name, entry);
+        for (const member of typeDef.possibleTypes || []) {
+            entry.members.push(this.printTypeRef(member, member.name, false));
+        }
+        this.order.push(typeDef.name);
+    }
+
+    /**
+     * Print an argument or input field
+     * @returns {string} SDL line(s)
+     */
+    printArg(name, argDef, typeNameHint, indent) {
+        let typeRef;
+        if (argDef.properties) {
+            const inputName = `${typeNameHint}Input`;
+            this.addType(inputName, 'input', argDef.properties);
+            typeRef = inputName;
+        } else if (argDef.type === 'Object') {
+            typeRef = this.namedScalar('JSON');
+        } else {
+            typeRef = this.printTypeRef(argDef.type, `${typeNameHint}Input`, true);
+        }
+        const defaultValue = argDef.defaultValue !== undefined ? ` = ${printValue(argDef.defaultValue, argDef.type)}` : '';
+        return `${printDescription(argDef.description, indent)}${indent}${name}: ${typeRef}${defaultValue}`;
+    }
+
+    /**
+     * Print an output field with its arguments
+     * @returns {string} SDL line(s)
+     */
+    printField(name, fieldDef, typeNameHint, indent) {
+        const args = Object.entries(fieldDef.args || {});
+        let argList = '';
+        if (args.length > 0) {
+            const printed = args.map(([argName, argDef]) => this.printArg(argName, argDef, `${typeNameHint}${capitalize(argName)}`, ''));
+            argList = printed.some(line => line.includes('\n'))
+                ? `(\n${printed.map(line => line.split('\n').map(l => `${indent}  ${l}`).join('\n')).join('\n')}\n${indent})`
+                : `(${printed.join(', ')})`;
+        }
+        const typeRef = this.printTypeRef(fieldDef.type, `${typeNameHint}Result`, false);
+        return `${printDescription(fieldDef.description, indent)}${indent}${name}${argList}: ${typeRef}`;
+    }
+
+    printBlock(kind, name, lines, description, interfaces = []) {
+        const implementsClause = interfaces.length > 0 ? ` implements ${interfaces.join(' & ')}` : '';
+        return `${printDescription(description, '')}${kind} ${name}${implementsClause} {\n${lines.join('\n')}\n}`;
+    }
+
+    printEntry(entry) {
+        if (entry.kind === 'union') {
+            return `${printDescription(entry.description, '')}union ${entry.name} = ${entry.members.join(' | ')}`;
+        }
+        return this.printBlock(entry.kind, entry.name, entry.lines, entry.description, entry.interfaces);
+    }
+}
+
+/**
+ * Print registered root fields as SDL
+ * @param {{queries: Object, mutations: Object, subscriptions: Object}} schema - Root fields by operation
+ * @returns {string} SDL document
+ */
+function printSDL(schema) {
+    const printer = new SDLPrinter();
+    const roots = [];
+
+    for (const [root, source] of Object.entries(ROOT_TYPES)) {
+        const fields = Object.entries(schema[source] || {});
+        if (fields.length === 0) continue;
+        const lines = fields.map(([name, fieldDef]) => printer.printField(name, fieldDef, capitalize(name), '  '));
+        roots.push(printer.printBlock('type', root, lines));
+    }
+
+    const blocks = [];
+    for (const scalar of Array.from(printer.scalars).sort()) {
+        blocks.push(`scalar ${scalar}`);
+    }
+    for (const name of printer.order) {
+        blocks.push(printer.printEntry(printer.types.get(name)));
+    }
+    blocks.push(...roots);
+
+    return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+    parseSDL,
+    buildSchemaFromSDL,
+    printSDL
+};
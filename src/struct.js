@@ -0,0 +1,194 @@
+/**
+ * Apito JavaScript Plugin SDK - Protobuf Struct Conversion
+ *
+ * Pure conversion helpers between plain JavaScript values and the
+ * google.protobuf.Struct / Value / Any shapes used on the wire.
+ */
+
+const protobuf = require('protobufjs');
+
+// Well-known types are bundled with protobufjs, so binary Struct/Value
+// payloads can be decoded without locating an extra .proto file
+const wellKnownRoot = new protobuf.Root();
+wellKnownRoot.addJSON(protobuf.common.get('google/protobuf/struct.proto').nested);
+
+const StructMessage = wellKnownRoot.lookupType('google.protobuf.Struct');
+const ValueMessage = wellKnownRoot.lookupType('google.protobuf.Value');
+const ListValueMessage = wellKnownRoot.lookupType('google.protobuf.ListValue');
+
+const STRUCT_TYPE_URL = 'type.googleapis.com/google.protobuf.Struct';
+const VALUE_TYPE_URL = 'type.googleapis.com/google.protobuf.Value';
+const LIST_VALUE_TYPE_URL = 'type.googleapis.com/google.protobuf.ListValue';
+
+/**
+ * Convert a JavaScript value to a protobuf Value
+ * @param {any} value - JavaScript value
+ * @returns {Object} protobuf Value
+ */
+function toValue(value) {
+    if (value === null || value === undefined) {
+        return { nullValue: 0 };
+    } else if (typeof value === 'string') {
+        return { stringValue: value };
+    } else if (typeof value === 'number') {
+        return { numberValue: value };
+    } else if (typeof value === 'boolean') {
+        return { boolValue: value };
+    } else if (typeof value === 'bigint') {
+        return { stringValue: value.toString() };
+    } else if (value instanceof Date) {
+        return { stringValue: value.toISOString() };
+    } else if (Array.isArray(value)) {
+        return { listValue: { values: value.map(toValue) } };
+    } else if (typeof value === 'object') {
+        return { structValue: toStruct(value) };
+    }
+    return { stringValue: String(value) };
+}
+
+/**
+ * Convert a plain JavaScript object to a protobuf Struct
+ * @param {Object} obj - Plain object
+ * @returns {Object} protobuf Struct
+ */
+function toStruct(obj) {
+    const fields = {};
+    for (const [key, value] of Object.entries(obj || {})) {
+        if (value !== undefined) {
+            fields[key] = toValue(value);
+        }
+    }
+    return { fields };
+}
+
+/**
+ * Convert a protobuf Value to a JavaScript value
+ * @param {Object} value - protobuf Value
+ * @returns {any} JavaScript value
+ */
+function fromValue(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (value.stringValue !== undefined) {
+        return value.stringValue;
+    } else if (value.numberValue !== undefined) {
+        return value.numberValue;
+    } else if (value.boolValue !== undefined) {
+        return value.boolValue;
+    } else if (value.structValue !== undefined) {
+        return fromStruct(value.structValue);
+    } else if (value.listValue !== undefined) {
+        return (value.listValue.values || []).map(fromValue);
+    }
+    return null;
+}
+
+/**
+ * Convert a protobuf Struct to a plain JavaScript object
+ * @param {Object} struct - protobuf Struct
+ * @returns {Object} Plain object
+ */
+function fromStruct(struct) {
+    if (!struct || !struct.fields) {
+        return {};
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(struct.fields)) {
+        result[key] = fromValue(value);
+    }
+    return result;
+}
+
+/**
+ * Heuristically unwrap data that is still in protobuf Struct/Value form.
+ * The SDK (and the engine) JSON-encode Struct messages inside Any values,
+ * so decoded JSON may either be plain data or a Struct representation.
+ * @param {any} data - Parsed JSON data
+ * @returns {any} Plain JavaScript value
+ */
+function unwrapStructJSON(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return data;
+    }
+
+    const keys = Object.keys(data);
+    if (keys.length === 1 && keys[0] === 'fields' && data.fields && typeof data.fields === 'object') {
+        return fromStruct(data);
+    }
+    if (keys.length === 1 && ['nullValue', 'numberValue', 'stringValue', 'boolValue', 'structValue', 'listValue'].includes(keys[0])) {
+        return fromValue(data);
+    }
+    return data;
+}
+
+/**
+ * Decode a google.protobuf.Any into a plain JavaScript value.
+ * Supports both binary Struct/Value/ListValue payloads and JSON payloads.
+ * @param {Object} any - Any message ({ type_url, value })
+ * @returns {any} Decoded value, or null for an empty Any
+ */
+function decodeAny(any) {
+    if (!any) {
+        return null;
+    }
+
+    const typeUrl = any.type_url || any.typeUrl || '';
+    const buffer = any.value ? Buffer.from(any.value) : Buffer.alloc(0);
+    if (buffer.length === 0) {
+        return null;
+    }
+
+    // JSON payloads always start with a printable JSON token, while binary
+    // Struct/Value messages start with a field tag byte
+    const first = buffer.toString('utf8', 0, 1);
+    if (first === '{' || first === '[' || first === '"') {
+        try {
+            return unwrapStructJSON(JSON.parse(buffer.toString('utf8')));
+        } catch (error) {
+            // Fall through to binary decoding
+        }
+    }
+
+    const options = { oneofs: false, defaults: false };
+    if (typeUrl.endsWith('google.protobuf.Value')) {
+        return fromValue(ValueMessage.toObject(ValueMessage.decode(buffer), options));
+    } else if (typeUrl.endsWith('google.protobuf.ListValue')) {
+        const list = ListValueMessage.toObject(ListValueMessage.decode(buffer), options);
+        return (list.values || []).map(fromValue);
+    }
+    return fromStruct(StructMessage.toObject(StructMessage.decode(buffer), options));
+}
+
+/**
+ * Encode a JavaScript value into a google.protobuf.Any holding a binary
+ * Struct (for plain objects) or Value (for everything else)
+ * @param {any} value - JavaScript value
+ * @returns {Object} Any message ({ type_url, value })
+ */
+function encodeAny(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        return {
+            type_url: STRUCT_TYPE_URL,
+            value: Buffer.from(StructMessage.encode(StructMessage.fromObject(toStruct(value))).finish())
+        };
+    }
+    return {
+        type_url: VALUE_TYPE_URL,
+        value: Buffer.from(ValueMessage.encode(ValueMessage.fromObject(toValue(value))).finish())
+    };
+}
+
+module.exports = {
+    STRUCT_TYPE_URL,
+    VALUE_TYPE_URL,
+    LIST_VALUE_TYPE_URL,
+    toValue,
+    toStruct,
+    fromValue,
+    fromStruct,
+    decodeAny,
+    encodeAny
+};
@@ -0,0 +1,194 @@
+/**
+ * Apito JavaScript Plugin SDK - GraphQL Subscriptions
+ *
+ * Bridges async-iterator subscription resolvers to the engine. Execute is a
+ * unary RPC, so the engine drives each subscription by polling:
+ *
+ *   1. `subscription_action: 'start'` calls the resolver and keeps its iterator
+ *   2. `subscription_action: 'next'` long-polls the iterator for the next event
+ *   3. `subscription_action: 'stop'` closes the iterator
+ *
+ * Every response has the shape `{ subscription_id, events, done }`.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_POLL_TIMEOUT_MS = 25000;
+const DEFAULT_IDLE_TIMEOUT_MS = 60000;
+
+const TIMED_OUT = Symbol('timed_out');
+const STOPPED = Symbol('stopped');
+
+/**
+ * Convert a resolver result to an async iterator
+ * @param {any} source - Async iterable, iterable or iterator
+ * @returns {AsyncIterator} Async iterator
+ */
+function toAsyncIterator(source) {
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        return source[Symbol.asyncIterator]();
+    }
+    if (source && typeof source[Symbol.iterator] === 'function' && typeof source !== 'string') {
+        return source[Symbol.iterator]();
+    }
+    if (source && typeof source.next === 'function') {
+        return source;
+    }
+    throw new Error('Subscription resolver must return an async iterable');
+}
+
+/**
+ * Subscription Bridge class keeping active subscription iterators
+ */
+class SubscriptionBridge {
+    /**
+     * @param {Object} [options] - Bridge options
+     * @param {number} [options.pollTimeout] - How long a 'next' poll waits for an event (ms)
+     * @param {number} [options.idleTimeout] - Close subscriptions that are not polled for this long (ms)
+     */
+    constructor(options = {}) {
+        this.pollTimeout = options.pollTimeout || DEFAULT_POLL_TIMEOUT_MS;
+        this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT_MS;
+        this.active = new Map();
+    }
+
+    /**
+     * Number of active subscriptions
+     * @returns {number} Active subscription count
+     */
+    get size() {
+        return this.active.size;
+    }
+
+    /**
+     * Start a subscription
+     * @param {string|null} id - Subscription id, generated when empty
+     * @param {any} source - Async iterable returned by the resolver
+     * @returns {{subscription_id: string, events: Array, done: boolean}} Start response
+     */
+    start(id, source) {
+        const subscriptionId = id || crypto.randomUUID();
+        if (this.active.has(subscriptionId)) {
+            throw new Error(`Subscription already active: ${subscriptionId}`);
+        }
+
+        let stop;
+        const entry = {
+            iterator: toAsyncIterator(source),
+            pending: null,
+            idleTimer: null,
+            stopped: new Promise(resolve => { stop = resolve; })
+        };
+        entry.stop = stop;
+        this.active.set(subscriptionId, entry);
+        this.touch(subscriptionId);
+
+        return { subscription_id: subscriptionId, events: [], done: false };
+    }
+
+    /**
+     * Wait for the next event of a subscription
+     * @param {string} id - Subscription id
+     * @param {number} [waitMs] - Poll timeout override
+     * @returns {Promise<{subscription_id: string, events: Array, done: boolean}>} Poll response
+     */
+    async next(id, waitMs) {
+        const entry = this.active.get(id);
+        if (!entry) {
+            return { subscription_id: id, events: [], done: true };
+        }
+        this.touch(id);
+
+        if (!entry.pending) {
+            entry.pending = Promise.resolve(entry.iterator.next());
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(TIMED_OUT), waitMs || this.pollTimeout);
+        });
+
+        let result;
+        try {
+            result = await Promise.race([entry.pending, timeout, entry.stopped.then(() => STOPPED)]);
+        } catch (error) {
+            this.remove(id);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (result === TIMED_OUT) {
+            return { subscription_id: id, events: [], done: false };
+        }
+        if (result === STOPPED) {
+            return { subscription_id: id, events: [], done: true };
+        }
+
+        entry.pending = null;
+        if (result.done) {
+            this.remove(id);
+            return { subscription_id: id, events: [], done: true };
+        }
+        return { subscription_id: id, events: [result.value], done: false };
+    }
+
+    /**
+     * Stop a subscription and close its iterator
+     * @param {string} id - Subscription id
+     * @returns {Promise<{subscription_id: string, events: Array, done: boolean}>} Stop response
+     */
+    async stop(id) {
+        const entry = this.active.get(id);
+        if (entry) {
+            this.remove(id);
+            entry.stop();
+            if (typeof entry.iterator.return === 'function') {
+                // Do not wait on a generator that is still suspended in an await
+                Promise.resolve(entry.iterator.return()).catch(() => {});
+            }
+        }
+        return { subscription_id: id, events: [], done: true };
+    }
+
+    /**
+     * Stop every active subscription
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        await Promise.all(Array.from(this.active.keys()).map(id => this.stop(id)));
+    }
+
+    /**
+     * Reset the idle timer of a subscription
+     * @param {string} id - Subscription id
+     */
+    touch(id) {
+        const entry = this.active.get(id);
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = setTimeout(() => {
+            logger.debug('Closing idle subscription', { subscription_id: id });
+            this.stop(id);
+        }, this.idleTimeout);
+        entry.idleTimer.unref();
+    }
+
+    /**
+     * Forget a subscription
+     * @param {string} id - Subscription id
+     */
+    remove(id) {
+        const entry = this.active.get(id);
+        if (entry) {
+            clearTimeout(entry.idleTimer);
+            this.active.delete(id);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_POLL_TIMEOUT_MS,
+    DEFAULT_IDLE_TIMEOUT_MS,
+    SubscriptionBridge
+};
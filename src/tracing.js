@@ -0,0 +1,483 @@
+/**
+ * Apito JavaScript Plugin SDK - Tracing
+ *
+ * OpenTelemetry-style spans for plugin calls. Every Execute call gets a
+ * server span, continued from the W3C `traceparent` the engine puts in the
+ * Execute context, with child spans for each middleware, the handler and
+ * every HostService call. The active span is tracked with AsyncLocalStorage,
+ * so spans started inside a handler are parented automatically:
+ *
+ *   await plugin.tracer.withSpan('load orders', {}, async (span) => {
+ *       span.setAttribute('orders.count', orders.length);
+ *   });
+ *
+ * Ended spans are batched and handed to the registered exporters; without
+ * exporters nothing is recorded. Built-in exporters write to the SDK log
+ * (ConsoleSpanExporter), to a JSON-lines file (FileSpanExporter) or to an
+ * OTLP/HTTP collector (OTLPHttpSpanExporter). Attributes, event attributes
+ * and status messages go through the SDK redactor before export, like logs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { logger } = require('./logger');
+const { redactor } = require('./redact');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_OTLP_URL = 'http://localhost:4318/v1/traces';
+const DEFAULT_EXPORT_TIMEOUT_MS = 10000;
+
+/**
+ * Current time in nanoseconds since the epoch
+ * @returns {bigint} Timestamp
+ */
+function nowNanos() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+/**
+ * Generate a random hex id
+ * @param {number} bytes - Id length in bytes
+ * @returns {string} Hex id
+ */
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} Remote parent, null when invalid
+ */
+function parseTraceparent(header) {
+    const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || '').trim());
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return { traceId: match[2], spanId: match[3], sampled: (parseInt(match[4], 16) & 1) === 1 };
+}
+
+class Span {
+    /**
+     * @param {Tracer} tracer - Tracer that records the span
+     * @param {string} name - Span name
+     * @param {Object} [options] - Span options
+     * @param {Span|Object|null} [options.parent] - Parent span or remote parent ({ traceId, spanId, sampled })
+     * @param {string} [options.kind] - 'internal' (default), 'server' or 'client'
+     * @param {Object} [options.attributes] - Initial attributes
+     */
+    constructor(tracer, name, options = {}) {
+        const parent = options.parent || null;
+        this.tracer = tracer;
+        this.name = name;
+        this.kind = options.kind || 'internal';
+        this.traceId = parent ? parent.traceId : randomId(16);
+        this.spanId = randomId(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.sampled = parent ? parent.sampled !== false : true;
+        this.attributes = {};
+        this.events = [];
+        this.status = { code: 'unset' };
+        this.startTime = nowNanos();
+        this.endTime = null;
+        this.setAttributes(options.attributes || {});
+    }
+
+    /**
+     * Set an attribute. Undefined and null values are ignored.
+     * @param {string} key - Attribute name
+     * @param {string|number|boolean} value - Attribute value
+     * @returns {Span} The span
+     */
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    /**
+     * Set several attributes
+     * @param {Object} attributes - Attributes by name
+     * @returns {Span} The span
+     */
+    setAttributes(attributes) {
+        for (const [key, value] of Object.entries(attributes)) {
+            this.setAttribute(key, value);
+        }
+        return this;
+    }
+
+    /**
+     * Add a timestamped event
+     * @param {string} name - Event name
+     * @param {Object} [attributes] - Event attributes
+     * @returns {Span} The span
+     */
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: nowNanos(), attributes });
+        return this;
+    }
+
+    /**
+     * Set the span status
+     * @param {string} code - 'ok' or 'error'
+     * @param {string} [message] - Status message
+     * @returns {Span} The span
+     */
+    setStatus(code, message) {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    /**
+     * Record an error as an exception event and mark the span failed
+     * @param {Error} error - Error
+     * @returns {Span} The span
+     */
+    recordException(error) {
+        this.addEvent('exception', {
+            'exception.type': error.name,
+            'exception.message': error.message
+        });
+        return this.setStatus('error', error.message);
+    }
+
+    /**
+     * End the span and hand it to the tracer. Later calls are ignored.
+     */
+    end() {
+        if (this.endTime !== null) {
+            return;
+        }
+        this.endTime = nowNanos();
+        this.tracer.onEnd(this);
+    }
+
+    /**
+     * Get the W3C traceparent header for this span
+     * @returns {string} traceparent
+     */
+    traceparent() {
+        return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+    }
+
+    /**
+     * Plain representation used by the console and file exporters
+     * @returns {Object} Span data
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            kind: this.kind,
+            trace_id: this.traceId,
+            span_id: this.spanId,
+            parent_span_id: this.parentSpanId,
+            start_time: new Date(Number(this.startTime / 1000000n)).toISOString(),
+            duration_ms: this.endTime === null ? null : Number(this.endTime - this.startTime) / 1e6,
+            status: this.status,
+            attributes: this.attributes,
+            events: this.events.map(event => ({ name: event.name, attributes: event.attributes }))
+        };
+    }
+}
+
+class Tracer {
+    /**
+     * @param {Object} [options] - Tracer options
+     * @param {number} [options.batchSize] - Export once this many spans ended
+     * @param {number} [options.flushInterval] - Export at least this often (ms)
+     * @param {Redactor} [options.redactor] - Scrubs secrets from spans before export, the SDK redactor by default
+     */
+    constructor(options = {}) {
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.flushInterval = options.flushInterval || DEFAULT_FLUSH_INTERVAL_MS;
+        this.redactor = options.redactor || redactor;
+        this.resource = {};
+        this.exporters = [];
+        this.queue = [];
+        this.timer = null;
+        this.storage = new AsyncLocalStorage();
+    }
+
+    /**
+     * Set resource attributes sent with every export (service.name, ...)
+     * @param {Object} attributes - Resource attributes
+     */
+    setResource(attributes) {
+        this.resource = { ...this.resource, ...attributes };
+    }
+
+    /**
+     * Add a span exporter
+     * @param {{export: Function, shutdown?: Function}} exporter - Exporter
+     */
+    addExporter(exporter) {
+        if (!exporter || typeof exporter.export !== 'function') {
+            throw new Error('Span exporter must have an export(spans, resource) method');
+        }
+        this.exporters.push(exporter);
+    }
+
+    /**
+     * Get the span active in the current async context
+     * @returns {Span|null} Active span
+     */
+    getActiveSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    /**
+     * Start a span, parented to the active span unless `options.parent` is given
+     * @param {string} name - Span name
+     * @param {Object} [options] - Span options, see Span
+     * @returns {Span} Started span
+     */
+    startSpan(name, options = {}) {
+        const parent = options.parent !== undefined ? options.parent : this.getActiveSpan();
+        return new Span(this, name, { ...options, parent });
+    }
+
+    /**
+     * Run a function with a span as the active span
+     * @param {Span} span - Span
+     * @param {Function} fn - Function to run
+     * @returns {any} Function result
+     */
+    runInSpan(span, fn) {
+        return this.storage.run(span, fn);
+    }
+
+    /**
+     * Run a function in a new active span. The span records errors thrown by
+     * the function and ends when it settles.
+     * @param {string} name - Span name
+     * @param {Object} options - Span options, see Span
+     * @param {function(Span): any} fn - Function to run
+     * @returns {Promise<any>} Function result
+     */
+    withSpan(name, options, fn) {
+        const span = this.startSpan(name, options);
+        return this.runInSpan(span, async () => {
+            try {
+                return await fn(span);
+            } catch (error) {
+                span.recordException(error);
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    /**
+     * Queue an ended span for export
+     * @param {Span} span - Ended span
+     */
+    onEnd(span) {
+        if (this.exporters.length === 0 || !span.sampled) {
+            return;
+        }
+        this.queue.push(span);
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Export every queued span. Export failures are logged, not thrown.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const spans = this.queue.splice(0);
+        if (spans.length === 0) {
+            return;
+        }
+        spans.forEach(span => this.redactSpan(span));
+        await Promise.all(this.exporters.map(exporter => Promise.resolve()
+            .then(() => exporter.export(spans, this.resource))
+            .catch(error => logger.warn('Span export failed', { error }))));
+    }
+
+    /**
+     * Scrub secrets from the attributes, events and status of an ended span
+     * @param {Span} span - Ended span
+     */
+    redactSpan(span) {
+        span.attributes = this.redactor.redact(span.attributes);
+        span.events = span.events.map(event => ({ ...event, attributes: this.redactor.redact(event.attributes) }));
+        if (span.status.message) {
+            span.status = { ...span.status, message: this.redactor.redactString(span.status.message) };
+        }
+    }
+
+    /**
+     * Flush and shut down every exporter
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        await this.flush();
+        await Promise.all(this.exporters
+            .filter(exporter => typeof exporter.shutdown === 'function')
+            .map(exporter => exporter.shutdown()));
+    }
+}
+
+/**
+ * Writes spans to the SDK log
+ */
+class ConsoleSpanExporter {
+    export(spans) {
+        for (const span of spans) {
+            logger.info('Span', span.toJSON());
+        }
+    }
+}
+
+/**
+ * Appends spans as JSON lines to a file
+ */
+class FileSpanExporter {
+    /**
+     * @param {string} filePath - Output file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    export(spans, resource) {
+        const lines = spans.map(span => JSON.stringify({ resource, ...span.toJSON() })).join('\n');
+        return fs.promises.appendFile(this.filePath, `${lines}\n`);
+    }
+}
+
+/**
+ * Convert an attribute map to OTLP key/value pairs
+ * @param {Object} attributes - Attributes by name
+ * @returns {Array<{key: string, value: Object}>} OTLP attributes
+ */
+function toOTLPAttributes(attributes) {
+    return Object.entries(attributes).map(([key, value]) => {
+        if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+        if (typeof value === 'number') {
+            return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+        }
+        return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * Build an OTLP/JSON ExportTraceServiceRequest
+ * @param {Span[]} spans - Ended spans
+ * @param {Object} resource - Resource attributes
+ * @returns {Object} Request body
+ */
+function toOTLP(spans, resource) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: toOTLPAttributes(resource) },
+            scopeSpans: [{
+                scope: { name: '@apito-io/js-apito-plugin-sdk' },
+                spans: spans.map(span => ({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                    name: span.name,
+                    kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+                    startTimeUnixNano: String(span.startTime),
+                    endTimeUnixNano: String(span.endTime),
+                    attributes: toOTLPAttributes(span.attributes),
+                    events: span.events.map(event => ({
+                        timeUnixNano: String(event.time),
+                        name: event.name,
+                        attributes: toOTLPAttributes(event.attributes)
+                    })),
+                    status: {
+                        code: STATUS_CODES[span.status.code] || STATUS_CODES.unset,
+                        ...(span.status.message ? { message: span.status.message } : {})
+                    }
+                }))
+            }]
+        }]
+    };
+}
+
+/**
+ * Sends spans to an OTLP/HTTP collector as JSON
+ */
+class OTLPHttpSpanExporter {
+    /**
+     * @param {Object} [options] - Exporter options
+     * @param {string} [options.url] - Traces endpoint, defaults to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT,
+     *   OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces or http://localhost:4318/v1/traces
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {number} [options.timeout] - Request timeout (ms)
+     */
+    constructor(options = {}) {
+        const base = process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+        this.url = options.url
+            || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+            || (base ? `${base.replace(/\/$/, '')}/v1/traces` : DEFAULT_OTLP_URL);
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || DEFAULT_EXPORT_TIMEOUT_MS;
+    }
+
+    export(spans, resource) {
+        const body = JSON.stringify(toOTLP(spans, resource));
+        const url = new URL(this.url);
+        const transport = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(url, {
+                method: 'POST',
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...this.headers
+                }
+            }, (response) => {
+                response.resume();
+                response.on('end', () => {
+                    if (response.statusCode >= 200 && response.statusCode < 300) {
+                        resolve();
+                    } else {
+                        reject(new Error(`OTLP export to ${this.url} failed with status ${response.statusCode}`));
+                    }
+                });
+            });
+            request.on('timeout', () => request.destroy(new Error(`OTLP export to ${this.url} timed out`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+/**
+ * Process-wide SDK tracer
+ */
+const tracer = new Tracer();
+
+module.exports = {
+    parseTraceparent,
+    toOTLP,
+    Span,
+    Tracer,
+    ConsoleSpanExporter,
+    FileSpanExporter,
+    OTLPHttpSpanExporter,
+    tracer
+};
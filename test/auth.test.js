@@ -0,0 +1,116 @@
+/**
+ * Apito JavaScript Plugin SDK - Auth Guard Tests
+ */
+
+const { init } = require('../src/main');
+const { FieldWithArgs, GETEndpoint } = require('../src/helpers');
+const { createAuthContext, checkGuard } = require('../src/auth');
+const { execute, decodeResult } = require('./helpers');
+
+describe('Auth Context', () => {
+    test('should read the caller from the Execute context', () => {
+        const auth = createAuthContext({
+            user_id: 'u1',
+            tenant_id: 't1',
+            project_id: 'p1',
+            roles: ['admin'],
+            permissions: 'orders:read, orders:write'
+        });
+
+        expect(auth.userId).toBe('u1');
+        expect(auth.tenantId).toBe('t1');
+        expect(auth.projectId).toBe('p1');
+        expect(auth.permissions).toEqual(['orders:read', 'orders:write']);
+        expect(auth.hasRole('member', 'admin')).toBe(true);
+        expect(auth.hasPermission('orders:read', 'orders:delete')).toBe(false);
+        expect(Object.isFrozen(auth)).toBe(true);
+    });
+
+    test('should treat a missing user as unauthenticated', () => {
+        const auth = createAuthContext({ project_id: 'p1', role: 'admin' });
+        expect(auth.isAuthenticated).toBe(false);
+        expect(auth.roles).toEqual(['admin']);
+        expect(checkGuard({ roles: ['admin'] }, auth)).toEqual({ status: 401, message: 'Authentication required' });
+    });
+
+    test('should check tenant, roles and every permission', () => {
+        const auth = createAuthContext({ user_id: 'u1', roles: ['member'], permissions: ['orders:read'] });
+        expect(checkGuard({ requireTenant: true }, auth)).toEqual({ status: 403, message: 'A tenant is required' });
+        expect(checkGuard({ roles: ['admin', 'support'] }, auth).message).toBe('Requires one of the roles: admin, support');
+        expect(checkGuard({ permissions: ['orders:read', 'orders:write'] }, auth).message).toBe('Missing permissions: orders:write');
+        expect(checkGuard({ roles: ['member'], permissions: ['orders:read'] }, auth)).toBeNull();
+    });
+});
+
+describe('Auth Guards in Execute', () => {
+    let plugin;
+    let resolver;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        resolver = jest.fn(async context => context.auth.userId);
+        plugin.registerMutation('cancelOrder', FieldWithArgs('String', 'Cancel an order', {}), resolver, {
+            roles: ['admin'],
+            permissions: ['orders:write'],
+            requireTenant: true
+        });
+    });
+
+    test('should call the resolver when the guard passes', async () => {
+        await execute(plugin, 'cancelOrder', 'graphql_mutation', {
+            context: { user_id: 'u1', tenant_id: 't1', roles: ['admin'], permissions: ['orders:write'] }
+        });
+        expect(resolver).toHaveBeenCalled();
+    });
+
+    test('should return UNAUTHENTICATED without a user', async () => {
+        const response = await execute(plugin, 'cancelOrder', 'graphql_mutation', { context: { tenant_id: 't1' } });
+        const errors = JSON.parse(decodeResult(plugin, response).graphql_errors);
+
+        expect(resolver).not.toHaveBeenCalled();
+        expect(errors[0]).toEqual({ message: 'Authentication required', extensions: { code: 'UNAUTHENTICATED' } });
+    });
+
+    test('should return FORBIDDEN when a role is missing', async () => {
+        const response = await execute(plugin, 'cancelOrder', 'graphql_mutation', {
+            context: { user_id: 'u1', tenant_id: 't1', roles: ['member'], permissions: ['orders:write'] }
+        });
+        const errors = JSON.parse(decodeResult(plugin, response).graphql_errors);
+
+        expect(resolver).not.toHaveBeenCalled();
+        expect(errors[0]).toEqual({ message: 'Requires one of the roles: admin', extensions: { code: 'FORBIDDEN' } });
+    });
+
+    test('should return 401/403 REST errors for REST APIs', async () => {
+        plugin.registerRESTAPI(GETEndpoint('/orders', 'List orders').build(), jest.fn(), { permissions: ['orders:read'] });
+
+        const anonymous = await execute(plugin, 'GET_/orders', 'rest_api');
+        const forbidden = await execute(plugin, 'GET_/orders', 'rest_api', { context: { user_id: 'u1' } });
+
+        expect(decodeResult(plugin, anonymous).status_code).toBe(401);
+        expect(decodeResult(plugin, forbidden)).toEqual({
+            status_code: 403,
+            error: 'Forbidden',
+            message: 'Missing permissions: orders:read'
+        });
+    });
+
+    test('should expose auth to middleware and reject invalid guard options', async () => {
+        const seen = jest.fn();
+        plugin.use(async (ctx, next) => { seen(ctx.auth.tenantId); await next(); });
+        await execute(plugin, 'cancelOrder', 'graphql_mutation', { context: { user_id: 'u1', tenant_id: 't9' } });
+
+        expect(seen).toHaveBeenCalledWith('t9');
+        expect(() => plugin.registerFunction('f', jest.fn(), { roles: 'admin' }))
+            .toThrow("Guard option 'roles' must be an array of strings");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,185 @@
+/**
+ * Apito JavaScript Plugin SDK - Result Cache Tests
+ */
+
+const { init } = require('../src/main');
+const { StringField, FieldWithArgs } = require('../src/helpers');
+const { MemoryCacheStore, buildCacheKey } = require('../src/cache');
+const { execute, decodeResult } = require('./helpers');
+
+describe('MemoryCacheStore', () => {
+    test('should evict the least recently used entry', async () => {
+        const store = new MemoryCacheStore({ maxEntries: 2 });
+        await store.set('a', 1, { ttl: 60 });
+        await store.set('b', 2, { ttl: 60 });
+        await store.get('a');
+        await store.set('c', 3, { ttl: 60 });
+
+        expect(await store.get('a')).toBe(1);
+        expect(await store.get('b')).toBeUndefined();
+        expect(await store.get('c')).toBe(3);
+    });
+
+    test('should expire entries and invalidate them by tag', async () => {
+        const store = new MemoryCacheStore();
+        const now = Date.now();
+        const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+        await store.set('rates', { usd: 1 }, { ttl: 1, tags: ['rates'] });
+        await store.set('orders', [1], { ttl: 60, tags: ['orders'] });
+
+        const cached = await store.get('rates');
+        cached.usd = 2;
+        expect(await store.get('rates')).toEqual({ usd: 1 });
+
+        spy.mockReturnValue(now + 1000);
+        expect(await store.get('rates')).toBeUndefined();
+
+        await store.invalidateTags(['orders']);
+        expect(await store.get('orders')).toBeUndefined();
+        expect(store.tags.size).toBe(0);
+        spy.mockRestore();
+    });
+
+    test('should build tenant-aware keys independent of argument order', () => {
+        const options = { ttl: 60 };
+        const tenantA = buildCacheKey(options, 'graphql_query', 'rates', { tenant_id: 'a', project_id: 'p' }, { from: 'USD', to: 'EUR' });
+
+        expect(tenantA).toMatch(/^graphql_query:rates:a:p:-:[0-9a-f]{64}$/);
+        expect(buildCacheKey(options, 'graphql_query', 'rates', { tenant_id: 'a', project_id: 'p' }, { to: 'EUR', from: 'USD' })).toBe(tenantA);
+        expect(buildCacheKey(options, 'graphql_query', 'rates', { tenant_id: 'b', project_id: 'p' }, { from: 'USD', to: 'EUR' })).not.toBe(tenantA);
+        expect(buildCacheKey({ ttl: 60, scope: 'shared', key: (context, args) => args.from }, 'graphql_query', 'rates', { tenant_id: 'a' }, { from: 'USD' }))
+            .toBe('graphql_query:rates:*:*:*:USD');
+    });
+
+    test('should keep results per user unless the scope widens them', () => {
+        const key = (options, userId) => buildCacheKey(options, 'graphql_query', 'profile', { tenant_id: 'a', project_id: 'p', user_id: userId }, {});
+
+        expect(key({ ttl: 60 }, 'u1')).not.toBe(key({ ttl: 60 }, 'u2'));
+        expect(key({ ttl: 60, scope: 'user' }, 'u1')).toBe(key({ ttl: 60 }, 'u1'));
+        expect(key({ ttl: 60, scope: 'tenant' }, 'u1')).toBe(key({ ttl: 60, scope: 'tenant' }, 'u2'));
+    });
+
+    test('should hash BigInt arguments', () => {
+        const options = { ttl: 60 };
+        const key = buildCacheKey(options, 'graphql_query', 'order', {}, { id: 9007199254740993n });
+
+        expect(key).toMatch(/^graphql_query:order:-:-:-:[0-9a-f]{64}$/);
+        expect(buildCacheKey(options, 'graphql_query', 'order', {}, { id: 9007199254740993n })).toBe(key);
+        expect(buildCacheKey(options, 'graphql_query', 'order', {}, { id: 9007199254740992n })).not.toBe(key);
+        expect(buildCacheKey(options, 'graphql_query', 'order', {}, { id: '9007199254740993' })).not.toBe(key);
+    });
+});
+
+describe('Plugin Result Cache', () => {
+    let plugin;
+    let resolver;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        resolver = jest.fn(async (context, args) => `rate for ${args.currency}`);
+        plugin.registerQuery('rate', FieldWithArgs('String', 'Exchange rate', { currency: { type: 'String' } }), resolver, {
+            cache: { ttl: 60, tags: ['rates'] }
+        });
+        plugin.registerMutation('refreshRates', StringField('Refresh rates'), async () => 'ok', {
+            invalidates: ['rates']
+        });
+    });
+
+    test('should reuse results per tenant and arguments', async () => {
+        const first = await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' }, context: { tenant_id: 'a' } });
+        const second = await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' }, context: { tenant_id: 'a' } });
+        await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' }, context: { tenant_id: 'b' } });
+        await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'USD' }, context: { tenant_id: 'a' } });
+
+        expect(decodeResult(plugin, first)).toBe('rate for EUR');
+        expect(decodeResult(plugin, second)).toBe('rate for EUR');
+        expect(resolver).toHaveBeenCalledTimes(3);
+    });
+
+    test('should keep separate entries for two users of one tenant', async () => {
+        const profile = jest.fn(async (context) => `profile of ${context.auth.userId}`);
+        plugin.registerQuery('profile', StringField('Profile'), profile, { cache: { ttl: 60 } });
+        plugin.registerQuery('banner', StringField('Banner'), async () => 'banner', { cache: { ttl: 60, scope: 'tenant' } });
+
+        const alice = await execute(plugin, 'profile', 'graphql_query', { context: { tenant_id: 'a', user_id: 'alice' } });
+        const bob = await execute(plugin, 'profile', 'graphql_query', { context: { tenant_id: 'a', user_id: 'bob' } });
+        await execute(plugin, 'profile', 'graphql_query', { context: { tenant_id: 'a', user_id: 'alice' } });
+        await execute(plugin, 'banner', 'graphql_query', { context: { tenant_id: 'a', user_id: 'alice' } });
+        await execute(plugin, 'banner', 'graphql_query', { context: { tenant_id: 'a', user_id: 'bob' } });
+
+        expect(decodeResult(plugin, alice)).toBe('profile of alice');
+        expect(decodeResult(plugin, bob)).toBe('profile of bob');
+        expect(profile).toHaveBeenCalledTimes(2);
+        expect(plugin.cacheStore.entries.size).toBe(3);
+    });
+
+    test('should invalidate tagged results after a mutation', async () => {
+        await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' } });
+        await execute(plugin, 'refreshRates', 'graphql_mutation');
+        await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' } });
+
+        expect(resolver).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not cache errors and fall back to the handler when the store fails', async () => {
+        let calls = 0;
+        plugin.registerFunction('flaky', async () => {
+            calls++;
+            if (calls === 1) {
+                throw new Error('upstream down');
+            }
+            return 'ok';
+        }, { cache: { ttl: 60 } });
+
+        expect((await execute(plugin, 'flaky', 'custom_function')).success).toBe(false);
+        expect((await execute(plugin, 'flaky', 'custom_function')).success).toBe(true);
+        expect((await execute(plugin, 'flaky', 'custom_function')).success).toBe(true);
+        expect(calls).toBe(2);
+
+        plugin.setCacheStore({
+            get: async () => { throw new Error('connection lost'); },
+            set: async () => { throw new Error('connection lost'); },
+            delete: async () => {},
+            invalidateTags: async () => {}
+        });
+        expect(decodeResult(plugin, await execute(plugin, 'rate', 'graphql_query', { args: { currency: 'EUR' } }))).toBe('rate for EUR');
+    });
+
+    test('should cache BigInt arguments and run uncached when the key fails', async () => {
+        const order = jest.fn(async (context, args) => `order ${args.id}`);
+        plugin.registerQuery('order', FieldWithArgs('String', 'Order', { id: { type: 'BigInt' } }), order, {
+            cache: { ttl: 60 }
+        });
+        plugin.registerFunction('report', async () => 'report', {
+            cache: { ttl: 60, key: () => { throw new Error('no key'); } }
+        });
+
+        expect(decodeResult(plugin, await execute(plugin, 'order', 'graphql_query', { args: { id: '9007199254740993' } }))).toBe('order 9007199254740993');
+        expect(decodeResult(plugin, await execute(plugin, 'order', 'graphql_query', { args: { id: '9007199254740993' } }))).toBe('order 9007199254740993');
+        expect(order).toHaveBeenCalledTimes(1);
+        expect(order.mock.calls[0][1].id).toBe(9007199254740993n);
+
+        expect(decodeResult(plugin, await execute(plugin, 'report', 'custom_function'))).toBe('report');
+    });
+
+    test('should reject invalid cache options and stores', () => {
+        expect(() => plugin.registerFunction('f', async () => {}, { cache: { ttl: 0 } }))
+            .toThrow("Cache option 'ttl' must be a positive number of seconds");
+        expect(() => plugin.registerFunction('f', async () => {}, { cache: { ttl: 60, scope: 'everyone' } }))
+            .toThrow("Cache option 'scope' must be one of: user, tenant, shared");
+        expect(() => plugin.registerMutation('m', StringField('M'), async () => {}, { cache: { ttl: 60 } }))
+            .toThrow('Result caching is only supported for queries and custom functions');
+        expect(() => plugin.registerMutation('m', StringField('M'), async () => {}, { invalidates: 'rates' }))
+            .toThrow("Option 'invalidates' must be an array of strings or a function");
+        expect(() => plugin.setCacheStore({ get() {} })).toThrow('Cache store must implement set, delete, invalidateTags');
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,153 @@
+/**
+ * Apito JavaScript Plugin SDK - Timeout and Cancellation Tests
+ */
+
+const { EventEmitter } = require('events');
+const { init } = require('../src/main');
+const { StringField, GETEndpoint } = require('../src/helpers');
+const { HostClient } = require('../src/host');
+const { executeCall, toWire, decodeResult, graphqlErrors } = require('./helpers');
+
+function createCall(plugin, functionName, functionType) {
+    const call = new EventEmitter();
+    call.cancelled = false;
+    call.request = {
+        function_name: functionName,
+        function_type: functionType,
+        args: { fields: {} },
+        context: { fields: {} }
+    };
+    return call;
+}
+
+// Resolves once the signal aborts, like a handler waiting on slow I/O
+function waitForAbort(signal) {
+    return new Promise(resolve => signal.addEventListener('abort', () => resolve('late'), { once: true }));
+}
+
+describe('Execution Timeouts', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should fail with TIMEOUT and abort the handler signal', async () => {
+        let signal;
+        plugin.registerQuery('report', StringField('Report'), async (context) => {
+            signal = context.signal;
+            return waitForAbort(context.signal);
+        }, { timeout: 20 });
+
+        const response = await executeCall(plugin, createCall(plugin, 'report', 'graphql_query'));
+
+        expect(graphqlErrors(response)[0]).toEqual(expect.objectContaining({
+            message: "Function 'report' timed out after 20ms",
+            extensions: expect.objectContaining({ code: 'TIMEOUT' })
+        }));
+        expect(signal.aborted).toBe(true);
+        expect(plugin.executeMetrics.errors.get({ function_name: 'report', function_type: 'graphql_query', code: 'TIMEOUT' })).toBe(1);
+    });
+
+    test('should use the plugin default and answer REST APIs with a 504', async () => {
+        plugin.setExecutionTimeout(20);
+        plugin.registerRESTAPI(GETEndpoint('/export', 'Export').build(), async (context) => waitForAbort(context.signal));
+
+        const response = await executeCall(plugin, createCall(plugin, 'GET_/export', 'rest_api'));
+        const body = decodeResult(plugin, response);
+
+        expect(response.success).toBe(false);
+        expect(body).toEqual(expect.objectContaining({ status_code: 504, code: 'TIMEOUT' }));
+    });
+
+    test('should let registrations opt out with a timeout of 0', async () => {
+        plugin.setExecutionTimeout(10);
+        plugin.registerFunction('slow', async () => {
+            await new Promise(resolve => setTimeout(resolve, 40));
+            return 'done';
+        }, { timeout: 0 });
+
+        const response = await executeCall(plugin, createCall(plugin, 'slow', 'custom_function'));
+
+        expect(response.success).toBe(true);
+    });
+
+    test('should abort when the engine cancels the call', async () => {
+        let signal;
+        plugin.registerFunction('sync', async (context) => {
+            signal = context.signal;
+            return waitForAbort(context.signal);
+        });
+        const call = createCall(plugin, 'sync', 'custom_function');
+
+        const pending = executeCall(plugin, call);
+        await new Promise(resolve => setImmediate(resolve));
+        call.cancelled = true;
+        call.emit('cancelled');
+        const response = await pending;
+
+        expect(signal.aborted).toBe(true);
+        expect((await toWire(plugin, response)).message).toBe("Function 'sync' was cancelled by the engine");
+        expect(call.listenerCount('cancelled')).toBe(0);
+    });
+
+    test('should answer cancelled REST APIs with a 499', async () => {
+        plugin.registerRESTAPI(GETEndpoint('/sync', 'Sync').build(), async (context) => waitForAbort(context.signal));
+        const call = createCall(plugin, 'GET_/sync', 'rest_api');
+
+        const pending = executeCall(plugin, call);
+        call.cancelled = true;
+        call.emit('cancelled');
+        const response = await pending;
+        const body = decodeResult(plugin, response);
+
+        expect(response.success).toBe(false);
+        expect((await toWire(plugin, response)).message).toBe("Function 'GET_/sync' was cancelled by the engine");
+        expect(body).toEqual(expect.objectContaining({ status_code: 499, code: 'CANCELLED' }));
+    });
+
+    test('should send the timeout of a custom function to the engine', async () => {
+        plugin.registerFunction('stuck', async (context) => waitForAbort(context.signal), { timeout: 20 });
+
+        const response = await executeCall(plugin, createCall(plugin, 'stuck', 'custom_function'));
+
+        expect((await toWire(plugin, response)).message).toBe("Function 'stuck' timed out after 20ms");
+    });
+
+    test('should cancel HostService calls of an aborted call', async () => {
+        const grpcCall = { cancel: jest.fn() };
+        function FakeHostService() {}
+        FakeHostService.prototype.GetSingleResource = () => grpcCall;
+        plugin.host = new HostClient(FakeHostService, { address: 'localhost:0' });
+
+        let hostError;
+        plugin.registerFunction('load', async (context) => {
+            try {
+                await context.host.getSingleResource('orders', '1');
+            } catch (error) {
+                hostError = error;
+                throw error;
+            }
+        }, { timeout: 20 });
+
+        await executeCall(plugin, createCall(plugin, 'load', 'custom_function'));
+
+        expect(grpcCall.cancel).toHaveBeenCalledTimes(1);
+        expect(hostError.extensions.code).toBe('TIMEOUT');
+    });
+
+    test('should reject invalid timeouts', () => {
+        expect(() => plugin.setExecutionTimeout(-1)).toThrow('Timeout must be a non-negative number of milliseconds, got -1');
+        expect(() => plugin.registerFunction('f', async () => {}, { timeout: '5s' }))
+            .toThrow('Timeout must be a non-negative number of milliseconds, got 5s');
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
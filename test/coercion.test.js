@@ -0,0 +1,168 @@
+/**
+ * Apito JavaScript Plugin SDK - Argument Coercion Tests
+ */
+
+const { init } = require('../src/main');
+const {
+    FieldWithArgs,
+    StringArg,
+    IntArg,
+    NonNullArg,
+    ListArg,
+    ObjectArg,
+    EnumArg,
+    EnumType,
+    InputArg,
+    InputObjectType
+} = require('../src/helpers');
+const { coerceArgs, printTypeName } = require('../src/coercion');
+const { createScalarRegistry } = require('../src/scalars');
+const { execute, graphqlErrors } = require('./helpers');
+
+function coerceError(argDefs, args) {
+    try {
+        coerceArgs(argDefs, args, createScalarRegistry());
+    } catch (error) {
+        return error;
+    }
+    throw new Error('expected coercion to fail');
+}
+
+const status = EnumType('Status', ['OPEN', 'CLOSED']);
+const orderArgs = {
+    id: NonNullArg('ID', 'Order ID'),
+    limit: { ...IntArg('Page size'), defaultValue: 20 },
+    tags: ListArg('String', 'Tags'),
+    status: EnumArg(status, 'Status'),
+    shipping: ObjectArg('Shipping address', {
+        city: NonNullArg('String', 'City'),
+        zip: IntArg('Zip code')
+    })
+};
+
+describe('Argument Coercion', () => {
+    test('should coerce values and apply defaults', () => {
+        const args = coerceArgs(orderArgs, {
+            id: 42,
+            tags: 'urgent',
+            status: 'OPEN',
+            shipping: { city: 'Dhaka', zip: 1207 }
+        }, createScalarRegistry());
+
+        expect(args).toEqual({
+            id: '42',
+            limit: 20,
+            tags: ['urgent'],
+            status: 'OPEN',
+            shipping: { city: 'Dhaka', zip: 1207 }
+        });
+    });
+
+    test('should report missing and null required arguments', () => {
+        expect(coerceError(orderArgs, {}).message).toBe("Argument 'id' of required type 'ID!' was not provided");
+        expect(coerceError(orderArgs, { id: null }).message).toBe("Argument 'id' of required type 'ID!' must not be null");
+    });
+
+    test('should reject non-integral Int values', () => {
+        const error = coerceError(orderArgs, { id: '1', limit: 2.5 });
+        expect(error.message).toBe("Argument 'limit' has an invalid Int value: must be an integer");
+        expect(error.extensions).toEqual({ code: 'BAD_USER_INPUT', field: 'limit' });
+        expect(coerceError(orderArgs, { id: '1', limit: 2 ** 31 }).message).toContain('must be a 32-bit integer');
+    });
+
+    test('should check nested object properties and list items with their path', () => {
+        const inputType = InputObjectType('LineInput', { sku: NonNullArg('String', 'SKU'), qty: IntArg('Quantity') });
+        const error = coerceError({
+            lines: { type: { kind: 'list', ofType: inputType }, description: 'Lines' },
+            shipping: orderArgs.shipping
+        }, {
+            lines: [{ sku: 'A', qty: 1 }, { qty: 'two' }],
+            shipping: { zip: 1207 }
+        });
+
+        expect(error.extensions.code).toBe('BAD_USER_INPUT');
+        expect(error.extensions.violations.map(v => v.field)).toEqual(['lines[1].sku', 'lines[1].qty', 'shipping.city']);
+        expect(error.message).toBe([
+            "Argument 'lines[1].sku' of required type 'String!' was not provided",
+            "Argument 'lines[1].qty' has an invalid Int value: must be an integer",
+            "Argument 'shipping.city' of required type 'String!' was not provided"
+        ].join('; '));
+    });
+
+    test('should reject unknown enum values and non-object inputs', () => {
+        expect(coerceError(orderArgs, { id: '1', status: 'LOST' }).message)
+            .toBe("Argument 'status' has an invalid Status value: must be one of: OPEN, CLOSED");
+        expect(coerceError({ filter: InputArg(InputObjectType('Filter', { q: StringArg('Query') }), 'Filter') }, { filter: 'x' }).message)
+            .toBe("Argument 'filter' must be an object of type 'Filter'");
+    });
+
+    test('should require non-null enum and input arguments', () => {
+        const filterType = InputObjectType('Filter', { q: StringArg('Query') });
+        const args = { status: NonNullArg(status, 'Status'), filter: NonNullArg(InputArg(filterType, 'Filter'), 'Filter') };
+
+        expect(coerceError(args, {}).message).toBe([
+            "Argument 'status' of required type 'Status!' was not provided",
+            "Argument 'filter' of required type 'Filter!' was not provided"
+        ].join('; '));
+        expect(coerceArgs(args, { status: 'OPEN', filter: { q: 'x' } }, createScalarRegistry())).toEqual({ status: 'OPEN', filter: { q: 'x' } });
+    });
+
+    test('should print GraphQL type names', () => {
+        expect(printTypeName(ListArg('String').type)).toBe('[String]');
+        expect(printTypeName(NonNullArg('ID').type)).toBe('ID!');
+    });
+});
+
+describe('Argument Coercion in Execute', () => {
+    test('should coerce before the resolver runs and return BAD_USER_INPUT on violations', async () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        const resolver = jest.fn(async () => true);
+        plugin.registerMutation('createOrder', FieldWithArgs('Boolean', 'Create an order', orderArgs), resolver);
+
+        await execute(plugin, 'createOrder', 'graphql_mutation', { args: { id: 7, shipping: { city: 'Dhaka' } } });
+        expect(resolver.mock.calls[0][1]).toEqual({ id: '7', limit: 20, shipping: { city: 'Dhaka' } });
+
+        const errors = graphqlErrors(await execute(plugin, 'createOrder', 'graphql_mutation', { args: { limit: 10 } }));
+        expect(resolver).toHaveBeenCalledTimes(1);
+        expect(errors[0]).toEqual({
+            message: "Argument 'id' of required type 'ID!' was not provided",
+            extensions: { code: 'BAD_USER_INPUT', field: 'id' }
+        });
+    });
+
+    test('should coerce after the auth guard and rate limit, inside plugin middleware', async () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        const seen = [];
+        plugin.use(async function audit(ctx, next) {
+            try {
+                await next();
+            } finally {
+                seen.push(ctx.args);
+            }
+        });
+        plugin.registerMutation('createOrder', FieldWithArgs('Boolean', 'Create an order', orderArgs), async () => true, {
+            requireAuth: true,
+            rateLimit: { limit: 1, window: 60, by: 'user' }
+        });
+
+        const anonymous = graphqlErrors(await execute(plugin, 'createOrder', 'graphql_mutation', { args: { limit: 'ten' } }));
+        expect(anonymous[0].extensions.code).toBe('UNAUTHENTICATED');
+
+        const invalid = graphqlErrors(await execute(plugin, 'createOrder', 'graphql_mutation', { args: { limit: 'ten' }, context: { user_id: 'u1' } }));
+        expect(invalid[0].extensions.code).toBe('BAD_USER_INPUT');
+
+        const limited = graphqlErrors(await execute(plugin, 'createOrder', 'graphql_mutation', { args: { limit: 'ten' }, context: { user_id: 'u1' } }));
+        expect(limited[0].extensions.code).toBe('RATE_LIMITED');
+
+        expect(seen).toEqual([{ limit: 'ten' }, { limit: 'ten' }, { limit: 'ten' }]);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
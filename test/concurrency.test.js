@@ -0,0 +1,185 @@
+/**
+ * Apito JavaScript Plugin SDK - Concurrency Limit Tests
+ */
+
+const { init } = require('../src/main');
+const { GETEndpoint } = require('../src/helpers');
+const { Bulkhead } = require('../src/concurrency');
+const { execute, toWire, decodeResult } = require('./helpers');
+
+// A handler that runs until the test lets it finish
+function createGate() {
+    const pending = [];
+    return {
+        handler: () => new Promise(resolve => pending.push(resolve)),
+        get running() {
+            return pending.length;
+        },
+        open() {
+            pending.splice(0).forEach(resolve => resolve('done'));
+        }
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Bulkhead', () => {
+    test('should queue calls over the limit and start them in order', async () => {
+        const bulkhead = new Bulkhead("Function 'f'", { maxConcurrent: 1, maxQueue: 2 });
+        const order = [];
+
+        const releaseFirst = await bulkhead.acquire('custom_function');
+        const second = bulkhead.acquire('custom_function').then(release => { order.push('second'); return release; });
+        const third = bulkhead.acquire('custom_function').then(release => { order.push('third'); return release; });
+        await expect(bulkhead.acquire('custom_function')).rejects.toThrow("Function 'f' is overloaded: 1 calls running and 2 queued");
+        expect(bulkhead.stats()).toEqual({ active: 1, queued: 2, rejected: 1, max_concurrent: 1, max_queue: 2 });
+
+        releaseFirst();
+        releaseFirst();
+        (await second)();
+        (await third)();
+
+        expect(order).toEqual(['second', 'third']);
+        expect(bulkhead.stats()).toEqual(expect.objectContaining({ active: 0, queued: 0 }));
+    });
+
+    test('should drop queued calls whose signal aborts', async () => {
+        const bulkhead = new Bulkhead("Function 'f'", { maxConcurrent: 1 });
+        const controller = new AbortController();
+        await bulkhead.acquire('custom_function');
+
+        const waiting = bulkhead.acquire('custom_function', controller.signal);
+        controller.abort(new Error('gave up'));
+
+        await expect(waiting).rejects.toThrow('gave up');
+        expect(bulkhead.stats().queued).toBe(0);
+    });
+
+    test('should reject calls whose signal already aborted', async () => {
+        const bulkhead = new Bulkhead("Function 'f'", { maxConcurrent: 1 });
+        const controller = new AbortController();
+        controller.abort(new Error('timed out'));
+
+        await expect(bulkhead.acquire('custom_function', controller.signal)).rejects.toThrow('timed out');
+        const release = await bulkhead.acquire('custom_function');
+        await expect(bulkhead.acquire('custom_function', controller.signal)).rejects.toThrow('timed out');
+
+        expect(bulkhead.stats()).toEqual(expect.objectContaining({ active: 1, queued: 0 }));
+        release();
+    });
+});
+
+describe('Plugin Concurrency Limits', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should shed calls over a function limit with RESOURCE_EXHAUSTED', async () => {
+        const gate = createGate();
+        plugin.registerFunction('exportAll', gate.handler, { concurrency: { maxConcurrent: 1, maxQueue: 1 } });
+        plugin.registerFunction('ping', async () => 'pong');
+
+        const first = execute(plugin, 'exportAll', 'custom_function');
+        const second = execute(plugin, 'exportAll', 'custom_function');
+        const shed = await execute(plugin, 'exportAll', 'custom_function');
+        const ping = await execute(plugin, 'ping', 'custom_function');
+
+        expect(shed.success).toBe(false);
+        expect((await toWire(plugin, shed)).message).toBe("Function 'exportAll' is overloaded: 1 calls running and 1 queued");
+        expect(ping.success).toBe(true);
+        expect(gate.running).toBe(1);
+
+        gate.open();
+        await first;
+        await tick();
+        expect(gate.running).toBe(1);
+        gate.open();
+        expect((await second).success).toBe(true);
+    });
+
+    test('should apply the plugin limit across functions and answer REST APIs with a 503', async () => {
+        const gate = createGate();
+        plugin.setConcurrency({ maxConcurrent: 1, maxQueue: 0 });
+        plugin.registerFunction('slow', gate.handler);
+        plugin.registerRESTAPI(GETEndpoint('/orders', 'Orders').build(), async () => []);
+
+        const slow = execute(plugin, 'slow', 'custom_function');
+        await tick();
+        const response = await execute(plugin, 'GET_/orders', 'rest_api');
+        const body = decodeResult(plugin, response);
+
+        expect(body).toEqual(expect.objectContaining({ status_code: 503, code: 'RESOURCE_EXHAUSTED' }));
+
+        gate.open();
+        await slow;
+    });
+
+    test('should not take slots for calls the guard or the rate limit rejects', async () => {
+        const gate = createGate();
+        plugin.registerFunction('exportAll', gate.handler, {
+            requireAuth: true,
+            rateLimit: { limit: 2, window: 60, by: 'user' },
+            concurrency: { maxConcurrent: 1, maxQueue: 1 }
+        });
+        const user = { user_id: 'u1' };
+
+        const first = execute(plugin, 'exportAll', 'custom_function', { context: user });
+        await tick();
+        const anonymous = await Promise.all([1, 2, 3].map(() => execute(plugin, 'exportAll', 'custom_function')));
+        const second = execute(plugin, 'exportAll', 'custom_function', { context: user });
+        const throttled = await execute(plugin, 'exportAll', 'custom_function', { context: user });
+
+        expect(anonymous.map(response => response.success)).toEqual([false, false, false]);
+        expect((await toWire(plugin, throttled)).message).toMatch(/rate limit/i);
+        expect(plugin.bulkheads.get('custom_function:exportAll').stats()).toEqual(expect.objectContaining({ active: 1, queued: 1, rejected: 0 }));
+
+        gate.open();
+        await first;
+        await tick();
+        gate.open();
+        expect((await second).success).toBe(true);
+    });
+
+    test('should report queue depth and rejections in the health check', async () => {
+        const gate = createGate();
+        plugin.setHealthCheckOptions({ cacheTTL: 0 });
+        plugin.registerFunction('exportAll', gate.handler, { concurrency: { maxConcurrent: 1, maxQueue: 1 } });
+
+        const calls = [execute(plugin, 'exportAll', 'custom_function'), execute(plugin, 'exportAll', 'custom_function')];
+        await execute(plugin, 'exportAll', 'custom_function');
+        const response = await execute(plugin, 'health_check', 'system');
+        const report = decodeResult(plugin, response);
+
+        expect(report.concurrency.functions['custom_function:exportAll']).toEqual({
+            active: 1,
+            queued: 1,
+            rejected: 1,
+            max_concurrent: 1,
+            max_queue: 1
+        });
+        expect(report.concurrency.plugin).toEqual(expect.objectContaining({ active: 1, max_concurrent: null }));
+
+        gate.open();
+        await calls[0];
+        await tick();
+        gate.open();
+        await calls[1];
+    });
+
+    test('should reject invalid limits', () => {
+        expect(() => plugin.setConcurrency({ maxConcurrent: 0 })).toThrow("Concurrency option 'maxConcurrent' must be a positive integer");
+        expect(() => plugin.registerFunction('f', async () => {}, { concurrency: { maxQueue: -1 } }))
+            .toThrow("Concurrency option 'maxQueue' must be a non-negative integer");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
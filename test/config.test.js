@@ -0,0 +1,141 @@
+/**
+ * Apito JavaScript Plugin SDK - Configuration and Init Hook Tests
+ */
+
+const { init } = require('../src/main');
+const { parseConfig } = require('../src/config');
+const { runInit } = require('./helpers');
+
+describe('Config Parsing', () => {
+    test('should parse typed values and apply defaults', () => {
+        const { config, errors } = parseConfig({
+            API_URL: { type: 'url', required: true },
+            TIMEOUT: { type: 'int', default: 5000 },
+            RATIO: { type: 'number' },
+            DEBUG: { type: 'bool' },
+            OPTIONS: { type: 'json' },
+            MODE: { enum: ['fast', 'safe'] }
+        }, {
+            API_URL: 'https://api.example.com',
+            RATIO: '0.5',
+            DEBUG: 'true',
+            OPTIONS: '{"a":1}',
+            MODE: 'safe'
+        });
+
+        expect(errors).toEqual([]);
+        expect(config).toEqual({
+            API_URL: 'https://api.example.com/',
+            TIMEOUT: 5000,
+            RATIO: 0.5,
+            DEBUG: true,
+            OPTIONS: { a: 1 },
+            MODE: 'safe'
+        });
+    });
+
+    test('should collect every violation', () => {
+        const { errors } = parseConfig({
+            API_URL: { type: 'url', required: true },
+            TIMEOUT: { type: 'int' },
+            MODE: { enum: ['fast', 'safe'] }
+        }, { TIMEOUT: '5s', MODE: 'slow' });
+
+        expect(errors).toEqual([
+            'missing required key API_URL',
+            'TIMEOUT must be an integer',
+            'MODE must be one of: fast, safe'
+        ]);
+    });
+
+    test('should reject unknown types at declaration time', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        expect(() => plugin.config({ KEY: { type: 'date' } })).toThrow("unknown type 'date' for key 'KEY'");
+    });
+
+    test('should name keys without a definition', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+
+        expect(() => plugin.config({ API_URL: { type: 'url' }, DEBUG_TOKEN: null }))
+            .toThrow("config: definition for key 'DEBUG_TOKEN' must be an object, got null");
+        expect(() => parseConfig({ TIMEOUT: undefined }, {})).toThrow("config: definition for key 'TIMEOUT' must be an object, got undefined");
+        expect(() => parseConfig({ MODE: 'fast' }, {})).toThrow("config: definition for key 'MODE' must be an object, got string");
+    });
+});
+
+describe('Init', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    afterEach(() => {
+        for (const key of Object.keys(process.env).filter(key => key.startsWith('CONFIG_TEST_'))) {
+            delete process.env[key];
+        }
+    });
+
+    test('should read env_vars and pass parsed config to hooks and handlers', async () => {
+        plugin.config({
+            CONFIG_TEST_API_URL: { type: 'url', required: true },
+            CONFIG_TEST_TIMEOUT: { type: 'int', default: 5000 }
+        });
+        const hook = jest.fn();
+        plugin.onInit(hook);
+
+        const response = await runInit(plugin, [{ key: 'CONFIG_TEST_API_URL', value: 'http://localhost:8080', hide: false, is_system: false }]);
+
+        expect(response.success).toBe(true);
+        expect(process.env.CONFIG_TEST_API_URL).toBe('http://localhost:8080');
+        expect(hook).toHaveBeenCalledWith(
+            { CONFIG_TEST_API_URL: 'http://localhost:8080/', CONFIG_TEST_TIMEOUT: 5000 },
+            expect.objectContaining({ config: plugin.getConfig() })
+        );
+        expect(plugin.createHandlerContext({}).config).toEqual({
+            CONFIG_TEST_API_URL: 'http://localhost:8080/',
+            CONFIG_TEST_TIMEOUT: 5000
+        });
+    });
+
+    test('should fail with a clear message when required keys are missing', async () => {
+        plugin.config({ CONFIG_TEST_API_URL: { type: 'url', required: true } });
+        const hook = jest.fn();
+        plugin.onInit(hook);
+
+        const response = await runInit(plugin, []);
+
+        expect(response).toEqual({
+            success: false,
+            message: 'Initialization failed: Invalid plugin configuration: missing required key CONFIG_TEST_API_URL'
+        });
+        expect(hook).not.toHaveBeenCalled();
+    });
+
+    test('should fail when an init hook throws', async () => {
+        plugin.onInit(async () => { throw new Error('database unreachable'); });
+        const response = await runInit(plugin, []);
+        expect(response).toEqual({ success: false, message: 'Initialization failed: database unreachable' });
+    });
+
+    test('should never log hidden or system values', async () => {
+        await runInit(plugin, [
+            { key: 'CONFIG_TEST_SECRET', value: 's3cr3t-value', hide: true, is_system: false },
+            { key: 'CONFIG_TEST_SYSTEM', value: 'system-value', hide: false, is_system: true }
+        ]);
+
+        const output = process.stderr.write.mock.calls.map(call => String(call[0])).join('');
+        expect(output).not.toContain('s3cr3t-value');
+        expect(output).not.toContain('system-value');
+        expect(plugin.hiddenEnvKeys).toEqual(new Set(['CONFIG_TEST_SECRET', 'CONFIG_TEST_SYSTEM']));
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
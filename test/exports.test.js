@@ -0,0 +1,43 @@
+/**
+ * Apito JavaScript Plugin SDK - Package Export Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sdk = require('../src/index');
+
+// Public symbols of the package entry point, by the feature that added them
+const EXPORTS = {
+    'plugin': ['Plugin', 'init'],
+    'HostService': ['HostClient', 'ModelRepository', 'MemoryMigrationStore', 'HostMigrationStore'],
+    'query builder': ['QueryBuilder', 'query', 'where', 'isQueryBuilder'],
+    'field and argument helpers': ['StringField', 'IDField', 'FieldWithArgs', 'StringArg', 'IDArg', 'ObjectArg'],
+    'schema types': [
+        'EnumType', 'InputObjectType', 'InterfaceType', 'UnionType', 'EnumField', 'TypeField', 'EnumArg', 'InputArg',
+        'createEnumType', 'createInputObjectType', 'createInterfaceType', 'createUnionType'
+    ],
+    'custom scalar': ['defineScalar', 'DateTimeScalar', 'JSONScalar', 'BigIntScalar', 'UploadScalar'],
+    'REST error': ['RESTError', 'createRESTError', 'createBadRequestError', 'isRESTError'],
+    'logging': ['Logger', 'logger'],
+    'redaction': ['Redactor'],
+    'tracing': ['Span', 'Tracer', 'ConsoleSpanExporter', 'FileSpanExporter', 'OTLPHttpSpanExporter'],
+    'metrics': ['MetricsRegistry', 'Counter', 'Gauge', 'Histogram'],
+    'result cache': ['MemoryCacheStore'],
+    'rate limit': ['MemoryRateLimitStore'],
+    'HTTP client': ['HttpClient', 'HttpError', 'CircuitBreaker']
+};
+
+describe('Package Exports', () => {
+    test.each(Object.entries(EXPORTS))('should export the %s API', (feature, names) => {
+        expect(names.filter(name => sdk[name] === undefined)).toEqual([]);
+    });
+
+    test('should export every runtime symbol of the type definitions', () => {
+        // generateTypeDefinitions() in build.js writes dist/index.d.ts
+        const source = fs.readFileSync(path.join(__dirname, '..', 'build.js'), 'utf8');
+        const declared = [...source.matchAll(/^export (?:function|class|const) (\w+)/gm)].map(match => match[1]);
+
+        expect(declared.length).toBeGreaterThan(50);
+        expect(declared.filter(name => sdk[name] === undefined)).toEqual([]);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Apito JavaScript Plugin SDK - Health Check Tests
+ */
+
+const { init } = require('../src/main');
+const { execute, toWire, decodeResult } = require('./helpers');
+
+async function healthCheck(plugin, args) {
+    const response = await execute(plugin, 'health_check', 'system', { args });
+    return decodeResult(plugin, response);
+}
+
+describe('Health Checks', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.setHealthCheckOptions({ cacheTTL: 0 });
+    });
+
+    test('should run registered checks for the system health_check function', async () => {
+        const check = jest.fn().mockResolvedValue({ latency_ms: 3 });
+        plugin.registerHealthCheck('database', check, { critical: true });
+
+        const report = await healthCheck(plugin);
+
+        expect(check).toHaveBeenCalledTimes(1);
+        expect(report).toEqual(expect.objectContaining({ status: 'healthy', mode: 'readiness', plugin_id: 'test-plugin' }));
+        expect(report.custom_health_checks.database).toEqual({
+            status: 'healthy',
+            latency_ms: 3,
+            critical: true,
+            duration_ms: expect.any(Number)
+        });
+    });
+
+    test('should be unhealthy when a critical check fails and degraded otherwise', async () => {
+        plugin.registerHealthCheck('cache', () => false);
+        expect((await healthCheck(plugin)).status).toBe('degraded');
+
+        plugin.registerHealthCheck('database', async () => {
+            throw new Error('connection refused');
+        }, { critical: true });
+        const report = await healthCheck(plugin);
+
+        expect(report.status).toBe('unhealthy');
+        expect(report.custom_health_checks.cache.status).toBe('unhealthy');
+        expect(report.custom_health_checks.database).toEqual(expect.objectContaining({ status: 'error', error: 'connection refused' }));
+    });
+
+    test('should fail checks that exceed their timeout', async () => {
+        plugin.registerHealthCheck('slow', () => new Promise(resolve => setTimeout(resolve, 1000)), { timeout: 20, critical: true });
+
+        const report = await healthCheck(plugin);
+
+        expect(report.status).toBe('unhealthy');
+        expect(report.custom_health_checks.slow.error).toBe('Health check timed out after 20ms');
+    });
+
+    test('should only run liveness checks for liveness probes', async () => {
+        const eventLoop = jest.fn().mockReturnValue(true);
+        const database = jest.fn().mockReturnValue(false);
+        plugin.registerHealthCheck('event_loop', eventLoop, { liveness: true });
+        plugin.registerHealthCheck('database', database, { critical: true });
+
+        const liveness = await healthCheck(plugin, { mode: 'liveness' });
+        expect(liveness.status).toBe('healthy');
+        expect(Object.keys(liveness.custom_health_checks)).toEqual(['event_loop']);
+        expect(database).not.toHaveBeenCalled();
+
+        expect((await healthCheck(plugin, { mode: 'readiness' })).status).toBe('unhealthy');
+
+        const response = await execute(plugin, 'health_check', 'system', { args: { mode: 'startup' } });
+        expect((await toWire(plugin, response)).message).toBe("Unknown health check mode 'startup', expected one of: liveness, readiness");
+    });
+
+    test('should reuse reports for the cache TTL', async () => {
+        const check = jest.fn().mockResolvedValue({});
+        plugin.registerHealthCheck('database', check);
+        plugin.setHealthCheckOptions({ cacheTTL: 60000 });
+
+        await healthCheck(plugin);
+        await healthCheck(plugin);
+        await plugin.performHealthCheck({}, { mode: 'liveness' });
+        expect(check).toHaveBeenCalledTimes(1);
+
+        plugin.registerHealthCheck('queue', jest.fn());
+        await healthCheck(plugin);
+        expect(check).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not replay a failed report for the cache TTL', async () => {
+        plugin.setHealthCheckOptions({ cacheTTL: 60000 });
+        const build = jest.spyOn(plugin, 'buildHealthReport').mockRejectedValueOnce(new Error('memory usage unavailable'));
+
+        await expect(plugin.performHealthCheck({})).rejects.toThrow('memory usage unavailable');
+        await expect(plugin.performHealthCheck({})).resolves.toEqual(expect.objectContaining({ status: 'healthy' }));
+        await plugin.performHealthCheck({});
+        expect(build).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject duplicate names and invalid options', () => {
+        plugin.registerHealthCheck('database', jest.fn());
+
+        expect(() => plugin.registerHealthCheck('database', jest.fn())).toThrow("Health check 'database' is already registered");
+        expect(() => plugin.registerHealthCheck('queue', jest.fn(), { timeout: -1 }))
+            .toThrow("Health check 'queue' timeout must be a positive number of milliseconds");
+        expect(() => plugin.registerHealthCheck('queue')).toThrow("Health check 'queue' must be a function");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
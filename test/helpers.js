@@ -0,0 +1,95 @@
+/**
+ * Apito JavaScript Plugin SDK - Shared Test Helpers
+ *
+ * Drive the gRPC handlers of a plugin the way the engine does and decode
+ * their responses.
+ */
+
+/**
+ * Send an Execute call to the plugin
+ * @param {Plugin} plugin - Plugin under test
+ * @param {Object} call - gRPC call with a `request`
+ * @returns {Promise<Object>} Response, once the call settled and its span ended
+ */
+async function executeCall(plugin, call) {
+    let response;
+    await plugin.handleExecute(call, (err, result) => { response = result; });
+    return response;
+}
+
+/**
+ * Execute a function with plain args and context objects
+ * @param {Plugin} plugin - Plugin under test
+ * @param {string} functionName - Function name
+ * @param {string} functionType - Execute function type
+ * @param {Object} [options] - Call options
+ * @param {Object} [options.args] - Function arguments
+ * @param {Object} [options.context] - Execute context
+ * @returns {Promise<Object>} Response, once the call settled
+ */
+function execute(plugin, functionName, functionType, { args = {}, context = {} } = {}) {
+    return executeCall(plugin, {
+        request: {
+            function_name: functionName,
+            function_type: functionType,
+            args: plugin.convertToProtobufStruct(args),
+            context: plugin.convertToProtobufStruct(context)
+        }
+    });
+}
+
+/**
+ * Round-trip a response through the ExecuteResponse codec, as the engine receives it
+ * @param {Plugin} plugin - Plugin under test
+ * @param {Object} response - Execute response
+ * @returns {Promise<Object>} Decoded response
+ */
+async function toWire(plugin, response) {
+    if (!plugin.protoDefinition) {
+        await plugin.loadProtoDefinition();
+    }
+    const { responseSerialize, responseDeserialize } = plugin.protoDefinition.apito.plugin.v1.PluginService.service.Execute;
+    return responseDeserialize(responseSerialize(response));
+}
+
+/**
+ * Decode the result of an Execute response into plain values
+ * @param {Plugin} plugin - Plugin under test
+ * @param {Object} response - Execute response
+ * @returns {any} Result
+ */
+function decodeResult(plugin, response) {
+    const result = JSON.parse(response.result.value.toString());
+    return response.result.typeUrl.endsWith('Struct') ? plugin.structToObject(result) : plugin.valueToJS(result);
+}
+
+/**
+ * GraphQL errors of an Execute response
+ * @param {Object} response - Execute response
+ * @returns {Object[]} Errors, empty when the call succeeded
+ */
+function graphqlErrors(response) {
+    const result = JSON.parse(response.result.value.toString());
+    return result.fields && result.fields.graphql_errors ? JSON.parse(result.fields.graphql_errors.stringValue) : [];
+}
+
+/**
+ * Send an Init call with the given environment variables
+ * @param {Plugin} plugin - Plugin under test
+ * @param {Object<string, string>} envVars - Environment variables
+ * @returns {Promise<Object>} Init response
+ */
+function runInit(plugin, envVars) {
+    return new Promise(resolve => {
+        plugin.handleInit({ request: { env_vars: envVars } }, (err, response) => resolve(response));
+    });
+}
+
+module.exports = {
+    executeCall,
+    execute,
+    toWire,
+    decodeResult,
+    graphqlErrors,
+    runInit
+};
@@ -0,0 +1,159 @@
+/**
+ * Apito JavaScript Plugin SDK - HostService Client Tests
+ */
+
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const { init } = require('../src/main');
+const { HostClient } = require('../src/host');
+const { toStruct, fromStruct, decodeAny, encodeAny } = require('../src/struct');
+
+const packageDefinition = protoLoader.loadSync(path.join(__dirname, '..', 'plugin.proto'), {
+    keepCase: true,
+    longs: String,
+    enums: String,
+    defaults: true,
+    oneofs: true
+});
+const HostService = grpc.loadPackageDefinition(packageDefinition).apito.plugin.v1.HostService;
+
+describe('Struct Conversion', () => {
+    test('should round-trip plain objects through Struct', () => {
+        const data = { name: 'John', age: 30, tags: ['a', 'b'], meta: { active: true }, empty: null };
+        expect(fromStruct(toStruct(data))).toEqual(data);
+    });
+
+    test('should decode binary Any payloads', () => {
+        expect(decodeAny(encodeAny({ id: '1', total: 5 }))).toEqual({ id: '1', total: 5 });
+        expect(decodeAny(encodeAny([1, 2]))).toEqual([1, 2]);
+    });
+
+    test('should decode JSON Any payloads', () => {
+        const any = {
+            type_url: 'type.googleapis.com/google.protobuf.Struct',
+            value: Buffer.from(JSON.stringify(toStruct({ id: '1' })))
+        };
+        expect(decodeAny(any)).toEqual({ id: '1' });
+        expect(decodeAny({ type_url: '', value: Buffer.from('[{"id":"2"}]') })).toEqual([{ id: '2' }]);
+    });
+
+    test('should decode empty Any as null', () => {
+        expect(decodeAny(null)).toBeNull();
+        expect(decodeAny({ type_url: '', value: Buffer.alloc(0) })).toBeNull();
+    });
+});
+
+describe('HostClient', () => {
+    let server;
+    let client;
+    let received;
+
+    beforeAll(async () => {
+        received = {};
+        server = new grpc.Server();
+        server.addService(HostService.service, {
+            GetSingleResource: (call, callback) => {
+                received.GetSingleResource = call.request;
+                callback(null, { resource: encodeAny({ id: call.request.id, status: 'active' }) });
+            },
+            SearchResources: (call, callback) => {
+                received.SearchResources = call.request;
+                callback(null, { resources: encodeAny([{ id: '1' }, { id: '2' }]) });
+            },
+            CreateNewResource: (call, callback) => {
+                received.CreateNewResource = call.request;
+                callback(null, { resource: encodeAny({ id: 'new', ...fromStruct(call.request.data) }) });
+            },
+            UpdateResource: (call, callback) => {
+                received.UpdateResource = call.request;
+                callback(null, { resource: encodeAny({ id: call.request.id }) });
+            },
+            DeleteResource: (call, callback) => {
+                callback({ code: grpc.status.NOT_FOUND, details: 'resource not found' });
+            },
+            GetRelationDocuments: (call, callback) => callback(null, { documents: encodeAny([]) }),
+            GenerateTenantToken: (call, callback) => callback(null, { token: `tenant-${call.request.tenant_id}` }),
+            GetProjectDetails: (call, callback) => callback(null, {
+                project: { id: call.request.project_id, name: 'Demo', schema: toStruct({ models: 2 }) }
+            }),
+            SendAuditLog: (call, callback) => callback(null, { success: true, message: 'ok' }),
+            Debug: (call, callback) => callback(null, { result: call.request.data[0] })
+        });
+
+        const port = await new Promise((resolve, reject) => {
+            server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (err, assignedPort) => {
+                if (err) reject(err);
+                else resolve(assignedPort);
+            });
+        });
+
+        client = new HostClient(HostService, { address: `127.0.0.1:${port}` });
+    });
+
+    afterAll(() => {
+        client.close();
+        server.forceShutdown();
+    });
+
+    test('should get a single resource as a plain object', async () => {
+        const resource = await client.getSingleResource('orders', 'o1');
+        expect(resource).toEqual({ id: 'o1', status: 'active' });
+        expect(received.GetSingleResource).toMatchObject({ model: 'orders', id: 'o1', single_page_data: false });
+    });
+
+    test('should send filters as Struct and decode lists', async () => {
+        const resources = await client.searchResources('orders', { where: { status: 'active' } }, true);
+        expect(resources).toEqual([{ id: '1' }, { id: '2' }]);
+        expect(fromStruct(received.SearchResources.filter)).toEqual({ where: { status: 'active' } });
+        expect(received.SearchResources.aggregate).toBe(true);
+    });
+
+    test('should create and update resources', async () => {
+        const created = await client.createNewResource('orders', { total: 10 });
+        expect(created).toEqual({ id: 'new', total: 10 });
+
+        await client.updateResource('orders', 'o1', { total: 20 }, { connect: { customer: 'c1' } });
+        expect(fromStruct(received.UpdateResource.data)).toEqual({ total: 20 });
+        expect(fromStruct(received.UpdateResource.connect)).toEqual({ customer: 'c1' });
+    });
+
+    test('should decode scalar responses', async () => {
+        expect(await client.generateTenantToken('t', 'acme')).toBe('tenant-acme');
+        expect(await client.getProjectDetails('p1')).toMatchObject({ id: 'p1', name: 'Demo', schema: { models: 2 } });
+        expect(await client.sendAuditLog({ resource: 'orders', action: 'create' })).toEqual({ success: true, message: 'ok' });
+        expect(await client.debug('stage', { step: 1 })).toEqual({ step: 1 });
+    });
+
+    test('should reject with the gRPC status code', async () => {
+        await expect(client.deleteResource('orders', 'missing')).rejects.toMatchObject({
+            code: grpc.status.NOT_FOUND,
+            message: 'HostService.DeleteResource failed: resource not found'
+        });
+    });
+
+    test('should fail clearly when no address is configured', async () => {
+        const unconfigured = new HostClient(HostService);
+        const previous = process.env.APITO_HOST_SERVICE_ADDR;
+        delete process.env.APITO_HOST_SERVICE_ADDR;
+        await expect(unconfigured.getSingleResource('orders', '1')).rejects.toThrow('HostService address not configured');
+        if (previous !== undefined) process.env.APITO_HOST_SERVICE_ADDR = previous;
+    });
+
+    test('should expose the host client in the handler context', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.host = client;
+        const context = plugin.createHandlerContext({ project_id: 'p1' });
+        expect(context.project_id).toBe('p1');
+        expect(context.host).toBe(client);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,228 @@
+/**
+ * Apito JavaScript Plugin SDK - HTTP Client Tests
+ */
+
+const http = require('http');
+const { init } = require('../src/main');
+const { GETEndpoint } = require('../src/helpers');
+const { HttpClient, HttpError, CircuitBreaker } = require('../src/http');
+const { tracer } = require('../src/tracing');
+const { runWithSignal } = require('../src/cancellation');
+const { execute, decodeResult } = require('./helpers');
+
+let server;
+let baseURL;
+let requests;
+let respond;
+
+beforeAll(async () => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            respond(req, res, requests.length);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/`;
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    process.stderr.write.mockRestore();
+});
+
+beforeEach(() => {
+    requests = [];
+    respond = (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ ok: true }));
+    };
+});
+
+function reply(res, status, body = '', headers = {}) {
+    res.writeHead(status, headers);
+    res.end(body);
+}
+
+describe('HttpClient', () => {
+    test('should resolve URLs against baseURL and parse JSON bodies', async () => {
+        const client = new HttpClient({ baseURL, headers: { 'X-Api-Version': '2' } });
+
+        const response = await client.post('v1/items?source=sdk', { name: 'widget' }, { query: { dryRun: true } });
+
+        expect(response.status).toBe(200);
+        expect(response.data).toEqual({ ok: true });
+        expect(requests).toEqual([expect.objectContaining({
+            method: 'POST',
+            url: '/v1/items?source=sdk&dryRun=true',
+            body: '{"name":"widget"}',
+            headers: expect.objectContaining({ 'x-api-version': '2', 'content-type': 'application/json' })
+        })]);
+    });
+
+    test('should send a traceparent of a client span under the active span', async () => {
+        const client = new HttpClient({ baseURL });
+        const parent = tracer.startSpan('parent');
+
+        await tracer.runInSpan(parent, () => client.get('traced'));
+        parent.end();
+
+        const [, traceId, spanId] = requests[0].headers.traceparent.split('-');
+        expect(traceId).toBe(parent.traceId);
+        expect(spanId).not.toBe(parent.spanId);
+    });
+
+    test('should retry retryable statuses with backoff and honour Retry-After', async () => {
+        respond = (req, res, count) => {
+            if (count === 1) {
+                reply(res, 503);
+            } else if (count === 2) {
+                reply(res, 429, '', { 'Retry-After': '0' });
+            } else {
+                reply(res, 200, 'done');
+            }
+        };
+        const client = new HttpClient({ baseURL, retries: 2, retryDelay: 1 });
+
+        const response = await client.get('flaky');
+
+        expect(response.data).toBe('done');
+        expect(requests).toHaveLength(3);
+    });
+
+    test('should fail with the last status once retries run out', async () => {
+        respond = (req, res) => reply(res, 502, '{"error":"bad gateway"}', { 'Content-Type': 'application/json' });
+        const client = new HttpClient({ baseURL, retries: 1, retryDelay: 1 });
+
+        const error = await client.get('down').catch(e => e);
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error).toMatchObject({ code: 'HTTP_STATUS', status: 502, data: { error: 'bad gateway' }, url: `${baseURL}down` });
+        expect(requests).toHaveLength(2);
+    });
+
+    test('should not retry non-idempotent methods or client errors', async () => {
+        respond = (req, res) => reply(res, req.method === 'POST' ? 503 : 404, 'missing');
+        const client = new HttpClient({ baseURL, retries: 3, retryDelay: 1 });
+
+        await expect(client.post('orders', {})).rejects.toMatchObject({ status: 503 });
+        await expect(client.get('orders/1')).rejects.toMatchObject({ status: 404, data: 'missing' });
+        expect(requests).toHaveLength(2);
+    });
+
+    test('should leave query strings out of errors', async () => {
+        respond = (req, res) => reply(res, 400);
+        const client = new HttpClient({ baseURL });
+
+        const error = await client.get('search?api_key=secret').catch(e => e);
+
+        expect(error.message).toBe(`GET ${baseURL}search failed with status 400`);
+    });
+
+    test('should time out slow attempts', async () => {
+        respond = (req, res) => setTimeout(() => reply(res, 200), 200);
+        const client = new HttpClient({ baseURL, timeout: 20, retries: 1, retryDelay: 1 });
+
+        await expect(client.get('slow')).rejects.toMatchObject({ code: 'TIMEOUT', message: `GET ${baseURL}slow timed out after 20ms` });
+        expect(requests.length).toBeLessThanOrEqual(2);
+    });
+
+    test('should abort with the active execution signal without retrying', async () => {
+        respond = (req, res) => setTimeout(() => reply(res, 200), 200);
+        const client = new HttpClient({ baseURL, retries: 3, retryDelay: 1 });
+        const controller = new AbortController();
+        const reason = new Error('call cancelled');
+
+        const pending = runWithSignal(controller.signal, () => client.get('slow'));
+        setTimeout(() => controller.abort(reason), 20);
+
+        await expect(pending).rejects.toBe(reason);
+        expect(client.getCircuitStates()[new URL(baseURL).host]).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+    });
+
+    test('should open the circuit of a failing host and fail fast', async () => {
+        respond = (req, res) => reply(res, 500);
+        const client = new HttpClient({ baseURL, retries: 0, circuitBreaker: { failureThreshold: 2, resetTimeout: 50 } });
+        const host = new URL(baseURL).host;
+
+        await expect(client.get('a')).rejects.toMatchObject({ status: 500 });
+        await expect(client.get('a')).rejects.toMatchObject({ status: 500 });
+        await expect(client.get('a')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', message: `Circuit for ${host} is open` });
+        expect(requests).toHaveLength(2);
+        expect(client.getCircuitStates()[host]).toEqual(expect.objectContaining({ state: 'open', failures: 2 }));
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        respond = (req, res) => reply(res, 200, 'back');
+        await expect(client.get('a')).resolves.toMatchObject({ data: 'back' });
+        expect(client.getCircuitStates()[host]).toEqual({ state: 'closed', failures: 0, opened_at: null });
+    });
+
+    test('should not keep circuits when the breaker is disabled', async () => {
+        respond = (req, res) => reply(res, 500);
+        const client = new HttpClient({ baseURL, retries: 0, circuitBreaker: false });
+
+        for (let i = 0; i < 6; i++) {
+            await expect(client.get('a')).rejects.toMatchObject({ status: 500 });
+        }
+        expect(client.getCircuitStates()).toEqual({});
+    });
+});
+
+describe('CircuitBreaker', () => {
+    test('should let a single trial request through when half open', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1 });
+        breaker.onFailure();
+        expect(breaker.allowRequest()).toBe(false);
+
+        const openedAt = breaker.openedAt;
+        breaker.openedAt = openedAt - 10;
+        expect(breaker.allowRequest()).toBe(true);
+        expect(breaker.state).toBe('half_open');
+        expect(breaker.allowRequest()).toBe(false);
+
+        breaker.onFailure();
+        expect(breaker.state).toBe('open');
+    });
+});
+
+describe('Plugin HTTP clients', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('http-plugin', '1.0.0', 'key');
+    });
+
+    test('should cancel requests when the Execute call times out', async () => {
+        respond = (req, res) => setTimeout(() => reply(res, 200), 200);
+        let requestError;
+        plugin.registerRESTAPI(GETEndpoint('/proxy', 'Proxy').build(), () => plugin.http.get(`${baseURL}slow`).catch(error => {
+            requestError = error;
+            throw error;
+        }), { timeout: 30 });
+
+        const response = await execute(plugin, 'GET_/proxy', 'rest_api');
+        const body = decodeResult(plugin, response);
+
+        expect(body).toEqual(expect.objectContaining({ status_code: 504, code: 'TIMEOUT' }));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(requestError.message).toBe("Function 'GET_/proxy' timed out after 30ms");
+        expect(requests).toHaveLength(1);
+    });
+
+    test('should report circuit states in the health check', async () => {
+        respond = (req, res) => reply(res, 503);
+        const client = plugin.createHttpClient({ baseURL, retries: 0, circuitBreaker: { failureThreshold: 1 } });
+        await plugin.http.get(`${baseURL}ok`).catch(() => {});
+        await expect(client.get('down')).rejects.toMatchObject({ status: 503 });
+
+        const report = await plugin.performHealthCheck({});
+
+        expect(report.circuits).toEqual({
+            [new URL(baseURL).host]: expect.objectContaining({ state: 'open', failures: 1 })
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Apito JavaScript Plugin SDK - REST Request Validation Tests
+ */
+
+const { init } = require('../src/main');
+const {
+    POSTEndpoint,
+    GETEndpoint,
+    ObjectSchema,
+    ArraySchema,
+    StringSchema,
+    IntegerSchema,
+    BooleanSchema,
+    NumberSchema
+} = require('../src/helpers');
+const { validateJSONSchema, coerceStringValues } = require('../src/jsonschema');
+const { execute, decodeResult } = require('./helpers');
+
+const userSchema = ObjectSchema({
+    name: StringSchema('User name', { required: true, minLength: 2, maxLength: 20 }),
+    email: StringSchema('User email', { required: true, format: 'email' }),
+    role: StringSchema('Role', { enum: ['admin', 'member'] }),
+    age: IntegerSchema('Age', { minimum: 13, maximum: 130 }),
+    username: StringSchema('Username', { pattern: '^[a-z0-9_]+$' }),
+    tags: ArraySchema(StringSchema('Tag'), { maxItems: 2 })
+});
+
+describe('Schema Helper Options', () => {
+    test('should hoist required properties into the parent required list', () => {
+        expect(userSchema.required).toEqual(['name', 'email']);
+        expect(userSchema.properties.name).toEqual({
+            type: 'string',
+            description: 'User name',
+            minLength: 2,
+            maxLength: 20
+        });
+        expect(userSchema.properties.email).toEqual({
+            type: 'string',
+            description: 'User email',
+            format: 'email'
+        });
+    });
+
+    test('should keep the original helper output without options', () => {
+        expect(StringSchema('Name')).toEqual({ type: 'string', description: 'Name' });
+        expect(ObjectSchema({ a: BooleanSchema('A') })).toEqual({ type: 'object', properties: { a: { type: 'boolean', description: 'A' } } });
+    });
+
+    test('should accept explicit required lists and nested required objects', () => {
+        const schema = ObjectSchema({
+            address: ObjectSchema({ city: StringSchema('City') }, { required: true }),
+            note: StringSchema('Note')
+        }, { required: ['note'] });
+        expect(schema.required).toEqual(['note', 'address']);
+    });
+});
+
+describe('JSON Schema Validation', () => {
+    test('should accept valid values', () => {
+        expect(validateJSONSchema(userSchema, {
+            name: 'Ada',
+            email: 'ada@example.com',
+            role: 'admin',
+            age: 36,
+            username: 'ada_l',
+            tags: ['math']
+        })).toEqual([]);
+    });
+
+    test('should report every violation with its path', () => {
+        expect(validateJSONSchema(userSchema, {
+            name: 'A',
+            role: 'owner',
+            age: 12.5,
+            username: 'Ada!',
+            tags: ['a', 'b', 3]
+        })).toEqual([
+            { path: 'email', message: 'is required' },
+            { path: 'name', message: 'must be at least 2 characters long' },
+            { path: 'role', message: 'must be one of: admin, member' },
+            { path: 'age', message: 'must be of type integer' },
+            { path: 'username', message: 'must match pattern ^[a-z0-9_]+$' },
+            { path: 'tags', message: 'must contain at most 2 items' },
+            { path: 'tags[2]', message: 'must be of type string' }
+        ]);
+    });
+
+    test('should check formats and numeric bounds', () => {
+        expect(validateJSONSchema(StringSchema('Email', { format: 'email' }), 'nope')).toEqual([{ path: '', message: 'must be a valid email' }]);
+        expect(validateJSONSchema(StringSchema('When', { format: 'date-time' }), '2025-01-03T10:00:00Z')).toEqual([]);
+        expect(validateJSONSchema(NumberSchema('Ratio', { maximum: 1 }), 1.5)).toEqual([{ path: '', message: 'must be <= 1' }]);
+        expect(validateJSONSchema(ObjectSchema({}, { additionalProperties: false }), { extra: 1 }))
+            .toEqual([{ path: 'extra', message: 'is not allowed' }]);
+    });
+
+    test('should convert string params to their declared types', () => {
+        const schema = ObjectSchema({ id: IntegerSchema('ID'), active: BooleanSchema('Active'), q: StringSchema('Query') });
+        expect(coerceStringValues(schema, { id: '42', active: 'true', q: '7' })).toEqual({ id: 42, active: true, q: '7' });
+        expect(coerceStringValues(schema, { id: 'abc' })).toEqual({ id: 'abc' });
+    });
+});
+
+describe('REST Request Validation in Execute', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should run the handler when the request is valid', async () => {
+        const handler = jest.fn(async () => ({ ok: true }));
+        plugin.registerRESTAPI(POSTEndpoint('/users', 'Create a user').withRequestSchema(userSchema).build(), handler);
+
+        const response = await execute(plugin, 'POST_/users', 'rest_api', { args: { body: { name: 'Ada', email: 'ada@example.com' } } });
+
+        expect(response.success).toBe(true);
+        expect(handler).toHaveBeenCalled();
+    });
+
+    test('should reject invalid requests with a structured 400 error', async () => {
+        const handler = jest.fn();
+        plugin.registerRESTAPI(
+            GETEndpoint('/users/:id', 'Get a user')
+                .withPathParamsSchema(ObjectSchema({ id: IntegerSchema('User ID', { required: true, minimum: 1 }) }))
+                .withQuerySchema(ObjectSchema({ sort: StringSchema('Sort', { enum: ['name', 'age'] }) }))
+                .withRequestSchema(ObjectSchema({}, { additionalProperties: false }))
+                .build(),
+            handler
+        );
+
+        const response = await execute(plugin, 'GET_/users/:id', 'rest_api', { args: { ':id': '0', query_sort: 'email', body: { x: 1 } } });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(response.success).toBe(false);
+        expect(response.message).toBe('Request validation failed');
+        expect(decodeResult(plugin, response)).toEqual({
+            status_code: 400,
+            error: 'Bad Request',
+            message: 'Request validation failed',
+            violations: [
+                { location: 'body', path: 'x', message: 'is not allowed' },
+                { location: 'path', path: 'id', message: 'must be >= 1' },
+                { location: 'query', path: 'sort', message: 'must be one of: name, age' }
+            ]
+        });
+    });
+
+    test('should report missing required path params', async () => {
+        plugin.registerRESTAPI(
+            GETEndpoint('/users/:id', 'Get a user')
+                .withPathParamsSchema(ObjectSchema({ id: IntegerSchema('User ID', { required: true }) }))
+                .build(),
+            jest.fn()
+        );
+
+        const response = await execute(plugin, 'GET_/users/:id', 'rest_api');
+        expect(decodeResult(plugin, response).violations).toEqual([{ location: 'path', path: 'id', message: 'is required' }]);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
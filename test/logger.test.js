@@ -0,0 +1,115 @@
+/**
+ * Apito JavaScript Plugin SDK - Logger Tests
+ */
+
+const { init } = require('../src/main');
+const { StringField } = require('../src/helpers');
+const { Logger, logger } = require('../src/logger');
+const { execute, runInit } = require('./helpers');
+
+function logEntries() {
+    return process.stderr.write.mock.calls.map(call => JSON.parse(String(call[0])));
+}
+
+describe('Logger', () => {
+    test('should write go-plugin JSON lines with fields', () => {
+        new Logger({ level: 'info' }).child({ plugin: 'orders' }).warn('Slow query', { ms: 1200, error: new Error('timeout') });
+
+        const [entry] = logEntries();
+        expect(entry).toEqual({
+            '@level': 'warn',
+            '@message': 'Slow query',
+            '@timestamp': expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+            plugin: 'orders',
+            ms: 1200,
+            error: 'timeout'
+        });
+    });
+
+    test('should skip entries below the level shared with children', () => {
+        const root = new Logger({ level: 'warn' });
+        const child = root.child({ request_id: 'r1' });
+
+        child.info('hidden');
+        root.setLevel('debug');
+        child.debug('shown');
+
+        expect(logEntries().map(entry => entry['@message'])).toEqual(['shown']);
+        expect(() => root.setLevel('verbose')).toThrow("Unknown log level 'verbose'");
+    });
+});
+
+describe('Plugin Logging', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerQuery('hello', StringField('Say hello'), async (context) => {
+            context.logger.info('Saying hello');
+            return 'hi';
+        });
+        process.stderr.write.mockClear();
+    });
+
+    afterEach(() => {
+        logger.setLevel('info');
+    });
+
+    test('should add function name, type and request id to request logs', async () => {
+        await execute(plugin, 'hello', 'graphql_query', { context: { request_id: 'req-42' } });
+
+        expect(logEntries()).toEqual([expect.objectContaining({
+            '@level': 'info',
+            '@message': 'Saying hello',
+            function_name: 'hello',
+            function_type: 'graphql_query',
+            request_id: 'req-42'
+        })]);
+    });
+
+    test('should only trace struct values when the level is trace', async () => {
+        await execute(plugin, 'hello', 'graphql_query', { args: { nickname: 'hunter2' } });
+        plugin.setLogLevel('debug');
+        await execute(plugin, 'hello', 'graphql_query', { args: { nickname: 'hunter2' } });
+        expect(process.stderr.write.mock.calls.join('')).not.toContain('hunter2');
+
+        plugin.setLogLevel('trace');
+        await execute(plugin, 'hello', 'graphql_query', { args: { nickname: 'hunter2' } });
+        expect(logEntries()).toContainEqual(expect.objectContaining({ '@level': 'trace', value: 'hunter2' }));
+    });
+
+    test('should take the level from the Init env vars', async () => {
+        await runInit(plugin, [{ key: 'PLUGIN_LOG_LEVEL', value: 'error', hide: false, is_system: false }]);
+        expect(logger.getLevel()).toBe('error');
+
+        delete process.env.PLUGIN_LOG_LEVEL;
+    });
+
+    test('should keep the level and start when the Init log level is invalid', async () => {
+        logger.setLevel('warn');
+
+        const response = await runInit(plugin, [{ key: 'PLUGIN_LOG_LEVEL', value: 'loud', hide: false, is_system: false }]);
+
+        expect(response.success).toBe(true);
+        expect(logger.getLevel()).toBe('warn');
+        expect(logEntries()).toContainEqual(expect.objectContaining({
+            '@level': 'warn',
+            '@message': 'Ignoring invalid log level',
+            level: 'warn'
+        }));
+        delete process.env.PLUGIN_LOG_LEVEL;
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+beforeEach(() => {
+    process.stderr.write.mockClear();
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,121 @@
+/**
+ * Apito JavaScript Plugin SDK - Metrics Tests
+ */
+
+const { init } = require('../src/main');
+const { StringField, createNotFoundError, createRESTError, GETEndpoint } = require('../src/helpers');
+const { MetricsRegistry } = require('../src/metrics');
+const { execute, decodeResult } = require('./helpers');
+
+describe('MetricsRegistry', () => {
+    test('should render counters, gauges and histograms in the Prometheus text format', () => {
+        const registry = new MetricsRegistry();
+        registry.counter('orders_created_total', 'Orders created', { labelNames: ['channel'] }).inc({ channel: 'web "beta"' }, 2);
+        registry.gauge('queue_depth', 'Queued jobs').set(7);
+        const latency = registry.histogram('stripe_call_seconds', 'Stripe latency', { buckets: [0.5, 0.1] });
+        latency.observe(0.05);
+        latency.observe(0.3);
+
+        expect(registry.toPrometheus()).toBe([
+            '# HELP orders_created_total Orders created',
+            '# TYPE orders_created_total counter',
+            'orders_created_total{channel="web \\"beta\\""} 2',
+            '# HELP queue_depth Queued jobs',
+            '# TYPE queue_depth gauge',
+            'queue_depth 7',
+            '# HELP stripe_call_seconds Stripe latency',
+            '# TYPE stripe_call_seconds histogram',
+            'stripe_call_seconds_bucket{le="0.1"} 1',
+            'stripe_call_seconds_bucket{le="0.5"} 2',
+            'stripe_call_seconds_bucket{le="+Inf"} 2',
+            'stripe_call_seconds_sum 0.35',
+            'stripe_call_seconds_count 2',
+            ''
+        ].join('\n'));
+    });
+
+    test('should return existing metrics and reject invalid use', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.counter('jobs_total', 'Jobs', { labelNames: ['queue'] });
+
+        expect(registry.counter('jobs_total')).toBe(counter);
+        expect(() => registry.gauge('jobs_total')).toThrow("Metric 'jobs_total' is already registered as a counter");
+        expect(() => counter.inc({ tenant: 'a' })).toThrow("Unknown label 'tenant' for metric 'jobs_total'");
+        expect(() => counter.inc(-1)).toThrow("Counter 'jobs_total' can only increase, got -1");
+        expect(() => registry.counter('jobs-total')).toThrow("Invalid metric name 'jobs-total'");
+        expect(() => registry.histogram('latency_seconds', 'Latency', { labelNames: ['le'] })).toThrow("Histogram 'latency_seconds' cannot use the label 'le'");
+    });
+});
+
+describe('Execute Metrics', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerQuery('order', StringField('Order'), async (context, args) => {
+            if (args.id === 'missing') {
+                throw createNotFoundError('Order not found');
+            }
+            return 'ok';
+        });
+        plugin.registerRESTAPI(GETEndpoint('/orders', 'List orders').build(), async () => {
+            throw createRESTError(503, 'Unavailable');
+        });
+    });
+
+    test('should count calls, errors by code and durations per function', async () => {
+        await execute(plugin, 'order', 'graphql_query', { args: { id: '1' } });
+        await execute(plugin, 'order', 'graphql_query', { args: { id: 'missing' } });
+        await execute(plugin, 'GET_/orders', 'rest_api');
+        await execute(plugin, 'nope', 'custom_function');
+
+        const order = { function_name: 'order', function_type: 'graphql_query' };
+        const metrics = plugin.executeMetrics;
+        expect(metrics.calls.get(order)).toBe(2);
+        expect(metrics.errors.get({ ...order, code: 'NOT_FOUND' })).toBe(1);
+        expect(metrics.errors.get({ function_name: 'GET_/orders', function_type: 'rest_api', code: '503' })).toBe(1);
+        expect(metrics.errors.get({ function_name: 'unknown', function_type: 'custom_function', code: 'INTERNAL_ERROR' })).toBe(1);
+        expect(metrics.duration.getSeries(order).count).toBe(2);
+    });
+
+    test('should collapse unregistered functions to one series', async () => {
+        await execute(plugin, 'nope-1', 'custom_function');
+        await execute(plugin, 'nope-2', 'custom_function');
+        await execute(plugin, 'order', 'graphql_mutation');
+        await execute(plugin, 'order', 'not_a_type');
+
+        const metrics = plugin.executeMetrics;
+        expect(metrics.calls.get({ function_name: 'unknown', function_type: 'custom_function' })).toBe(2);
+        expect(metrics.calls.get({ function_name: 'unknown', function_type: 'graphql_mutation' })).toBe(1);
+        expect(metrics.calls.get({ function_name: 'unknown', function_type: 'unknown' })).toBe(1);
+        expect(plugin.metrics.toPrometheus()).not.toContain('nope');
+    });
+
+    test('should expose metrics through the system metrics function', async () => {
+        plugin.metrics.counter('orders_created_total', 'Orders created').inc();
+        await execute(plugin, 'order', 'graphql_query', { args: { id: '1' } });
+
+        const textResponse = await execute(plugin, 'metrics', 'system');
+        const text = JSON.parse(textResponse.result.value.toString()).stringValue;
+        expect(text).toContain('plugin_function_calls_total{function_name="order",function_type="graphql_query"} 1');
+        expect(text).toContain('plugin_function_duration_seconds_count{function_name="order",function_type="graphql_query"} 1');
+        expect(text).toContain('plugin_function_in_flight 1');
+        expect(text).toContain('orders_created_total 1');
+        expect(text).toMatch(/process_resident_memory_bytes \d+/);
+
+        const jsonResponse = await execute(plugin, 'metrics', 'system', { args: { format: 'json' } });
+        const json = decodeResult(plugin, jsonResponse);
+        const calls = json.metrics.find(metric => metric.name === 'plugin_function_calls_total');
+        expect(calls.type).toBe('counter');
+        expect(calls.values).toContainEqual({ labels: { function_name: 'metrics', function_type: 'system' }, value: 2 });
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,112 @@
+/**
+ * Apito JavaScript Plugin SDK - Middleware Tests
+ */
+
+const { init } = require('../src/main');
+const { FieldWithArgs, IntArg, GraphQLError } = require('../src/helpers');
+const { compose } = require('../src/middleware');
+const { execute, decodeResult } = require('./helpers');
+
+describe('Middleware Composition', () => {
+    test('should run middleware in onion order', async () => {
+        const calls = [];
+        await compose([
+            async (ctx, next) => { calls.push('a:before'); await next(); calls.push('a:after'); },
+            async (ctx, next) => { calls.push('b:before'); await next(); calls.push('b:after'); }
+        ])({}, async () => { calls.push('handler'); });
+
+        expect(calls).toEqual(['a:before', 'b:before', 'handler', 'b:after', 'a:after']);
+    });
+
+    test('should reject calling next more than once', async () => {
+        const run = compose([async (ctx, next) => { await next(); await next(); }]);
+        await expect(run({}, async () => {})).rejects.toThrow('next() called multiple times');
+    });
+});
+
+describe('Middleware in Execute', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should expose the call to plugin and per-registration middleware', async () => {
+        const seen = [];
+        plugin.use(async (ctx, next) => {
+            seen.push(['plugin', ctx.functionType, ctx.functionName, ctx.args, ctx.context.user_id]);
+            await next();
+            seen.push(['plugin:result', ctx.result]);
+        });
+        plugin.registerQuery('double', FieldWithArgs('Int', 'Double a number', { n: IntArg('Number') }),
+            async (context, args) => args.n * 2,
+            {
+                middleware: [async (ctx, next) => {
+                    seen.push(['registration']);
+                    await next();
+                    ctx.result += 1;
+                }]
+            });
+
+        const response = await execute(plugin, 'double', 'graphql_query', { args: { n: 4 }, context: { user_id: 'u1' } });
+
+        expect(decodeResult(plugin, response)).toBe(9);
+        expect(seen).toEqual([
+            ['plugin', 'graphql_query', 'double', { n: 4 }, 'u1'],
+            ['registration'],
+            ['plugin:result', 9]
+        ]);
+    });
+
+    test('should wrap REST APIs and custom functions', async () => {
+        const types = [];
+        plugin.use(async (ctx, next) => { types.push(ctx.functionType); await next(); });
+        plugin.registerFunction('ping', async () => 'pong');
+
+        await execute(plugin, 'ping', 'custom_function');
+        await execute(plugin, 'health_check', 'system');
+
+        expect(types).toEqual(['custom_function', 'system']);
+    });
+
+    test('should short-circuit with a GraphQLError', async () => {
+        const resolver = jest.fn();
+        plugin.use(async () => {
+            throw new GraphQLError('Not allowed', { code: 'FORBIDDEN' });
+        });
+        plugin.registerMutation('deleteAll', FieldWithArgs('Boolean', 'Delete everything', {}), resolver);
+
+        const response = await execute(plugin, 'deleteAll', 'graphql_mutation');
+        const errors = JSON.parse(decodeResult(plugin, response).graphql_errors);
+
+        expect(resolver).not.toHaveBeenCalled();
+        expect(errors[0]).toEqual({ message: 'Not allowed', extensions: { code: 'FORBIDDEN' } });
+    });
+
+    test('should return a result set without calling next', async () => {
+        const handler = jest.fn();
+        plugin.registerFunction('cached', handler, {
+            middleware: [async (ctx) => { ctx.result = { cached: true }; }]
+        });
+
+        const response = await execute(plugin, 'cached', 'custom_function');
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(decodeResult(plugin, response)).toEqual({ cached: true });
+    });
+
+    test('should reject middleware that is not a function', () => {
+        expect(() => plugin.use('nope')).toThrow('Middleware must be a function, got string');
+        expect(() => plugin.registerFunction('f', jest.fn(), { middleware: [null] })).toThrow('Middleware must be a function');
+        expect(plugin.functions.has('f')).toBe(false);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,141 @@
+/**
+ * Apito JavaScript Plugin SDK - Migration Tests
+ */
+
+const { init } = require('../src/main');
+const { MemoryMigrationStore, HostMigrationStore, compareMigrationIds } = require('../src/migrations');
+const { HostClient } = require('../src/host');
+
+function runMigration(plugin) {
+    return new Promise(resolve => {
+        plugin.handleMigration({ request: {} }, (err, response) => resolve(response));
+    });
+}
+
+describe('Migrations', () => {
+    let plugin;
+    let store;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        store = new MemoryMigrationStore();
+        plugin.setMigrationStore(store);
+    });
+
+    test('should report no migration needed without steps', async () => {
+        const response = await runMigration(plugin);
+        expect(response).toEqual({ success: true, message: "No migration needed for plugin 'test-plugin'" });
+    });
+
+    test('should run steps in version order', async () => {
+        const order = [];
+        plugin.registerMigration('010_indexes', async () => order.push('010_indexes'));
+        plugin.registerMigration('002_orders', async () => order.push('002_orders'));
+        plugin.registerMigration('001_init', async () => order.push('001_init'));
+
+        const response = await runMigration(plugin);
+
+        expect(order).toEqual(['001_init', '002_orders', '010_indexes']);
+        expect(response.success).toBe(true);
+        expect(await store.getApplied()).toEqual(['001_init', '002_orders', '010_indexes']);
+    });
+
+    test('should not run a step twice', async () => {
+        const up = jest.fn();
+        plugin.registerMigration('001_init', up);
+
+        await runMigration(plugin);
+        const response = await runMigration(plugin);
+
+        expect(up).toHaveBeenCalledTimes(1);
+        expect(response.message).toBe("No migration needed for plugin 'test-plugin'");
+    });
+
+    test('should stop and fail on a failing step', async () => {
+        const later = jest.fn();
+        plugin.registerMigration('001_init', async () => {});
+        plugin.registerMigration('002_broken', async () => { throw new Error('boom'); });
+        plugin.registerMigration('003_later', later);
+
+        const response = await runMigration(plugin);
+
+        expect(response).toEqual({ success: false, message: "Migration failed at '002_broken': boom" });
+        expect(later).not.toHaveBeenCalled();
+        expect(await store.getApplied()).toEqual(['001_init']);
+    });
+
+    test('should pass the handler context to steps', async () => {
+        const host = { searchResources: jest.fn() };
+        plugin.host = host;
+        let received;
+        plugin.registerMigration('001_init', async (context) => { received = context; });
+
+        await runMigration(plugin);
+
+        expect(received.host).toBe(host);
+    });
+
+    test('should reject invalid registrations', () => {
+        plugin.registerMigration('001_init', async () => {});
+        expect(() => plugin.registerMigration('001_init', async () => {})).toThrow("duplicate migration id '001_init'");
+        expect(() => plugin.registerMigration('', async () => {})).toThrow('non-empty string');
+        expect(() => plugin.registerMigration('002', null)).toThrow('up must be a function');
+    });
+
+    test('should compare ids numerically', () => {
+        expect(['10', '2', '1'].sort(compareMigrationIds)).toEqual(['1', '2', '10']);
+    });
+});
+
+describe('Host Migration Store', () => {
+    test('should persist applied ids through the host', async () => {
+        const host = {
+            searchResources: jest.fn().mockResolvedValue([{ migration_id: '001_init' }, { data: { migration_id: '002_orders' } }]),
+            createNewResource: jest.fn().mockResolvedValue({})
+        };
+        const store = new HostMigrationStore(() => host, 'test-plugin');
+
+        await expect(store.getApplied()).resolves.toEqual(['001_init', '002_orders']);
+        expect(host.searchResources).toHaveBeenCalledWith('plugin_migrations', { where: { plugin: { eq: 'test-plugin' } } });
+
+        await store.markApplied('003_more', { durationMs: 5 });
+        expect(host.createNewResource).toHaveBeenCalledWith('plugin_migrations', expect.objectContaining({
+            plugin: 'test-plugin',
+            migration_id: '003_more',
+            duration_ms: 5
+        }));
+    });
+
+    test('should be the default store when a host address is configured', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.host = new HostClient(function FakeHostService() {}, { address: 'localhost:0' });
+        expect(plugin.getMigrationStore()).toBeInstanceOf(HostMigrationStore);
+    });
+
+    test('should fall back to memory without a host address', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.host = new HostClient(function FakeHostService() {});
+        expect(plugin.getMigrationStore()).toBeInstanceOf(MemoryMigrationStore);
+    });
+
+    test('should not touch the store of a plugin without migrations', async () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        const getApplied = jest.fn().mockRejectedValue(new Error('HostService address not configured'));
+        plugin.host = new HostClient(function FakeHostService() {});
+        plugin.setMigrationStore({ getApplied, markApplied: jest.fn() });
+
+        const response = await runMigration(plugin);
+
+        expect(response).toEqual({ success: true, message: "No migration needed for plugin 'test-plugin'" });
+        expect(getApplied).not.toHaveBeenCalled();
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
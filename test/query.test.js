@@ -0,0 +1,78 @@
+/**
+ * Apito JavaScript Plugin SDK - Query Builder Tests
+ */
+
+const { init } = require('../src/main');
+const { where, query } = require('../src/query');
+
+describe('Query Builder', () => {
+    test('should compile conditions, sort and pagination', () => {
+        const filter = where('status').eq('active')
+            .and('total').gt(100)
+            .sort('-created_at')
+            .limit(20)
+            .page(2)
+            .build();
+
+        expect(filter).toEqual({
+            where: {
+                status: { eq: 'active' },
+                total: { gt: 100 }
+            },
+            sort: { created_at: 'DESC' },
+            limit: 20,
+            page: 2
+        });
+    });
+
+    test('should merge operators on the same field', () => {
+        const filter = where('total').gte(10).lt(50).and('tags').in(['a', 'b']).and('deleted_at').exists(false).build();
+        expect(filter.where).toEqual({
+            total: { gte: 10, lt: 50 },
+            tags: { in: ['a', 'b'] },
+            deleted_at: { exists: false }
+        });
+    });
+
+    test('should support ascending sorts over several fields', () => {
+        expect(query().sort('name', '-total').build()).toEqual({ sort: { name: 'ASC', total: 'DESC' } });
+    });
+
+    test('should compile an empty query to an empty filter', () => {
+        expect(query().build()).toEqual({});
+    });
+
+    test('should toggle the aggregate flag', () => {
+        const q = where('status').eq('open');
+        expect(q.isAggregate()).toBe(false);
+        expect(q.aggregate().isAggregate()).toBe(true);
+        expect(q.aggregate(false).isAggregate()).toBe(false);
+    });
+
+    test('should reject misuse', () => {
+        expect(() => query().eq('x')).toThrow('QueryBuilder: call where(field) before eq()');
+        expect(() => query().limit(0)).toThrow('positive integer');
+        expect(() => query().page(1.5)).toThrow('positive integer');
+    });
+
+    test('should be accepted by model repositories', async () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.host = { searchResources: jest.fn().mockResolvedValue([{ id: '1' }]) };
+
+        await plugin.models('orders').search(where('status').eq('open').limit(5).aggregate());
+
+        expect(plugin.host.searchResources).toHaveBeenCalledWith('orders', {
+            where: { status: { eq: 'open' } },
+            limit: 5
+        }, true);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,130 @@
+/**
+ * Apito JavaScript Plugin SDK - Rate Limiting Tests
+ */
+
+const { init } = require('../src/main');
+const { StringField, POSTEndpoint } = require('../src/helpers');
+const { MemoryRateLimitStore, buildRateLimitKey, createRateLimitMiddleware } = require('../src/ratelimit');
+const { execute, decodeResult, graphqlErrors } = require('./helpers');
+
+// Runs the rate limit middleware alone and reports whether the call passed
+function createLimiter(options) {
+    const middleware = createRateLimitMiddleware(options, new MemoryRateLimitStore());
+    const ctx = { functionName: 'search', functionType: 'graphql_query', context: {}, args: {}, span: { setAttribute() {} } };
+    return () => middleware(ctx, async () => {}).then(() => true, error => error);
+}
+
+describe('Rate Limit Algorithms', () => {
+    let now;
+    let spy;
+
+    beforeEach(() => {
+        now = Date.now();
+        spy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        spy.mockRestore();
+    });
+
+    test('should allow limit calls in any sliding window', async () => {
+        const call = createLimiter({ limit: 2, window: 10 });
+
+        expect(await call()).toBe(true);
+        now += 4000;
+        expect(await call()).toBe(true);
+        const limited = await call();
+        expect(limited.extensions).toEqual({ code: 'RATE_LIMITED', retry_after: 6 });
+
+        now += 6000;
+        expect(await call()).toBe(true);
+    });
+
+    test('should allow bursts and refill a token bucket', async () => {
+        const call = createLimiter({ limit: 2, window: 10, algorithm: 'token_bucket' });
+
+        expect(await call()).toBe(true);
+        expect(await call()).toBe(true);
+        expect((await call()).extensions.retry_after).toBe(5);
+
+        now += 5000;
+        expect(await call()).toBe(true);
+        expect((await call()).message).toBe("Rate limit exceeded for 'search', retry in 5s");
+    });
+
+    test('should key limits on context fields', () => {
+        const context = { tenant_id: 't1', user_id: 'u1', client_ip: '10.0.0.1', api_key: 'sk_live_key' };
+
+        expect(buildRateLimitKey({ by: ['tenant', 'user'] }, 'graphql_query', 'search', context, {})).toBe('graphql_query:search:tenant=t1:user=u1');
+        expect(buildRateLimitKey({ by: 'ip' }, 'rest_api', 'POST_/login', context, {})).toBe('rest_api:POST_/login:ip=10.0.0.1');
+        expect(buildRateLimitKey({ by: 'user' }, 'graphql_query', 'search', {}, {})).toBe('graphql_query:search:user=-');
+        expect(buildRateLimitKey({ by: 'api_key' }, 'graphql_query', 'search', context, {})).not.toContain('sk_live_key');
+        expect(buildRateLimitKey({ by: (ctx, args) => args.email }, 'rest_api', 'POST_/login', context, { email: 'a@b.c' }))
+            .toBe('rest_api:POST_/login:a@b.c');
+    });
+});
+
+describe('Plugin Rate Limits', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should limit each user separately', async () => {
+        const resolver = jest.fn(async () => 'ok');
+        plugin.registerQuery('search', StringField('Search'), resolver, {
+            rateLimit: { limit: 1, window: 60, by: 'user' }
+        });
+
+        await execute(plugin, 'search', 'graphql_query', { context: { user_id: 'ada' } });
+        const limited = await execute(plugin, 'search', 'graphql_query', { context: { user_id: 'ada' } });
+        await execute(plugin, 'search', 'graphql_query', { context: { user_id: 'grace' } });
+
+        expect(graphqlErrors(limited)[0].extensions).toEqual({ code: 'RATE_LIMITED', retry_after: 60 });
+        expect(resolver).toHaveBeenCalledTimes(2);
+    });
+
+    test('should answer REST APIs with a 429 and retry_after', async () => {
+        plugin.registerRESTAPI(POSTEndpoint('/login', 'Login').build(), async () => ({ ok: true }), {
+            rateLimit: { limit: 1, window: 30, by: 'ip' }
+        });
+
+        await execute(plugin, 'POST_/login', 'rest_api', { context: { client_ip: '10.0.0.1' } });
+        const response = await execute(plugin, 'POST_/login', 'rest_api', { context: { client_ip: '10.0.0.1' } });
+        const body = decodeResult(plugin, response);
+
+        expect(body).toEqual(expect.objectContaining({ status_code: 429, code: 'RATE_LIMITED', retry_after: 30 }));
+    });
+
+    test('should use a custom store and allow calls when it fails', async () => {
+        const update = jest.fn(async () => { throw new Error('store offline'); });
+        plugin.setRateLimitStore({ update });
+        plugin.registerFunction('sync', async () => 'done', { rateLimit: { limit: 1, window: 60 } });
+
+        await execute(plugin, 'sync', 'custom_function');
+        const response = await execute(plugin, 'sync', 'custom_function');
+
+        expect(update).toHaveBeenCalledWith('custom_function:sync', 60, expect.any(Function));
+        expect(response.success).toBe(true);
+        expect(() => plugin.setRateLimitStore({})).toThrow('Rate limit store must implement update');
+    });
+
+    test('should reject invalid rate limit options', () => {
+        expect(() => plugin.registerFunction('f', async () => {}, { rateLimit: { limit: 0, window: 60 } }))
+            .toThrow("Rate limit option 'limit' must be a positive integer");
+        expect(() => plugin.registerFunction('f', async () => {}, { rateLimit: { limit: 5, window: 60, algorithm: 'leaky' } }))
+            .toThrow("Rate limit option 'algorithm' must be one of: sliding_window, token_bucket");
+        expect(() => plugin.registerFunction('f', async () => {}, { rateLimit: { limit: 5, window: 60, by: 'email' } }))
+            .toThrow("Unknown rate limit key 'email', expected one of: tenant, user, project, ip, api_key or a function");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
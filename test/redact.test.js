@@ -0,0 +1,123 @@
+/**
+ * Apito JavaScript Plugin SDK - Secret Redaction Tests
+ */
+
+const { init } = require('../src/main');
+const { GETEndpoint, logRESTArgs, createRESTError } = require('../src/helpers');
+const { Redactor } = require('../src/redact');
+const { logger } = require('../src/logger');
+const { execute, toWire, decodeResult, runInit } = require('./helpers');
+
+function logOutput() {
+    return process.stderr.write.mock.calls.map(call => String(call[0])).join('');
+}
+
+describe('Redactor', () => {
+    test('should redact sensitive keys at any depth', () => {
+        const redactor = new Redactor();
+        expect(redactor.redact({
+            user: 'ada',
+            password: 'pw',
+            headers: { Authorization: 'Bearer abc', accept: 'json' },
+            items: [{ api_key: 'k' }]
+        })).toEqual({
+            user: 'ada',
+            password: '[REDACTED]',
+            headers: { Authorization: '[REDACTED]', accept: 'json' },
+            items: [{ api_key: '[REDACTED]' }]
+        });
+    });
+
+    test('should scrub registered values from strings', () => {
+        const redactor = new Redactor();
+        redactor.addValue('s3cr3t');
+        redactor.addValue('s3cr3t-longer');
+        redactor.addValue('abc');
+
+        expect(redactor.redactString('connect with s3cr3t-longer or s3cr3t failed (abc)'))
+            .toBe('connect with [REDACTED] or [REDACTED] failed (abc)');
+    });
+
+    test('should accept custom key patterns and survive cycles', () => {
+        const redactor = new Redactor();
+        redactor.addKeyPattern('ssn');
+        redactor.addKeyPattern(/^card_/);
+        const value = { customer_ssn: '123', card_number: '4242', card: 'visa' };
+        value.self = value;
+
+        expect(redactor.redact(value)).toEqual({
+            customer_ssn: '[REDACTED]',
+            card_number: '[REDACTED]',
+            card: 'visa',
+            self: '[Circular]'
+        });
+        expect(() => redactor.addKeyPattern(42)).toThrow('Redaction key pattern must be a string or a RegExp');
+    });
+});
+
+describe('Redaction in the Plugin', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        process.stderr.write.mockClear();
+    });
+
+    afterEach(() => {
+        logger.setLevel('info');
+    });
+
+    test('should scrub hidden and sensitive env values from later logs', async () => {
+        logger.setLevel('debug');
+        await runInit(plugin, [
+            { key: 'REDACT_TEST_DB_URL', value: 'postgres://db-hidden-pass@host', hide: true, is_system: false },
+            { key: 'REDACT_TEST_API_TOKEN', value: 'tok-visible-flag', hide: false, is_system: false }
+        ]);
+        logger.info('Connecting to postgres://db-hidden-pass@host with tok-visible-flag');
+
+        const output = logOutput();
+        expect(output).not.toContain('db-hidden-pass');
+        expect(output).not.toContain('tok-visible-flag');
+        expect(output).toContain('Connecting to [REDACTED] with [REDACTED]');
+    });
+
+    test('should redact request bodies logged with logRESTArgs', () => {
+        logRESTArgs('POST_/login', { body: { email: 'ada@example.com', password: 'hunter2' } });
+
+        const entry = JSON.parse(logOutput());
+        expect(entry.args).toEqual({ body: { email: 'ada@example.com', password: '[REDACTED]' } });
+    });
+
+    test('should scrub registered secrets from errors returned to the engine', async () => {
+        plugin.registerSecret('sk_live_registered');
+        plugin.registerFunction('charge', async () => {
+            throw new Error('Stripe rejected key sk_live_registered');
+        });
+        plugin.registerRESTAPI(GETEndpoint('/charge', 'Charge').build(), async () => {
+            throw createRESTError(502, 'Upstream failed', { token: 'sk_live_registered' });
+        });
+
+        const functionResponse = await execute(plugin, 'charge', 'custom_function');
+        const restResponse = await execute(plugin, 'GET_/charge', 'rest_api');
+        const restBody = decodeResult(plugin, restResponse);
+
+        expect((await toWire(plugin, functionResponse)).message).toBe('Stripe rejected key [REDACTED]');
+        expect(restBody.token).toBe('[REDACTED]');
+        expect(logOutput()).not.toContain('sk_live_registered');
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+beforeEach(() => {
+    process.stderr.write.mockClear();
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+    delete process.env.REDACT_TEST_DB_URL;
+    delete process.env.REDACT_TEST_API_TOKEN;
+});
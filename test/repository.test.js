@@ -0,0 +1,109 @@
+/**
+ * Apito JavaScript Plugin SDK - Resource Repository Tests
+ */
+
+const grpc = require('@grpc/grpc-js');
+const { init } = require('../src/main');
+const { GraphQLError } = require('../src/helpers');
+
+function createHostMock() {
+    return {
+        getSingleResource: jest.fn(),
+        searchResources: jest.fn(),
+        createNewResource: jest.fn(),
+        updateResource: jest.fn(),
+        deleteResource: jest.fn(),
+        getRelationDocuments: jest.fn()
+    };
+}
+
+describe('Model Repository', () => {
+    let plugin;
+    let host;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+        host = createHostMock();
+        plugin.host = host;
+    });
+
+    test('should return the same repository per model', () => {
+        expect(plugin.models('orders')).toBe(plugin.models('orders'));
+        expect(plugin.models('orders').model).toBe('orders');
+    });
+
+    test('should map get onto GetSingleResource', async () => {
+        host.getSingleResource.mockResolvedValue({ id: 'o1' });
+        await expect(plugin.models('orders').get('o1')).resolves.toEqual({ id: 'o1' });
+        expect(host.getSingleResource).toHaveBeenCalledWith('orders', 'o1', false);
+    });
+
+    test('should raise NOT_FOUND for missing resources', async () => {
+        host.getSingleResource.mockResolvedValue(null);
+        const error = await plugin.models('orders').get('missing').catch(e => e);
+        expect(error).toBeInstanceOf(GraphQLError);
+        expect(error.extensions).toEqual({ code: 'NOT_FOUND', resource: 'orders' });
+        expect(error.message).toBe("orders 'missing' not found");
+    });
+
+    test('should map gRPC NOT_FOUND status to NOT_FOUND', async () => {
+        host.updateResource.mockRejectedValue(Object.assign(new Error('gone'), { code: grpc.status.NOT_FOUND }));
+        const error = await plugin.models('orders').update('o1', { total: 1 }).catch(e => e);
+        expect(error.extensions.code).toBe('NOT_FOUND');
+    });
+
+    test('should map other failures to INTERNAL_ERROR', async () => {
+        host.searchResources.mockRejectedValue(new Error('connection refused'));
+        const error = await plugin.models('orders').search({}).catch(e => e);
+        expect(error).toBeInstanceOf(GraphQLError);
+        expect(error.extensions.code).toBe('INTERNAL_ERROR');
+        expect(error.message).toBe('Failed to search orders: connection refused');
+    });
+
+    test('should raise INTERNAL_ERROR without a host', async () => {
+        plugin.host = null;
+        const error = await plugin.models('orders').get('o1').catch(e => e);
+        expect(error.extensions.code).toBe('INTERNAL_ERROR');
+    });
+
+    test('should pass search, create, update and relation arguments through', async () => {
+        host.searchResources.mockResolvedValue(null);
+        host.createNewResource.mockResolvedValue({ id: 'o2' });
+        host.updateResource.mockResolvedValue({ id: 'o2', total: 5 });
+        host.getRelationDocuments.mockResolvedValue([{ id: 'c1' }]);
+        const orders = plugin.models('orders');
+
+        await expect(orders.search({ where: { status: 'active' } }, { aggregate: true })).resolves.toEqual([]);
+        expect(host.searchResources).toHaveBeenCalledWith('orders', { where: { status: 'active' } }, true);
+
+        await orders.create({ total: 1 }, { customer: 'c1' });
+        expect(host.createNewResource).toHaveBeenCalledWith('orders', { total: 1 }, { customer: 'c1' });
+
+        await orders.update('o2', { total: 5 }, { connect: { customer: 'c1' }, disconnect: { customer: 'c0' } });
+        expect(host.updateResource).toHaveBeenCalledWith('orders', 'o2', { total: 5 }, {
+            connect: { customer: 'c1' },
+            disconnect: { customer: 'c0' },
+            singlePageData: false
+        });
+
+        await expect(orders.relations('o2', { model: 'customers' })).resolves.toEqual([{ id: 'c1' }]);
+        expect(host.getRelationDocuments).toHaveBeenCalledWith('o2', { model: 'customers' });
+    });
+
+    test('should fail deletes reported as unsuccessful', async () => {
+        host.deleteResource.mockResolvedValueOnce({ success: true, message: '' });
+        await expect(plugin.models('orders').delete('o1')).resolves.toBe(true);
+
+        host.deleteResource.mockResolvedValueOnce({ success: false, message: 'locked' });
+        await expect(plugin.models('orders').delete('o1')).rejects.toThrow("Failed to delete orders 'o1': locked");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
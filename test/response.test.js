@@ -0,0 +1,140 @@
+/**
+ * Apito JavaScript Plugin SDK - Response Enforcement Tests
+ */
+
+const { init } = require('../src/main');
+const {
+    NewObjectType,
+    ListField,
+    ObjectField,
+    GETEndpoint,
+    ObjectSchema,
+    StringSchema,
+    IntegerSchema,
+    ArraySchema,
+    InterfaceType,
+    StringField
+} = require('../src/helpers');
+const { enforceGraphQLResponse, enforceJSONSchemaResponse } = require('../src/response');
+const { execute, decodeResult } = require('./helpers');
+
+const userType = NewObjectType('User')
+    .addStringField('id', 'User ID', false)
+    .addStringField('name', 'User name')
+    .addIntField('age', 'User age')
+    .build();
+
+const leakyUser = { id: 'u1', name: 'Ada', age: 36, password_hash: 'secret', internal_id: 7 };
+
+describe('GraphQL Response Enforcement', () => {
+    test('should strip undeclared fields in nested lists', () => {
+        const { value, violations } = enforceGraphQLResponse(ListField(userType, 'Users').type, [leakyUser]);
+        expect(value).toEqual([{ id: 'u1', name: 'Ada', age: 36 }]);
+        expect(violations).toEqual([]);
+    });
+
+    test('should report type mismatches and missing non-null fields', () => {
+        const { violations } = enforceGraphQLResponse(ObjectField('User', userType).type, { name: 5, age: 1.5 });
+        expect(violations).toEqual([
+            { path: 'id', message: 'must not be null' },
+            { path: 'name', message: 'must be of type String' },
+            { path: 'age', message: 'must be of type Int' }
+        ]);
+    });
+
+    test('should keep implementation fields of interface results', () => {
+        const node = InterfaceType('Node', { id: StringField('ID') });
+        expect(enforceGraphQLResponse(node, { id: '1', extra: true }).value).toEqual({ id: '1', extra: true });
+    });
+});
+
+describe('REST Response Enforcement', () => {
+    test('should strip undeclared properties and validate against the schema', () => {
+        const schema = ObjectSchema({
+            users: ArraySchema(ObjectSchema({ id: StringSchema('ID'), age: IntegerSchema('Age') }))
+        });
+        const { value, violations } = enforceJSONSchemaResponse(schema, {
+            users: [{ id: 'u1', age: 'old', password_hash: 'x' }],
+            debug: true
+        });
+
+        expect(value).toEqual({ users: [{ id: 'u1', age: 'old' }] });
+        expect(violations).toEqual([{ path: 'users[0].age', message: 'must be of type integer' }]);
+    });
+});
+
+describe('Response Validation Modes', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should leave results untouched by default', async () => {
+        plugin.registerQuery('me', ObjectField('Current user', userType), async () => leakyUser);
+        const result = decodeResult(plugin, await execute(plugin, 'me', 'graphql_query'));
+        expect(result.password_hash).toBe('secret');
+    });
+
+    test('should strip and log in log mode', async () => {
+        plugin.setResponseValidation('log');
+        plugin.registerQuery('me', ObjectField('Current user', userType), async () => ({ ...leakyUser, age: 'unknown' }));
+
+        const response = await execute(plugin, 'me', 'graphql_query');
+
+        expect(decodeResult(plugin, response)).toEqual({ id: 'u1', name: 'Ada', age: 'unknown' });
+        const entries = process.stderr.write.mock.calls.map(call => JSON.parse(String(call[0])));
+        expect(entries).toContainEqual(expect.objectContaining({
+            '@level': 'warn',
+            '@message': 'Response does not match its declared shape',
+            function_type: 'graphql_query',
+            function_name: 'me',
+            violations: 'age must be of type Int'
+        }));
+    });
+
+    test('should fail in strict mode configured per registration', async () => {
+        plugin.registerQuery('me', ObjectField('Current user', userType), async () => ({ name: 'Ada' }), {
+            responseValidation: 'strict'
+        });
+
+        const response = await execute(plugin, 'me', 'graphql_query');
+        const errors = JSON.parse(decodeResult(plugin, response).graphql_errors);
+
+        expect(errors[0]).toEqual({
+            message: "Response of 'me' does not match its declared shape",
+            extensions: { code: 'INTERNAL_ERROR' }
+        });
+    });
+
+    test('should let an endpoint override the plugin mode', async () => {
+        plugin.setResponseValidation('strict');
+        plugin.registerRESTAPI(
+            GETEndpoint('/me', 'Current user')
+                .withResponseSchema(ObjectSchema({ id: StringSchema('ID'), age: IntegerSchema('Age') }))
+                .withResponseValidation('log')
+                .build(),
+            async () => ({ id: 'u1', age: 'old', token: 'secret' })
+        );
+
+        const response = await execute(plugin, 'GET_/me', 'rest_api');
+
+        expect(response.success).toBe(true);
+        expect(decodeResult(plugin, response)).toEqual({ id: 'u1', age: 'old' });
+    });
+
+    test('should reject unknown modes', () => {
+        expect(() => plugin.setResponseValidation('loud')).toThrow("Unknown response validation mode 'loud'");
+        expect(() => plugin.registerQuery('me', ObjectField('Me', userType), jest.fn(), { responseValidation: 'loud' }))
+            .toThrow("Unknown response validation mode 'loud'");
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
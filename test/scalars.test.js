@@ -0,0 +1,111 @@
+/**
+ * Apito JavaScript Plugin SDK - Custom Scalar Tests
+ */
+
+const { init } = require('../src/main');
+const { FieldWithArgs, NonNullArg, ListArg, ObjectArg, NewObjectType, ListField } = require('../src/helpers');
+const { defineScalar, DateTimeScalar, BigIntScalar } = require('../src/scalars');
+const { execute } = require('./helpers');
+
+function decodeResult(response) {
+    return JSON.parse(response.result.value.toString());
+}
+
+describe('Built-in Scalars', () => {
+    test('should parse and serialize DateTime values', () => {
+        expect(DateTimeScalar.parseValue('2025-01-03T10:00:00Z')).toEqual(new Date('2025-01-03T10:00:00Z'));
+        expect(DateTimeScalar.serialize(new Date(0))).toBe('1970-01-01T00:00:00.000Z');
+        expect(() => DateTimeScalar.parseValue('not a date')).toThrow("'not a date' is not a valid date");
+    });
+
+    test('should keep BigInt precision as strings', () => {
+        expect(BigIntScalar.parseValue('9007199254740993')).toBe(9007199254740993n);
+        expect(BigIntScalar.serialize(9007199254740993n)).toBe('9007199254740993');
+        expect(() => BigIntScalar.parseValue('1.5')).toThrow("'1.5' is not an integer");
+    });
+
+    test('should validate scalar definitions', () => {
+        expect(() => defineScalar('')).toThrow('name must be a non-empty string');
+        expect(() => defineScalar('Money', { serialize: 'nope' })).toThrow("serialize for 'Money' must be a function");
+    });
+});
+
+describe('Scalar Coercion in Execute', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should parse arguments and serialize results along the field definition', async () => {
+        const eventType = NewObjectType('Event')
+            .addStringField('name', 'Event name')
+            .addField('at', 'DateTime', 'When it happens')
+            .build();
+
+        const resolver = jest.fn(async (context, args) => [{ name: 'launch', at: args.filter.after, extra: 1 }]);
+        plugin.registerQuery('events', FieldWithArgs(ListField(eventType, 'Events'), {
+            filter: ObjectArg('Filter', { after: NonNullArg('DateTime', 'After') }),
+            ids: ListArg('BigInt', 'Ids')
+        }), resolver);
+
+        const response = await execute(plugin, 'events', 'graphql_query', {
+            args: { filter: { after: '2025-01-03T10:00:00Z' }, ids: ['9007199254740993'] }
+        });
+
+        const [, args] = resolver.mock.calls[0];
+        expect(args.filter.after).toBeInstanceOf(Date);
+        expect(args.ids).toEqual([9007199254740993n]);
+
+        const event = decodeResult(response).listValue.values[0].structValue.fields;
+        expect(event.at).toEqual({ stringValue: '2025-01-03T10:00:00.000Z' });
+        expect(event.extra).toEqual({ numberValue: 1 });
+    });
+
+    test('should apply scalars registered by the plugin', async () => {
+        const money = plugin.registerScalar('Money', {
+            parseValue: value => Math.round(Number(value) * 100),
+            serialize: cents => (cents / 100).toFixed(2)
+        });
+        const resolver = jest.fn(async (context, args) => args.amount * 2);
+        plugin.registerQuery('double', FieldWithArgs({ type: money, description: 'Doubled', args: {} }, {
+            amount: { type: money, description: 'Amount' }
+        }), resolver);
+
+        const response = await execute(plugin, 'double', 'graphql_query', { args: { amount: '12.34' } });
+
+        expect(resolver.mock.calls[0][1].amount).toBe(1234);
+        expect(decodeResult(response)).toEqual({ stringValue: '24.68' });
+    });
+
+    test('should report unparsable arguments as BAD_USER_INPUT with the argument path', async () => {
+        plugin.registerQuery('events', FieldWithArgs('String', 'Events', {
+            filter: ObjectArg('Filter', { after: NonNullArg('DateTime', 'After') })
+        }), jest.fn());
+
+        const response = await execute(plugin, 'events', 'graphql_query', { args: { filter: { after: 'yesterday' } } });
+        const errors = JSON.parse(decodeResult(response).fields.graphql_errors.stringValue);
+
+        expect(errors[0].message).toBe("Argument 'filter.after' has an invalid DateTime value: 'yesterday' is not a valid date");
+        expect(errors[0].extensions).toEqual({ code: 'BAD_USER_INPUT', field: 'filter.after' });
+    });
+
+    test('should leave values of other types untouched', async () => {
+        const resolver = jest.fn(async (context, args) => args.when);
+        plugin.registerQuery('echo', FieldWithArgs('String', 'Echo', {
+            when: { type: 'String', description: 'Plain string' }
+        }), resolver);
+
+        const response = await execute(plugin, 'echo', 'graphql_query', { args: { when: '2025-01-03' } });
+        expect(decodeResult(response)).toEqual({ stringValue: '2025-01-03' });
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
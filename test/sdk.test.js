@@ -204,7 +204,11 @@ describe('Apito JavaScript Plugin SDK', () => {
 
             plugin.registerHealthCheck(healthCheck);
 
-            expect(plugin.healthChecks).toContain(healthCheck);
+            expect(plugin.healthChecks).toContainEqual(expect.objectContaining({
+                name: 'custom_check_0',
+                check: healthCheck,
+                critical: false
+            }));
         });
     });
 
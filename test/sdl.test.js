@@ -0,0 +1,170 @@
+/**
+ * Apito JavaScript Plugin SDK - SDL Import/Export Tests
+ */
+
+const { init } = require('../src/main');
+const { FieldWithArgs, StringArg, NonNullArg, ObjectArg, IntArg, ListField, NewObjectType } = require('../src/helpers');
+const { buildSchemaFromSDL } = require('../src/sdl');
+
+const ORDER_SDL = `
+"An order"
+type Order {
+  id: ID!
+  total: Float
+  customer: Customer
+}
+
+type Customer {
+  id: ID!
+  name: String
+}
+
+input OrderFilter {
+  status: String = "open"
+  minTotal: Float
+}
+
+type Query {
+  "Get an order"
+  order(id: ID!): Order
+  orders(filter: OrderFilter, limit: Int = 20): [Order!]!
+}
+
+type Mutation {
+  cancelOrder(id: ID!, reason: String): Boolean
+}
+`;
+
+describe('SDL Import', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should register root fields with their resolvers', () => {
+        const resolvers = {
+            Query: { order: jest.fn(), orders: jest.fn() },
+            Mutation: { cancelOrder: jest.fn() }
+        };
+
+        plugin.registerSDL(ORDER_SDL, resolvers);
+
+        expect(Array.from(plugin.queries.keys())).toEqual(['order', 'orders']);
+        expect(Array.from(plugin.mutations.keys())).toEqual(['cancelOrder']);
+        expect(plugin.resolvers.get('order')).toBe(resolvers.Query.order);
+        expect(plugin.queries.get('order').description).toBe('Get an order');
+    });
+
+    test('should accept flat resolver maps', () => {
+        plugin.registerSDL('type Query { ping: String }', { ping: jest.fn() });
+        expect(plugin.queries.has('ping')).toBe(true);
+    });
+
+    test('should produce the structures the helpers produce', () => {
+        const schema = buildSchemaFromSDL(ORDER_SDL);
+        const order = schema.queries.order;
+
+        expect(order.args.id.type).toEqual({
+            kind: 'non_null',
+            ofType: { kind: 'scalar', scalarType: 'ID', name: 'ID' }
+        });
+        expect(order.type.kind).toBe('object');
+        expect(order.type.name).toBe('Order');
+        expect(order.type.fields.total.type).toEqual({ kind: 'scalar', scalarType: 'Float', name: 'Float' });
+        expect(schema.queries.orders.args.limit.defaultValue).toBe(20);
+        expect(schema.queries.orders.args.filter.type.fields.status.defaultValue).toBe('open');
+    });
+
+    test('should serialize SDL fields with convertFieldToProtobuf', () => {
+        plugin.registerSDL(ORDER_SDL, { order() {}, orders() {}, cancelOrder() {} });
+        const fields = plugin.convertFieldToProtobuf(plugin.queries.get('orders'));
+
+        expect(fields.type.structValue.fields.kind).toEqual({ stringValue: 'non_null' });
+        expect(fields.args.structValue.fields.filter.structValue.fields.properties.structValue.fields).toHaveProperty('minTotal');
+    });
+
+    test('should report missing resolvers before registering anything', () => {
+        expect(() => plugin.registerSDL(ORDER_SDL, { Query: { order() {} } }))
+            .toThrow('registerSDL: missing resolver for Query.orders');
+        expect(plugin.queries.size).toBe(0);
+    });
+
+    test('should report syntax errors and unknown types', () => {
+        expect(() => buildSchemaFromSDL('type Query { ping: }')).toThrow('SDL syntax error on line 1');
+        expect(() => buildSchemaFromSDL('type Query { ping: Missing }')).toThrow("unknown type 'Missing'");
+    });
+});
+
+describe('SDL Export', () => {
+    test('should print registered queries and mutations as SDL', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        const userType = NewObjectType('User', 'A user')
+            .addStringField('id', 'User ID', false)
+            .addIntField('age', 'User age')
+            .build();
+
+        plugin.registerQuery('users', ListField(userType, 'All users'), jest.fn());
+        plugin.registerQuery('greet', FieldWithArgs('String', 'Greeting', {
+            name: NonNullArg('String', 'Name')
+        }), jest.fn());
+        plugin.registerMutation('updateUser', FieldWithArgs('Boolean', 'Update a user', {
+            input: ObjectArg('User input', { name: StringArg('Name'), age: IntArg('Age') })
+        }), jest.fn());
+
+        expect(plugin.toSDL()).toBe([
+            'type User {',
+            '  "User ID"',
+            '  id: String!',
+            '  "User age"',
+            '  age: Int',
+            '}',
+            '',
+            'input UpdateUserInputInput {',
+            '  "Name"',
+            '  name: String',
+            '  "Age"',
+            '  age: Int',
+            '}',
+            '',
+            'type Query {',
+            '  "All users"',
+            '  users: [User]',
+            '  "Greeting"',
+            '  greet(',
+            '    "Name"',
+            '    name: String!',
+            '  ): String',
+            '}',
+            '',
+            'type Mutation {',
+            '  "Update a user"',
+            '  updateUser(',
+            '    "User input"',
+            '    input: UpdateUserInputInput',
+            '  ): Boolean',
+            '}',
+            ''
+        ].join('\n'));
+    });
+
+    test('should round-trip SDL', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerSDL(ORDER_SDL, { order() {}, orders() {}, cancelOrder() {} });
+
+        const reimported = init('test-plugin', '1.0.0', 'test-key');
+        reimported.registerSDL(plugin.toSDL(), { order() {}, orders() {}, cancelOrder() {} });
+
+        expect(reimported.toSDL()).toBe(plugin.toSDL());
+        expect(reimported.queries.get('orders').type).toEqual(plugin.queries.get('orders').type);
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
@@ -0,0 +1,102 @@
+/**
+ * Apito JavaScript Plugin SDK - Shutdown and Draining Tests
+ */
+
+const { init } = require('../src/main');
+const { execute } = require('./helpers');
+
+describe('Graceful Shutdown', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should run shutdown hooks in order', async () => {
+        const order = [];
+        plugin.onShutdown(async () => order.push('db'));
+        plugin.onShutdown(() => order.push('buffers'));
+
+        await expect(plugin.shutdown()).resolves.toBe(true);
+        expect(order).toEqual(['db', 'buffers']);
+    });
+
+    test('should let in-flight requests finish before running hooks', async () => {
+        const events = [];
+        let release;
+        plugin.registerFunction('slow', () => new Promise(resolve => {
+            release = () => {
+                events.push('request finished');
+                resolve('done');
+            };
+        }));
+        plugin.onShutdown(() => events.push('hook'));
+
+        const pending = execute(plugin, 'slow', 'custom_function');
+        expect(plugin.inFlight).toBe(1);
+
+        const shutdown = plugin.shutdown();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(events).toEqual([]);
+
+        release();
+        const response = await pending;
+        await shutdown;
+
+        expect(response.success).toBe(true);
+        expect(events).toEqual(['request finished', 'hook']);
+    });
+
+    test('should reject new Execute calls while draining', async () => {
+        plugin.registerFunction('fn', async () => 'ok');
+        plugin.shuttingDown = true;
+
+        const response = await execute(plugin, 'fn', 'custom_function');
+        expect(response).toEqual({ success: false, result: null, message: "Plugin 'test-plugin' is shutting down" });
+
+        const restResponse = await execute(plugin, 'GET_/fn', 'rest_api');
+        expect(restResponse).toEqual({ success: false, result: null, message: "Plugin 'test-plugin' is shutting down" });
+
+        const graphqlResponse = await execute(plugin, 'fn', 'graphql_query');
+        const payload = JSON.parse(graphqlResponse.result.value.toString());
+        expect(JSON.parse(payload.fields.graphql_errors.stringValue)[0].extensions.code).toBe('SHUTTING_DOWN');
+    });
+
+    test('should bound draining and hooks by the shutdown timeout', async () => {
+        plugin.setShutdownTimeout(50);
+        let release;
+        plugin.registerFunction('hang', () => new Promise(resolve => { release = resolve; }));
+        const hook = jest.fn(() => new Promise(() => {}));
+        plugin.onShutdown(hook);
+
+        const pending = execute(plugin, 'hang', 'custom_function');
+        const started = Date.now();
+
+        await expect(plugin.shutdown()).resolves.toBe(false);
+        expect(hook).toHaveBeenCalled();
+        expect(Date.now() - started).toBeLessThan(1000);
+
+        // Let the call finish so it does not outlive the test
+        release('done');
+        await pending;
+        expect(plugin.inFlight).toBe(0);
+    });
+
+    test('should keep running hooks after a failing hook', async () => {
+        const second = jest.fn();
+        plugin.onShutdown(() => { throw new Error('flush failed'); });
+        plugin.onShutdown(second);
+
+        await expect(plugin.shutdown()).resolves.toBe(false);
+        expect(second).toHaveBeenCalled();
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
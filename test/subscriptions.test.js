@@ -0,0 +1,141 @@
+/**
+ * Apito JavaScript Plugin SDK - Subscription Tests
+ */
+
+const { init } = require('../src/main');
+const { FieldWithArgs, StringArg, NonNullArg, createInternalError } = require('../src/helpers');
+const { SubscriptionBridge } = require('../src/subscriptions');
+const { execute } = require('./helpers');
+
+// Send a subscription step, subscribing to the orders channel by default
+function runSubscription(plugin, functionName, context, args = { channel: 'orders' }) {
+    return execute(plugin, functionName, 'graphql_subscription', { args, context });
+}
+
+function decodeResult(response) {
+    return JSON.parse(response.result.value.toString());
+}
+
+describe('Subscription Registration', () => {
+    test('should include subscriptions in SchemaRegister', async () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerSubscription('orderUpdated', FieldWithArgs('String', 'Order updates', {
+            channel: StringArg('Channel')
+        }), async function* () {});
+
+        const response = await new Promise(resolve => plugin.handleSchemaRegister({}, (err, res) => resolve(res)));
+        const subscription = response.schema.subscriptions.fields.orderUpdated.structValue.fields;
+
+        expect(subscription.resolve).toEqual({ stringValue: 'orderUpdated' });
+        expect(subscription.args.structValue.fields).toHaveProperty('channel');
+    });
+});
+
+describe('Subscription Bridge', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    afterEach(async () => {
+        await plugin.subscriptionBridge.stopAll();
+    });
+
+    test('should bridge async generator events through start/next polls', async () => {
+        const resolver = jest.fn(async function* (context, args) {
+            yield { channel: args.channel, seq: 1 };
+            yield { channel: args.channel, seq: 2 };
+        });
+        plugin.registerSubscription('orderUpdated', FieldWithArgs('String', 'Order updates', {}), resolver);
+
+        const start = decodeResult(await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-1', subscription_action: 'start' }));
+        expect(start.fields.subscription_id).toEqual({ stringValue: 'sub-1' });
+
+        const first = plugin.structToObject(decodeResult(await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-1', subscription_action: 'next' })));
+        expect(first).toEqual({ subscription_id: 'sub-1', events: [{ channel: 'orders', seq: 1 }], done: false });
+
+        const second = plugin.structToObject(decodeResult(await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-1', subscription_action: 'next' })));
+        expect(second.events).toEqual([{ channel: 'orders', seq: 2 }]);
+
+        const last = plugin.structToObject(decodeResult(await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-1', subscription_action: 'next' })));
+        expect(last).toEqual({ subscription_id: 'sub-1', events: [], done: true });
+        expect(plugin.subscriptionBridge.size).toBe(0);
+    });
+
+    test('should coerce and limit only the start of a subscription', async () => {
+        plugin.registerSubscription('orderUpdated', FieldWithArgs('String', 'Order updates', {
+            channel: NonNullArg('String', 'Channel')
+        }), async function* (context, args) {
+            yield args.channel;
+            await new Promise(() => {});
+        }, {
+            rateLimit: { limit: 1, window: 60 },
+            concurrency: { maxConcurrent: 1, maxQueue: 0 }
+        });
+
+        const start = await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-3', subscription_action: 'start' });
+        expect(start.success).toBe(true);
+
+        // Polls carry no arguments and take no rate limit tokens or slots
+        const first = plugin.structToObject(decodeResult(await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-3', subscription_action: 'next' }, {})));
+        expect(first.events).toEqual(['orders']);
+        const waiting = runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-3', subscription_action: 'next' }, {});
+        await new Promise(resolve => setImmediate(resolve));
+        const stop = await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-3', subscription_action: 'stop' }, {});
+        expect(stop.success).toBe(true);
+        expect(plugin.structToObject(decodeResult(await waiting)).done).toBe(true);
+
+        const restart = await runSubscription(plugin, 'orderUpdated', { subscription_id: 'sub-4', subscription_action: 'start' });
+        const [error] = JSON.parse(decodeResult(restart).fields.graphql_errors.stringValue);
+        expect(error.extensions.code).toBe('RATE_LIMITED');
+    });
+
+    test('should return an empty batch when no event arrives in time', async () => {
+        const bridge = new SubscriptionBridge({ pollTimeout: 10 });
+        const { subscription_id: id } = bridge.start(null, (async function* () {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            yield 'late';
+        })());
+
+        await expect(bridge.next(id)).resolves.toEqual({ subscription_id: id, events: [], done: false });
+        await bridge.stopAll();
+    });
+
+    test('should stop subscriptions and release pending polls', async () => {
+        const bridge = new SubscriptionBridge({ pollTimeout: 5000 });
+        bridge.start('sub-2', (async function* () {
+            await new Promise(() => {});
+        })());
+
+        const poll = bridge.next('sub-2');
+        await bridge.stop('sub-2');
+
+        await expect(poll).resolves.toEqual({ subscription_id: 'sub-2', events: [], done: true });
+        expect(bridge.size).toBe(0);
+    });
+
+    test('should surface resolver errors as GraphQL errors', async () => {
+        plugin.registerSubscription('broken', FieldWithArgs('String', 'Broken', {}), async () => {
+            throw createInternalError('feed unavailable');
+        });
+
+        const response = await runSubscription(plugin, 'broken', { subscription_action: 'start' });
+        const payload = decodeResult(response);
+        expect(payload.fields.is_graphql_error).toEqual({ boolValue: true });
+    });
+
+    test('should reject resolvers that do not return an iterable', () => {
+        const bridge = new SubscriptionBridge();
+        expect(() => bridge.start('x', 42)).toThrow('Subscription resolver must return an async iterable');
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
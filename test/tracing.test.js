@@ -0,0 +1,226 @@
+/**
+ * Apito JavaScript Plugin SDK - Tracing Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { init } = require('../src/main');
+const { StringField } = require('../src/helpers');
+const { HostClient } = require('../src/host');
+const {
+    parseTraceparent,
+    toOTLP,
+    Tracer,
+    FileSpanExporter,
+    OTLPHttpSpanExporter
+} = require('../src/tracing');
+const { execute } = require('./helpers');
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+describe('Trace Context', () => {
+    test('should parse W3C traceparent headers', () => {
+        expect(parseTraceparent(TRACEPARENT)).toEqual({
+            traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+            spanId: '00f067aa0ba902b7',
+            sampled: true
+        });
+        expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00').sampled).toBe(false);
+        expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+        expect(parseTraceparent('garbage')).toBeNull();
+        expect(parseTraceparent(undefined)).toBeNull();
+    });
+
+    test('should parent spans through the async context', async () => {
+        const tracer = new Tracer();
+        const exported = [];
+        tracer.addExporter({ export: spans => exported.push(...spans) });
+
+        await tracer.withSpan('outer', {}, async () => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            await tracer.withSpan('inner', {}, async () => {});
+        });
+        await tracer.flush();
+
+        const [inner, outer] = exported;
+        expect(inner.parentSpanId).toBe(outer.spanId);
+        expect(inner.traceId).toBe(outer.traceId);
+        expect(outer.parentSpanId).toBeNull();
+        expect(() => tracer.addExporter({})).toThrow('Span exporter must have an export(spans, resource) method');
+    });
+});
+
+describe('Execute Spans', () => {
+    let plugin;
+    let exported;
+
+    beforeAll(() => {
+        exported = [];
+        plugin = init('traced-plugin', '2.0.0', 'test-key');
+        plugin.addSpanExporter({ export: spans => exported.push(...spans) });
+    });
+
+    beforeEach(() => {
+        exported.length = 0;
+    });
+
+    test('should continue the engine trace across middleware, handler and custom spans', async () => {
+        plugin.use(async function timing(ctx, next) {
+            await next();
+        });
+        plugin.registerQuery('orders', StringField('Orders'), async () => {
+            await plugin.tracer.withSpan('load orders', {}, async span => span.setAttribute('orders.count', 2));
+            return 'ok';
+        });
+
+        await execute(plugin, 'orders', 'graphql_query', { context: { traceparent: TRACEPARENT } });
+        await plugin.tracer.flush();
+
+        const byName = Object.fromEntries(exported.map(span => [span.name, span]));
+        const root = byName['graphql_query orders'];
+        expect(Object.keys(byName).sort()).toEqual(['graphql_query orders', 'handler orders', 'load orders', 'middleware timing']);
+        expect(root.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        expect(root.parentSpanId).toBe('00f067aa0ba902b7');
+        expect(root.kind).toBe('server');
+        expect(root.attributes).toEqual(expect.objectContaining({
+            'plugin.name': 'traced-plugin',
+            'plugin.function.name': 'orders',
+            'plugin.function.type': 'graphql_query'
+        }));
+        expect(byName['middleware timing'].parentSpanId).toBe(root.spanId);
+        expect(byName['handler orders'].parentSpanId).toBe(byName['middleware timing'].spanId);
+        expect(byName['load orders'].parentSpanId).toBe(byName['handler orders'].spanId);
+        expect(byName['load orders'].attributes['orders.count']).toBe(2);
+    });
+
+    test('should record errors on the server span', async () => {
+        plugin.registerFunction('explode', async () => { throw new Error('boom'); });
+
+        await execute(plugin, 'explode', 'custom_function');
+        await plugin.tracer.flush();
+
+        const root = exported.find(span => span.name === 'custom_function explode');
+        expect(root.status).toEqual({ code: 'error', message: 'boom' });
+        expect(root.events[0].attributes['exception.message']).toBe('boom');
+    });
+
+    test('should redact secrets from exported spans', async () => {
+        plugin.registerSecret('sk_live_traced');
+        plugin.registerFunction('charge', async () => {
+            await plugin.tracer.withSpan('stripe', {}, async span => {
+                span.setAttribute('stripe.api_key', 'sk_live_other');
+                span.setAttribute('stripe.request', 'key=sk_live_traced');
+            });
+            throw new Error('Stripe rejected key sk_live_traced');
+        });
+
+        await execute(plugin, 'charge', 'custom_function');
+        await plugin.tracer.flush();
+
+        const root = exported.find(span => span.name === 'custom_function charge');
+        const stripe = exported.find(span => span.name === 'stripe');
+        expect(root.status.message).toBe('Stripe rejected key [REDACTED]');
+        expect(root.events[0].attributes['exception.message']).toBe('Stripe rejected key [REDACTED]');
+        expect(stripe.attributes).toEqual({ 'stripe.api_key': '[REDACTED]', 'stripe.request': 'key=[REDACTED]' });
+        const otlp = JSON.stringify(toOTLP(exported, {}));
+        expect(otlp).not.toContain('sk_live_traced');
+        expect(otlp).not.toContain('sk_live_other');
+    });
+
+    test('should not export calls the engine did not sample', async () => {
+        await execute(plugin, 'health_check', 'system', {
+            context: { traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00' }
+        });
+        await plugin.tracer.flush();
+        expect(exported).toEqual([]);
+    });
+
+    test('should trace HostService calls and propagate traceparent', async () => {
+        let metadata;
+        function FakeHostService() {}
+        FakeHostService.prototype.GetSingleResource = (request, md, callback) => {
+            metadata = md;
+            callback(null, { resource: null });
+        };
+        const host = new HostClient(FakeHostService, { address: 'localhost:0' });
+
+        await plugin.tracer.withSpan('parent', {}, () => host.getSingleResource('orders', '1'));
+        await plugin.tracer.flush();
+
+        const client = exported.find(span => span.name === 'HostService/GetSingleResource');
+        expect(client.kind).toBe('client');
+        expect(client.attributes['rpc.method']).toBe('GetSingleResource');
+        expect(metadata.get('traceparent')).toEqual([client.traceparent()]);
+    });
+});
+
+describe('Span Exporters', () => {
+    const tracer = new Tracer();
+
+    test('should append JSON lines to a file', async () => {
+        const file = path.join(os.tmpdir(), `apito-spans-${process.pid}.jsonl`);
+        const span = tracer.startSpan('second');
+        span.end();
+
+        const exporter = new FileSpanExporter(file);
+        try {
+            await exporter.export([span], { 'service.name': 'svc' });
+            const line = JSON.parse(fs.readFileSync(file, 'utf8').trim());
+            expect(line).toEqual(expect.objectContaining({ name: 'second', resource: { 'service.name': 'svc' } }));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    test('should post OTLP JSON to a collector', async () => {
+        let body;
+        const server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                body = { url: req.url, contentType: req.headers['content-type'], json: JSON.parse(data) };
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const span = tracer.startSpan('otlp', { kind: 'client', attributes: { ok: true, count: 3, ratio: 0.5 } });
+            span.end();
+            const exporter = new OTLPHttpSpanExporter({ url: `http://127.0.0.1:${server.address().port}/v1/traces`, timeout: 2000 });
+            await exporter.export([span], { 'service.name': 'svc' });
+
+            const [resourceSpans] = body.json.resourceSpans;
+            const [otlpSpan] = resourceSpans.scopeSpans[0].spans;
+            expect(body.url).toBe('/v1/traces');
+            expect(body.contentType).toBe('application/json');
+            expect(resourceSpans.resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'svc' } }]);
+            expect(otlpSpan).toEqual(expect.objectContaining({
+                traceId: span.traceId,
+                spanId: span.spanId,
+                name: 'otlp',
+                kind: 3,
+                status: { code: 0 },
+                attributes: [
+                    { key: 'ok', value: { boolValue: true } },
+                    { key: 'count', value: { intValue: '3' } },
+                    { key: 'ratio', value: { doubleValue: 0.5 } }
+                ]
+            }));
+            expect(BigInt(otlpSpan.endTimeUnixNano) >= BigInt(otlpSpan.startTimeUnixNano)).toBe(true);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});
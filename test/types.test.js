@@ -0,0 +1,196 @@
+/**
+ * Apito JavaScript Plugin SDK - Enum, Input, Interface and Union Type Tests
+ */
+
+const { init } = require('../src/main');
+const {
+    EnumType,
+    InputObjectType,
+    InterfaceType,
+    UnionType,
+    EnumField,
+    EnumArg,
+    InputArg,
+    TypeField,
+    ListField,
+    FieldWithArgs,
+    StringField,
+    StringArg,
+    IntArg,
+    NonNullArg,
+    NewObjectType
+} = require('../src/helpers');
+const { buildSchemaFromSDL } = require('../src/sdl');
+
+const statusEnum = EnumType('OrderStatus', { OPEN: 'Awaiting payment', PAID: 'Paid in full' }, 'Order status');
+const nodeInterface = InterfaceType('Node', { id: StringField('Object ID') });
+const orderType = NewObjectType('Order')
+    .addStringField('id', 'Order ID', false)
+    .addField('status', statusEnum, 'Order status')
+    .implements(nodeInterface)
+    .build();
+const customerType = NewObjectType('Customer')
+    .addStringField('id', 'Customer ID', false)
+    .implements(nodeInterface)
+    .build();
+const searchResult = UnionType('SearchResult', [orderType, customerType]);
+const orderFilter = InputObjectType('OrderFilter', {
+    status: EnumArg(statusEnum, 'Status filter'),
+    limit: { ...IntArg('Page size'), defaultValue: 20 }
+});
+
+describe('Schema Type Helpers', () => {
+    test('should create enum types from arrays and description maps', () => {
+        expect(EnumType('Color', ['RED', 'GREEN'])).toEqual({ kind: 'enum', name: 'Color', values: ['RED', 'GREEN'] });
+        expect(statusEnum).toEqual({
+            kind: 'enum',
+            name: 'OrderStatus',
+            values: ['OPEN', 'PAID'],
+            valueDescriptions: { OPEN: 'Awaiting payment', PAID: 'Paid in full' },
+            description: 'Order status'
+        });
+    });
+
+    test('should create input object, interface and union types', () => {
+        expect(orderFilter.kind).toBe('input_object');
+        expect(nodeInterface).toEqual({ kind: 'interface', name: 'Node', fields: { id: StringField('Object ID') } });
+        expect(searchResult.possibleTypes.map(type => type.name)).toEqual(['Order', 'Customer']);
+        expect(searchResult.possibleTypes[0].interfaces).toEqual([nodeInterface]);
+    });
+
+    test('should create fields and arguments of named types', () => {
+        expect(EnumField(statusEnum, 'Status').type).toBe(statusEnum);
+        expect(InputArg(orderFilter, 'Filter').type).toBe(orderFilter);
+        expect(TypeField(orderType, 'Order').type).toMatchObject({ kind: 'object', name: 'Order' });
+        expect(ListField(searchResult, 'Results').type.ofType).toBe(searchResult);
+    });
+
+    test('should create required enum and input arguments', () => {
+        expect(NonNullArg(statusEnum, 'Status')).toEqual({ type: { kind: 'non_null', ofType: statusEnum }, description: 'Status' });
+        expect(NonNullArg(InputArg(orderFilter, 'Filter'), 'Filter').type).toEqual({ kind: 'non_null', ofType: orderFilter });
+        expect(NonNullArg(NonNullArg('ID'), 'ID').type).toEqual(NonNullArg('ID').type);
+        expect(() => NonNullArg({ name: 'Broken' })).toThrow('NonNullArg: First parameter must be a string type, a type definition or an argument object');
+    });
+});
+
+describe('Schema Type Serialization', () => {
+    let plugin;
+
+    beforeEach(() => {
+        plugin = init('test-plugin', '1.0.0', 'test-key');
+    });
+
+    test('should serialize enum values and descriptions', () => {
+        const fields = plugin.convertTypeToProtobuf(statusEnum);
+        expect(fields.kind).toEqual({ stringValue: 'enum' });
+        expect(fields.values.listValue.values).toEqual([{ stringValue: 'OPEN' }, { stringValue: 'PAID' }]);
+        expect(fields.valueDescriptions.structValue.fields.PAID).toEqual({ stringValue: 'Paid in full' });
+    });
+
+    test('should serialize interfaces by name and union members as types', () => {
+        const fields = plugin.convertTypeToProtobuf(searchResult);
+        const members = fields.possibleTypes.listValue.values;
+
+        expect(members).toHaveLength(2);
+        expect(members[0].structValue.fields.name).toEqual({ stringValue: 'Order' });
+        expect(members[0].structValue.fields.interfaces.listValue.values).toEqual([{ stringValue: 'Node' }]);
+    });
+
+    test('should serialize input object arguments with defaults', () => {
+        const args = plugin.convertArgsToProtobuf({ filter: InputArg(orderFilter, 'Filter') });
+        const filter = args.filter.structValue.fields;
+
+        expect(filter.type.structValue.fields.kind).toEqual({ stringValue: 'input_object' });
+        expect(filter.properties.structValue.fields.limit.structValue.fields.defaultValue).toEqual({ numberValue: 20 });
+        expect(filter.properties.structValue.fields.status.structValue.fields.type.structValue.fields.kind)
+            .toEqual({ stringValue: 'enum' });
+    });
+});
+
+describe('Schema Types in SDL', () => {
+    const SDL = `
+"Order status"
+enum OrderStatus {
+  "Awaiting payment"
+  OPEN
+  PAID
+}
+
+interface Node {
+  id: ID!
+}
+
+type Order implements Node {
+  id: ID!
+  status: OrderStatus
+}
+
+type Customer implements Node {
+  id: ID!
+}
+
+union SearchResult = Order | Customer
+
+input OrderFilter {
+  status: OrderStatus = OPEN
+}
+
+type Query {
+  search(term: String!, filter: OrderFilter): [SearchResult]
+}
+`;
+
+    test('should import enums, interfaces, unions and inputs', () => {
+        const schema = buildSchemaFromSDL(SDL);
+
+        expect(schema.types.OrderStatus).toEqual({
+            kind: 'enum',
+            name: 'OrderStatus',
+            values: ['OPEN', 'PAID'],
+            valueDescriptions: { OPEN: 'Awaiting payment', PAID: '' },
+            description: 'Order status'
+        });
+        expect(schema.types.Order.interfaces.map(type => type.name)).toEqual(['Node']);
+        expect(schema.types.SearchResult.possibleTypes.map(type => type.name)).toEqual(['Order', 'Customer']);
+        expect(schema.types.OrderFilter.kind).toBe('input_object');
+        expect(schema.types.OrderFilter.fields.status.defaultValue).toBe('OPEN');
+    });
+
+    test('should export and round-trip the new kinds', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerSDL(SDL, { search() {} });
+        const printed = plugin.toSDL();
+
+        expect(printed).toContain('type Order implements Node {');
+        expect(printed).toContain('union SearchResult = Order | Customer');
+        expect(printed).toContain('status: OrderStatus = OPEN');
+        expect(printed).toContain('enum OrderStatus {\n  "Awaiting payment"\n  OPEN\n  PAID\n}');
+
+        const reimported = init('test-plugin', '1.0.0', 'test-key');
+        reimported.registerSDL(printed, { search() {} });
+        expect(reimported.toSDL()).toBe(printed);
+    });
+
+    test('should export helper-built types', () => {
+        const plugin = init('test-plugin', '1.0.0', 'test-key');
+        plugin.registerQuery('search', FieldWithArgs(ListField(searchResult, 'Search results'), {
+            term: StringArg('Search term'),
+            filter: InputArg(orderFilter, 'Filter')
+        }), jest.fn());
+
+        const printed = plugin.toSDL();
+        expect(printed).toContain('interface Node {');
+        expect(printed).toContain('input OrderFilter {');
+        expect(printed).toContain('  limit: Int = 20');
+        expect(printed).toContain('): [SearchResult]');
+    });
+});
+
+// Mock stderr writes to reduce noise in tests
+beforeAll(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterAll(() => {
+    process.stderr.write.mockRestore();
+});